@@ -2,5 +2,17 @@ export { default } from './src/ayva.js';
 export { default as AyvaBehavior } from './src/behaviors/ayva-behavior.js';
 export { default as ClassicStroke } from './src/behaviors/classic-stroke.js';
 export { default as TempestStroke } from './src/behaviors/tempest-stroke.js';
+export { default as FunscriptBehavior } from './src/behaviors/funscript-behavior.js';
+export { default as Playlist } from './src/behaviors/playlist.js';
+export { default as RandomBehaviorSelector } from './src/behaviors/random-behavior-selector.js';
+export { default as ReplayBehavior } from './src/behaviors/replay-behavior.js';
 export { default as VariableDuration } from './src/util/variable-duration.js';
+export { default as FunscriptRenderer } from './src/util/funscript-renderer.js';
+export { default as TCodeParser } from './src/util/tcode-parser.js';
+export { default as VirtualTimer } from './src/util/virtual-timer.js';
 export { default as WebSerialDevice } from './src/devices/web-serial-device.js';
+export { default as StreamDevice } from './src/devices/stream-device.js';
+export { default as WebSocketDevice } from './src/devices/websocket-device.js';
+export { default as UdpDevice } from './src/devices/udp-device.js';
+export { default as TCodeDevice } from './src/devices/tcode-device.js';
+export { default as RecordingDevice } from './src/devices/recording-device.js';
@@ -6,15 +6,43 @@ import {
 } from './util/util.js';
 import validator from './util/validator.js';
 import OSR_CONFIG from './util/osr-config.js';
+import EventEmitter from './util/event-emitter.js';
+import { createRandom } from './util/random.js';
+import createSpline from './util/spline.js';
+import { EASINGS, cubicBezier } from './util/easing.js';
+import createNoise from './util/noise.js';
 
-class Ayva {
+const DEFAULT_DEVICE_AXIS = {
+  invert: false,
+  min: 0,
+  max: 1,
+};
+
+const DEFAULT_DEVICE_OPTIONS = {
+  precision: 4,
+  axes: {},
+};
+
+const DEFAULT_RANGE = {
+  center: 0.5,
+  scale: 1,
+};
+
+const MIN_SPEED_MULTIPLIER = 0.1;
+
+const MAX_SPEED_MULTIPLIER = 4;
+
+// Decimals to round step indices to, so that floating point error does not add steps.
+const STEP_PRECISION = 6;
+
+class Ayva extends EventEmitter {
   #devices = [];
 
   #axes = {};
 
   #frequency = 50; // Hz
 
-  #movements = new Set();
+  #movements = new Map(); // The axes of each running or pending movement by movement id.
 
   #nextMovementId = 1;
 
@@ -28,8 +56,65 @@ class Ayva {
 
   #sleepResolves = new Set();
 
+  #outputMode = 'live';
+
+  #deviceOptions = new Map();
+
+  #safetyLimits = {};
+
+  #ranges = {};
+
+  #outputs = {};
+
+  #rangeRamps = new Set();
+
+  #axisMotion = {};
+
+  #emergencyStopped = false;
+
+  #random = null;
+
+  #paused = false;
+
+  #pausedValues = null;
+
+  #pauseStartTime = 0;
+
+  #pausedDuration = 0;
+
+  #pauseCount = 0;
+
+  // The steps that running moves are at (see #performMovements), so that pausing can halt moves that devices interpolate.
+  #runningSteps = new Set();
+
+  // Maps active time onto scaled time. The speed multiplier eases from m0 at a0 to m1 at a1 (see speedMultiplier).
+  #speedTimeline = {
+    a0: 0, a1: 0, s0: 0, m0: 1, m1: 1,
+  };
+
+  #interruptResolves = new Set();
+
+  #resumeResolves = new Set();
+
   defaultRamp = Ayva.RAMP_COS;
 
+  /**
+   * The command that {@link Ayva#emergencyStop} sends to put devices into a safe state.
+   */
+  safeStateCommand = 'DSTOP';
+
+  /**
+   * How many seconds it takes to ease from one speed multiplier to the next (see {@link Ayva#speedMultiplier}).
+   */
+  speedMultiplierRamp = 1;
+
+  /**
+   * How many seconds it takes to ease from one output range to the next (see {@link Ayva#setRange}).
+   */
+  rangeRamp = 1;
+
+  static #easings = null;
+
   static get precision () {
     // Decimals to round to for internal values.
     return 10;
@@ -39,6 +124,14 @@ class Ayva {
     return this.#performing;
   }
 
+  get emergencyStopped () {
+    return this.#emergencyStopped;
+  }
+
+  get paused () {
+    return this.#paused;
+  }
+
   get axes () {
     const result = {};
 
@@ -62,23 +155,126 @@ class Ayva {
     return 1 / this.#frequency;
   }
 
+  /**
+   * How movements are sent to devices. In 'live' mode (the default), every step of a movement is streamed as a live command
+   * (i.e. L05000). In 'interval' or 'speed' mode, linear movements (see {@link Ayva.RAMP_LINEAR}) to a target are sent once as
+   * an interval (i.e. L05000I1000) or speed (i.e. L05000S500) command and the device does the interpolation.
+   * Speeds are sent in TCode units (at the precision of the device) per 100 milliseconds. Other movements are always streamed.
+   * When such a move is cancelled (i.e. by {@link Ayva#stop}), the current value of the axis is sent so that the device stops there.
+   */
+  get outputMode () {
+    return this.#outputMode;
+  }
+
+  set outputMode (mode) {
+    if (!['live', 'interval', 'speed'].includes(mode)) {
+      throw new Error(`Invalid output mode: ${mode}`);
+    }
+
+    this.#outputMode = mode;
+  }
+
+  /**
+   * Scales time for everything that is playing. At 2, moves, sleeps (see {@link Ayva#sleep}), and behaviors such as
+   * TempestStrokes run twice as fast. At 0.5 they run at half speed. Values are clamped between 0.1 and 4.
+   * Changes take effect immediately, even in the middle of a move, and ease in over {@link Ayva#speedMultiplierRamp} seconds.
+   * Commands are still written at the frequency of Ayva, with each step covering more (or less) of a move.
+   * Moves that devices interpolate (see {@link Ayva#outputMode}) are scaled when they are sent.
+   *
+   * @example
+   * intensitySlider.addEventListener('input', (event) => {
+   *   ayva.speedMultiplier = Number(event.target.value);
+   * });
+   */
+  get speedMultiplier () {
+    return this.#speedTimeline.m1;
+  }
+
+  set speedMultiplier (multiplier) {
+    if (!validNumber(multiplier)) {
+      throw new Error(`Invalid speed multiplier: ${multiplier}`);
+    }
+
+    if (!validNumber(this.speedMultiplierRamp, 0)) {
+      throw new Error(`Invalid speed multiplier ramp: ${this.speedMultiplierRamp}`);
+    }
+
+    const now = this.#activeNow();
+
+    this.#speedTimeline = {
+      a0: now,
+      a1: now + this.speedMultiplierRamp,
+      s0: this.#scaledNow(),
+      m0: this.#currentSpeedMultiplier(),
+      m1: clamp(multiplier, MIN_SPEED_MULTIPLIER, MAX_SPEED_MULTIPLIER),
+    };
+
+    this.#interruptSleeps();
+  }
+
+  /**
+   * The source of random numbers for this instance (a function that returns numbers in the range [0, 1) like Math.random).
+   * Behaviors that randomize their parameters draw from it, so seeding it (see the <code>seed</code> configuration option)
+   * makes their output reproducible. Defaults to Math.random.
+   *
+   * @example
+   * const duration = new VariableDuration(10, 20, ayva.random, ayva);
+   */
+  get random () {
+    return this.#random ?? Math.random;
+  }
+
+  set random (random) {
+    if (!(random instanceof Function)) {
+      throw new Error(`Invalid random: ${random}`);
+    }
+
+    this.#random = random;
+  }
+
   /**
    * Create a new instance of Ayva with the specified configuration.
    *
+   * Ayva emits the following events (see {@link EventEmitter} for on(), off(), and once()):
+   * <ul>
+   * <li><code>move:start</code> (movements) - a move begins.</li>
+   * <li><code>move:end</code> (movements, result) - a move finishes (result is false if it was cancelled).</li>
+   * <li><code>behavior:start</code> (behavior) - a behavior begins.</li>
+   * <li><code>behavior:complete</code> (behavior) - a behavior completes.</li>
+   * <li><code>behavior:stopped</code> (behavior) - a behavior is stopped before it completes.</li>
+   * <li><code>write</code> (command, device) - a TCode command is written to a device.</li>
+   * <li><code>stop</code> - {@link Ayva#stop} is called.</li>
+   * <li><code>pause</code> - {@link Ayva#pause} is called.</li>
+   * <li><code>resume</code> - movement resumes after {@link Ayva#resume} is called.</li>
+   * <li><code>axis:value</code> ({ axis, alias, value, lastValue }) - the value of an axis changes.</li>
+   * <li><code>limit</code> ({ axis, mode, value, velocity, acceleration }) - a safety limit is hit (see {@link Ayva#setSafetyLimits}).</li>
+   * <li><code>target:clamped</code> ({ axis, from, target, clampedTarget }) - a relative target falls out of range when a move starts.</li>
+   * </ul>
+   *
+   * @example
+   * ayva.on('axis:value', ({ alias, value }) => {
+   *   display[alias].textContent = value;
+   * });
+   *
    * @param {Object} [config]
    * @param {String} [config.name] - the name of this configuration
    * @param {String} [config.defaultAxis] - the default axis to command when no axis is specified
    * @param {Object[]} [config.axes] - an array of axis configurations (see {@link Ayva#configureAxis})
+   * @param {Object} [config.timer] - the timer used to time movements (an object with sleep() and now() methods)
+   * @param {Number} [config.seed] - seed for the source of random numbers (see {@link Ayva#random})
    * @class Ayva
    */
   constructor (config) {
+    super();
     createConstantProperty(this, '$', {});
 
     if (config) {
       this.#configure(config);
     }
 
-    if (typeof Worker === 'undefined') {
+    if (config && config.timer) {
+      this.setTimer(config.timer);
+    } else if (typeof Worker === 'undefined') {
       this.#timer = {
         // Default timer is just a basic timeout.
         sleep (seconds) {
@@ -94,6 +290,10 @@ class Ayva {
     } else {
       this.#timer = new WorkerTimer();
     }
+
+    if (config && config.seed !== undefined) {
+      this.#random = createRandom(config.seed);
+    }
   }
 
   /**
@@ -118,6 +318,24 @@ class Ayva {
     return this.#timer;
   }
 
+  /**
+   * Set the timer that Ayva uses to time movements. A timer is an object with a sleep() method that returns
+   * a Promise that resolves after the specified number of seconds, and a now() method that returns the current time in seconds.
+   *
+   * @example
+   * // Simulate movements without waiting in real time.
+   * ayva.setTimer(new VirtualTimer());
+   *
+   * @param {Object} timer - the timer.
+   */
+  setTimer (timer) {
+    if (!(timer && timer.sleep instanceof Function && timer.now instanceof Function)) {
+      throw new Error(`Invalid timer: ${timer}`);
+    }
+
+    this.#timer = timer;
+  }
+
   /**
    * Perform the specified behavior until it completes or is explicitly stopped.
    * If another behavior is running, it will be stopped.
@@ -127,6 +345,7 @@ class Ayva {
    * @param {AyvaBehavior} behavior - the behavior to perform.
    */
   async do (behavior) {
+    this.#checkEmergencyStop();
     this.stop();
 
     const behaviorId = this.#nextBehaviorId++;
@@ -137,6 +356,7 @@ class Ayva {
     }
 
     this.#performing = true;
+    this.emit('behavior:start', behavior);
 
     while (this.#currentBehaviorId === behaviorId && !behavior.complete) {
       try {
@@ -151,10 +371,12 @@ class Ayva {
 
     if (this.#currentBehaviorId !== behaviorId) {
       // Behavior was stopped before it completed.
+      this.emit('behavior:stopped', behavior);
       return false;
     }
 
     this.#currentBehaviorId = null;
+    this.emit('behavior:complete', behavior);
     return true;
   }
 
@@ -174,6 +396,17 @@ class Ayva {
    *   duration: 1,
    * });
    *
+   * // An axis may also perform consecutive segments (each described like a movement) as part of a single move.
+   * ayva.move({
+   *   axis: 'stroke',
+   *   segments: [{ to: 1, duration: 1 }, { to: 0.3, duration: 0.5 }],
+   * });
+   *
+   * // Targets may be relative to where the axis is when the move starts, or a percentage of the range of the axis.
+   * // Relative targets that fall out of range are clamped (and reported with a 'target:clamped' event).
+   * ayva.move({ axis: 'stroke', by: -0.2, speed: 1 }, { axis: 'twist', to: '+=10%', duration: 1 });
+   * ayva.move({ axis: 'stroke', to: '25%', speed: 1 });
+   *
    * @param  {...Object} movements
    * @return {Promise} a promise that resolves with the boolean value true when all movements have finished, or false if the move was cancelled.
    */
@@ -182,12 +415,13 @@ class Ayva {
       throw new Error('No output devices have been added.');
     }
 
+    this.#checkEmergencyStop();
     validator.validateMovements(movements, this.#axes, this.defaultAxis);
 
     const movementId = this.#nextMovementId++;
-    this.#movements.add(movementId);
+    this.#movements.set(movementId, []);
 
-    while (this.#movements.has(movementId) && this.#movements.values().next().value !== movementId) {
+    while (this.#movements.has(movementId) && this.#movements.keys().next().value !== movementId) {
       // Wait until current movements have completed to proceed.
       await this.sleep();
     }
@@ -197,7 +431,17 @@ class Ayva {
       return false;
     }
 
-    return this.#performMovements(movementId, movements).finally(() => {
+    this.emit('move:start', movements);
+
+    // Relative targets are resolved against the values of the axes when the move starts.
+    validator.outOfRangeTargets(movements, this.#axes, this.defaultAxis).forEach((report) => {
+      this.emit('target:clamped', report);
+    });
+
+    return this.#performMovements(movementId, movements).then((result) => {
+      this.emit('move:end', movements, result);
+      return result;
+    }).finally(() => {
       this.#movements.delete(movementId);
     });
   }
@@ -242,21 +486,229 @@ class Ayva {
 
   /**
    * Cancels all running or pending movements, clears the current behavior (if any), and cancels any sleeps.
+   * Idle axes are no longer moved to their new output ranges (see {@link Ayva#setRange}).
    */
   stop () {
-    this.#currentBehaviorId = null;
-    this.#movements.clear();
-    this.#sleepResolves.forEach((resolve) => resolve());
+    this.#cancel();
 
     this.#getAxesArray().forEach((axis) => {
       if (axis.resetOnStop) {
         this.$[axis.name].value = axis.defaultValue;
       }
     });
+
+    this.emit('stop');
+  }
+
+  /**
+   * Immediately sends the safe state command (DSTOP by default) to every device, bypassing any pending movements,
+   * then cancels everything like {@link Ayva#stop} and zeroes all auxiliary axes (i.e. valve, suck, lube, and vibration).
+   * Other axes are left where they stopped (even those configured with resetOnStop), so no motion is commanded after the safe state.
+   * All moves and behaviors are refused until {@link Ayva#resume} is called.
+   *
+   * @example
+   * emergencyButton.addEventListener('click', () => ayva.emergencyStop());
+   */
+  emergencyStop () {
+    this.#emergencyStopped = true;
+
+    for (const device of this.#devices) {
+      this.#writeDevice(device, `${this.safeStateCommand}\n`);
+    }
+
+    this.#cancel();
+
+    const auxiliaryAxes = this.#getAxesArray().filter((axis) => axis.type === 'auxiliary');
+
+    if (auxiliaryAxes.length) {
+      this.#write(auxiliaryAxes.map((axis) => ({ axis: axis.name, value: 0 })));
+
+      auxiliaryAxes.forEach(({ name }) => this.#updateAxisValue(name, 0));
+    }
+
+    this.emit('stop');
+  }
+
+  /**
+   * Freeze all running moves, behaviors, and sleeps (see {@link Ayva#sleep}) where they are.
+   * Nothing is sent to devices until {@link Ayva#resume} is called, at which point everything continues from the same point
+   * (behaviors keep their state, i.e. the angle of a TempestStroke). Calling {@link Ayva#stop} while paused cancels everything as usual.
+   * Devices that are interpolating a move (see {@link Ayva#outputMode}) are sent the current value of the axis so that they stop,
+   * and the remaining part of the move is sent to them again on resume.
+   *
+   * @example
+   * pauseButton.addEventListener('click', () => ayva.pause());
+   * resumeButton.addEventListener('click', () => ayva.resume({ ramp: 1 }));
+   */
+  pause () {
+    if (this.#paused) {
+      return;
+    }
+
+    this.#paused = true;
+    this.#pauseCount++;
+    this.#pauseStartTime = this.#timer.now();
+    this.#snapshotPausedValues();
+    this.#runningSteps.forEach(({ providers, index }) => this.#haltDeviceInterpolation(providers, index));
+
+    this.#interruptSleeps();
+    this.emit('pause');
+  }
+
+  /**
+   * Resume after a pause (see {@link Ayva#pause}) or an emergency stop (see {@link Ayva#emergencyStop}).
+   * Optionally ramp axes that changed while paused back to where they were before movement continues
+   * (the ramp counts as time spent paused, see {@link Ayva#now}).
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.ramp=0] - duration in seconds of the ramp back to the paused position.
+   * @return {Promise} a promise that resolves when movement has resumed.
+   */
+  async resume ({ ramp = 0 } = {}) {
+    if (!validNumber(ramp, 0)) {
+      throw new Error(`Invalid ramp: ${ramp}`);
+    }
+
+    this.#emergencyStopped = false;
+
+    if (!this.#paused) {
+      return;
+    }
+
+    const movements = this.#pausedValues
+      .filter(({ axis, value }) => this.#axes[axis].value !== value)
+      .map(({ axis, value }) => ({ axis, to: value, duration: ramp }));
+
+    this.#unpause();
+    this.#pausedValues = null;
+
+    if (ramp && movements.length) {
+      // Ramp outside of the movement queue, since the paused move is still at its head.
+      const movementId = this.#nextMovementId++;
+      const rampStartTime = this.#activeNow();
+      this.#movements.set(movementId, []);
+      await this.#performMovements(movementId, movements).finally(() => this.#movements.delete(movementId));
+
+      // The ramp counts as time spent paused, so that paused moves do not try to catch up on it.
+      this.#pausedDuration += this.#activeNow() - rampStartTime;
+    }
+
+    if (!this.#paused) {
+      this.#releasePaused();
+      this.emit('resume');
+    }
+  }
+
+  /**
+   * Cancel the current behavior, all movements, sleeps, and range ramps, and anything that was paused (without writing anything).
+   */
+  #cancel () {
+    this.#currentBehaviorId = null;
+    this.#movements.clear();
+    this.#rangeRamps.clear();
+    this.#sleepResolves.forEach((resolve) => resolve());
+
+    // Nothing is left to resume.
+    this.#unpause();
+    this.#pausedValues = null;
+    this.#releasePaused();
+  }
+
+  #unpause () {
+    if (this.#paused) {
+      this.#paused = false;
+      this.#pausedDuration += this.#timer.now() - this.#pauseStartTime;
+    }
+  }
+
+  /**
+   * The current time on a clock that stands still while paused (so that moves do not try to catch up after resuming).
+   */
+  #activeNow () {
+    return (this.#paused ? this.#pauseStartTime : this.#timer.now()) - this.#pausedDuration;
+  }
+
+  /**
+   * The current time on the clock that moves and sleeps run on: active time scaled by the speed multiplier.
+   */
+  #scaledNow () {
+    const {
+      a0, a1, s0, m0, m1,
+    } = this.#speedTimeline;
+    const now = this.#activeNow();
+
+    if (now < a1) {
+      // Easing between multipliers (the integral of a linear ramp).
+      return s0 + m0 * (now - a0) + ((m1 - m0) * (now - a0) ** 2) / (2 * (a1 - a0));
+    }
+
+    return s0 + ((m0 + m1) / 2) * (a1 - a0) + m1 * (now - a1);
+  }
+
+  #currentSpeedMultiplier () {
+    const {
+      a0, a1, m0, m1,
+    } = this.#speedTimeline;
+    const now = this.#activeNow();
+
+    return now < a1 ? m0 + ((m1 - m0) * (now - a0)) / (a1 - a0) : m1;
+  }
+
+  #speedMultiplierEasing () {
+    return this.#activeNow() < this.#speedTimeline.a1;
+  }
+
+  /**
+   * Wake up pending sleeps so that they recompute their remaining time.
+   */
+  #interruptSleeps () {
+    this.#interruptResolves.forEach((resolve) => resolve());
+    this.#interruptResolves.clear();
+  }
+
+  #snapshotPausedValues () {
+    this.#pausedValues = this.#getAxesArray()
+      .filter((axis) => axis.type !== 'boolean')
+      .map(({ name, value }) => ({ axis: name, value }));
+  }
+
+  #releasePaused () {
+    this.#resumeResolves.forEach((resolve) => resolve());
+    this.#resumeResolves.clear();
+  }
+
+  async #waitWhilePaused () {
+    while (this.#paused) {
+      await new Promise((resolve) => {
+        this.#resumeResolves.add(resolve);
+      });
+    }
+  }
+
+  #checkEmergencyStop () {
+    if (this.#emergencyStopped) {
+      throw new Error('Emergency stop is active. Call resume() to allow movement.');
+    }
+  }
+
+  /**
+   * The current time in seconds on the clock that moves, sleeps, and behaviors run on. It stands still while paused
+   * (see {@link Ayva#pause}) and runs faster or slower with the speed multiplier (see {@link Ayva#speedMultiplier}).
+   *
+   * @example
+   * const start = ayva.now();
+   * await ayva.sleep(2);
+   * ayva.now() - start; // 2 (even if paused in the meantime).
+   *
+   * @returns {Number} the current time in seconds.
+   */
+  now () {
+    return this.#scaledNow();
   }
 
   /**
    * Asynchronously sleep for the specified number of seconds (or until stop() is called).
+   * The duration is scaled by the speed multiplier (see {@link Ayva#speedMultiplier}) and frozen while paused.
    *
    * @param {Number} seconds
    * @returns {Promise} a Promise that resolves with the value true if the time elapses. false if the sleep is cancelled.
@@ -270,13 +722,66 @@ class Ayva {
     });
 
     return Promise.any([
-      this.#timer.sleep(seconds).then(() => true),
+      this.#pausableSleep(seconds),
       sleepCanceller.then(() => false),
     ]).finally(() => {
       this.#sleepResolves.delete(sleepResolve);
     });
   }
 
+  /**
+   * Sleep on the timer for the specified number of scaled seconds, freezing the remaining time while paused and
+   * recomputing it whenever the speed multiplier changes.
+   */
+  async #pausableSleep (seconds) {
+    let remaining = seconds;
+
+    for (;;) {
+      if (this.#paused) {
+        await this.#waitWhilePaused();
+      }
+
+      let interruptResolve;
+      const startTime = this.#scaledNow();
+      const easing = this.#speedMultiplierEasing();
+      const interrupt = new Promise((resolve) => {
+        this.#interruptResolves.add(resolve);
+        interruptResolve = resolve;
+      });
+
+      const completed = await Promise.race([
+        this.#timer.sleep(this.#timerSeconds(remaining, easing)).then(() => true),
+        interrupt.then(() => false),
+      ]);
+
+      this.#interruptResolves.delete(interruptResolve);
+
+      if (completed && !easing) {
+        return true;
+      }
+
+      remaining = Math.max((remaining || 0) - (this.#scaledNow() - startTime), 0);
+
+      if (completed && remaining < 1e-9) {
+        return true;
+      }
+    }
+  }
+
+  /**
+   * The number of seconds to sleep on the timer for the specified number of scaled seconds.
+   * While the speed multiplier is easing, sleep at most a period at a time so that the remaining time can be recomputed.
+   */
+  #timerSeconds (seconds, easing) {
+    if (!validNumber(seconds)) {
+      return seconds;
+    }
+
+    const timerSeconds = seconds / this.#currentSpeedMultiplier();
+
+    return easing ? Math.min(timerSeconds, this.#period) : timerSeconds;
+  }
+
   /**
    * Configures a new axis. If an axis with the same name has already been configured, it will be overridden.
    *
@@ -387,42 +892,237 @@ class Ayva {
   }
 
   /**
-   * Registers a new output device. Ayva outputs commands to all connected devices.
-   * More than one device can be specified.
+   * Shrink and/or shift the output of an axis at runtime (i.e. a stroke length slider). Output values are scaled around the middle
+   * of the range by <code>scale</code> and then centered on <code>center</code>, so a center of 0.5 and scale of 1 leaves the output
+   * unchanged. The range applies to everything written to devices after the value providers have run (and before the safety limits),
+   * so behaviors and axis values are unaffected. Unlike {@link Ayva#updateLimits} (which calibrates an axis to a device),
+   * changes are eased in over {@link Ayva#rangeRamp} seconds. An axis that is not moving is moved to its new output value.
    *
-   * @param {...Object} device - object with a write method.
+   * @example
+   * // Shorten strokes to the upper half of the range.
+   * ayva.setRange('stroke', { center: 0.75, scale: 0.5 });
+   *
+   * @param {String} axis - the name or alias of the axis.
+   * @param {Object} range - the range, or null to reset it. Properties that are not specified keep their current values.
+   * @param {Number} [range.center=0.5] - the output value that the middle of the range maps to.
+   * @param {Number} [range.scale=1] - how much to scale the range by (between 0 and 1).
    */
-  addOutputDevice (...devices) {
-    for (const device of devices) {
-      if (!(device && device.write && device.write instanceof Function)) {
-        throw new Error(`Invalid device: ${device}`);
-      }
+  setRange (axis, range) {
+    if (!this.#axes[axis]) {
+      throw new Error(`Invalid axis: ${axis}`);
     }
 
-    this.#devices.push(...devices);
+    const { name, type } = this.#axes[axis];
+
+    if (type === 'boolean') {
+      throw new Error(`Cannot set range on a boolean axis: ${axis}`);
+    }
+
+    if (!validNumber(this.rangeRamp, 0)) {
+      throw new Error(`Invalid range ramp: ${this.rangeRamp}`);
+    }
+
+    const { center, scale } = range === null ? DEFAULT_RANGE : { ...this.getRange(axis), ...range };
+
+    if (!validNumber(center, 0, 1)) {
+      throw new Error(`Invalid center: ${center}`);
+    }
+
+    if (!validNumber(scale, 0, 1)) {
+      throw new Error(`Invalid scale: ${scale}`);
+    }
+
+    this.#rangeRamps.delete(this.#ranges[name]);
+
+    const newRange = {
+      from: this.#currentRange(name),
+      to: { center, scale },
+      startTime: this.#activeNow(),
+      duration: this.rangeRamp,
+    };
+
+    this.#ranges[name] = newRange;
+    this.#rangeRamps.add(newRange);
+    this.#rampIdleAxis(name, newRange).finally(() => this.#rangeRamps.delete(newRange));
   }
 
   /**
-   * Alias for #addOutputDevice()
+   * Get the output range of an axis (see {@link Ayva#setRange}).
    *
-   * @ignore
-   * @param {...Object} device - object with a write method.
+   * @param {String} axis - the name or alias of the axis.
+   * @returns {Object} the center and scale, or undefined if the axis does not exist or is a boolean axis.
    */
-  addOutputDevices (...devices) {
-    this.addOutputDevice(...devices);
-  }
+  getRange (axis) {
+    if (!this.#axes[axis] || this.#axes[axis].type === 'boolean') {
+      return undefined;
+    }
 
-  /**
-   * Return a list of all output devices.
-   */
-  getOutputDevices () {
-    return [...this.#devices];
+    const range = this.#ranges[this.#axes[axis].name];
+
+    return { ...(range ? range.to : DEFAULT_RANGE) };
   }
 
   /**
-   * Remove the specified device.
+   * Limit the velocity and/or acceleration of an axis to protect the hardware from movements that are too abrupt
+   * (such as a value provider that jumps across the full range in a single step). Limits are enforced on each step of a movement
+   * before it is written (on the output value, after any output range, see {@link Ayva#setRange}). In 'clamp' mode the motion
+   * is smoothed so that it stays within the limits. In 'reject' mode the movement is cancelled instead. Either way a 'limit' event
+   * is emitted and the hit is counted (see {@link Ayva#getSafetyLimits}).
    *
-   * @param {Object} device - the device to remove.
+   * Note: Linear movements on an axis with safety limits are always streamed, regardless of the output mode.
+   *
+   * @example
+   * ayva.setSafetyLimits('stroke', { velocity: 4, acceleration: 100 });
+   *
+   * ayva.on('limit', ({ axis, velocity, acceleration }) => {
+   *   console.log(`Movement on ${axis} was too fast.`);
+   * });
+   *
+   * @param {String} axis - the name or alias of the axis.
+   * @param {Object} limits - the limits, or null to remove the limits from the axis.
+   * @param {Number} [limits.velocity] - the maximum velocity in units per second.
+   * @param {Number} [limits.acceleration] - the maximum acceleration in units per second squared.
+   * @param {String} [limits.mode='clamp'] - 'clamp' or 'reject'.
+   */
+  setSafetyLimits (axis, limits) {
+    if (!this.#axes[axis]) {
+      throw new Error(`Invalid axis: ${axis}`);
+    }
+
+    const { name, type } = this.#axes[axis];
+
+    if (limits === null) {
+      delete this.#safetyLimits[name];
+      return;
+    }
+
+    if (type === 'boolean') {
+      throw new Error(`Cannot set safety limits on a boolean axis: ${axis}`);
+    }
+
+    const { velocity, acceleration, mode = 'clamp' } = limits || {};
+    const isInvalid = (value) => value !== undefined && !(Number.isFinite(value) && value > 0);
+
+    if (isInvalid(velocity)) {
+      throw new Error(`Invalid velocity: ${velocity}`);
+    }
+
+    if (isInvalid(acceleration)) {
+      throw new Error(`Invalid acceleration: ${acceleration}`);
+    }
+
+    if (velocity === undefined && acceleration === undefined) {
+      throw new Error('Must specify a velocity or acceleration.');
+    }
+
+    if (mode !== 'clamp' && mode !== 'reject') {
+      throw new Error(`Invalid limit mode: ${mode}`);
+    }
+
+    this.#safetyLimits[name] = {
+      velocity, acceleration, mode, hits: 0,
+    };
+  }
+
+  /**
+   * Get the safety limits of an axis along with the number of times they have been hit.
+   *
+   * @param {String} axis - the name or alias of the axis.
+   * @returns {Object} the velocity, acceleration, mode, and hits, or undefined if the axis has no safety limits.
+   */
+  getSafetyLimits (axis) {
+    const limits = this.#axes[axis] && this.#safetyLimits[this.#axes[axis].name];
+
+    return limits ? { ...limits } : undefined;
+  }
+
+  /**
+   * Configures axes from the axes a TCode device reports in response to D2 (see {@link TCodeDevice#queryInfo})
+   * rather than assuming the default configuration. Axes with standard names (L0, R0, etc.) get their standard aliases,
+   * and the ranges the device reports become the limits of each axis.
+   *
+   * @example
+   * await device.connect();
+   * await ayva.configureFromDevice(device);
+   *
+   * @param {TCodeDevice} device - a connected device that supports queries.
+   * @returns {Promise} a promise that resolves with the device information.
+   */
+  async configureFromDevice (device) {
+    if (!(device && device.queryInfo instanceof Function)) {
+      throw new Error(`Device does not support queries: ${device}`);
+    }
+
+    const info = await device.queryInfo();
+
+    if (!info.axes.length) {
+      throw new Error('Device did not report any axes.');
+    }
+
+    const types = {
+      L: 'linear', R: 'rotation', A: 'auxiliary', V: 'auxiliary',
+    };
+
+    info.axes.forEach(({ name, min, max }) => {
+      const standardConfig = OSR_CONFIG.axes.find((axis) => axis.name === name);
+      const axisConfig = {
+        type: types[name[0]] || 'auxiliary',
+        ...standardConfig,
+        name,
+      };
+
+      if (min < max) {
+        axisConfig.min = min;
+        axisConfig.max = max;
+      }
+
+      this.configureAxis(axisConfig);
+    });
+
+    if (!this.defaultAxis && this.#axes.L0) {
+      this.defaultAxis = 'L0';
+    }
+
+    return info;
+  }
+
+  /**
+   * Registers a new output device. Ayva outputs commands to all connected devices.
+   * More than one device can be specified.
+   *
+   * @param {...Object} device - object with a write method.
+   */
+  addOutputDevice (...devices) {
+    for (const device of devices) {
+      if (!(device && device.write && device.write instanceof Function)) {
+        throw new Error(`Invalid device: ${device}`);
+      }
+    }
+
+    this.#devices.push(...devices);
+  }
+
+  /**
+   * Alias for #addOutputDevice()
+   *
+   * @ignore
+   * @param {...Object} device - object with a write method.
+   */
+  addOutputDevices (...devices) {
+    this.addOutputDevice(...devices);
+  }
+
+  /**
+   * Return a list of all output devices.
+   */
+  getOutputDevices () {
+    return [...this.#devices];
+  }
+
+  /**
+   * Remove the specified device.
+   *
+   * @param {Object} device - the device to remove.
    */
   removeOutputDevice (device) {
     const index = this.#devices.indexOf(device);
@@ -430,6 +1130,99 @@ class Ayva {
     if (index !== -1) {
       this.#devices.splice(index, 1);
     }
+
+    this.#deviceOptions.delete(device);
+  }
+
+  /**
+   * Configure how commands are formatted for an output device. This allows driving devices with different precisions
+   * or differently mounted axes from a single instance of Ayva. Each device receives its own TCode, while
+   * Ayva keeps a single set of axis values.
+   *
+   * Axis options are keyed by axis name or alias. Specify false to exclude an axis the device lacks. Otherwise specify
+   * an object with any of the following: the name of the channel the device uses for the axis, whether the axis is inverted,
+   * and the limits of the axis on the device (applied after the limits of the axis itself).
+   * Devices that have not been configured receive commands with four digits of precision (i.e. L05000) and no axis changes.
+   *
+   * @example
+   * // Drive a legacy TCode v0.2 device (L0500) and a high resolution device (L050000) at the same time.
+   * ayva.addOutputDevice(legacyDevice, highResolutionDevice);
+   * ayva.configureOutputDevice(legacyDevice, { precision: 3 });
+   * ayva.configureOutputDevice(highResolutionDevice, { precision: 5 });
+   *
+   * // Invert twist, send forward on L2, limit pitch, and exclude left.
+   * ayva.configureOutputDevice(osr2, {
+   *   axes: {
+   *     twist: { invert: true },
+   *     forward: { name: 'L2' },
+   *     pitch: { min: 0.2, max: 0.8 },
+   *     left: false,
+   *   },
+   * });
+   *
+   * @param {Object} device - the output device.
+   * @param {Object} options
+   * @param {Number} [options.precision=4] - the number of digits used for axis values.
+   * @param {Object} [options.axes] - axis options keyed by axis name or alias.
+   */
+  configureOutputDevice (device, options = {}) {
+    if (!this.#devices.includes(device)) {
+      throw new Error(`Unknown output device: ${device}`);
+    }
+
+    const { precision = DEFAULT_DEVICE_OPTIONS.precision, axes = {} } = options;
+
+    if (!Number.isInteger(precision) || precision < 1 || precision > 10) {
+      throw new Error(`Invalid precision: ${precision}`);
+    }
+
+    if (!axes || typeof axes !== 'object') {
+      throw new Error(`Invalid axis options: ${axes}`);
+    }
+
+    const deviceAxes = Object.keys(axes).reduce((result, key) => {
+      if (!this.#axes[key]) {
+        throw new Error(`Invalid axis: ${key}`);
+      }
+
+      result[this.#axes[key].name] = this.#createDeviceAxis(this.#axes[key], axes[key]);
+      return result;
+    }, {});
+
+    this.#deviceOptions.set(device, { precision, axes: deviceAxes });
+  }
+
+  /**
+   * Validate the options for an axis of a device, and fill in the defaults.
+   */
+  #createDeviceAxis (axis, options) {
+    if (options === false) {
+      return false;
+    }
+
+    if (!options || typeof options !== 'object') {
+      throw new Error(`Invalid options for axis ${axis.name}: ${options}`);
+    }
+
+    const {
+      name = axis.name, invert = DEFAULT_DEVICE_AXIS.invert, min = DEFAULT_DEVICE_AXIS.min, max = DEFAULT_DEVICE_AXIS.max,
+    } = options;
+
+    if (typeof name !== 'string' || !/^[A-Za-z]\d$/.test(name)) {
+      throw new Error(`Invalid axis name: ${name}`);
+    }
+
+    if (typeof invert !== 'boolean') {
+      throw new Error(`Invalid invert: ${invert}`);
+    }
+
+    if (!validNumber(min, 0, 1) || !validNumber(max, 0, 1) || min === max) {
+      throw new Error(`Invalid limits: min = ${min}, max = ${max}`);
+    }
+
+    return {
+      name: name.toUpperCase(), invert, min: Math.min(min, max), max: Math.max(min, max),
+    };
   }
 
   /**
@@ -503,10 +1296,8 @@ class Ayva {
         }
 
         const value = type === 'boolean' ? !!target : target;
-        const tcode = this.#tcode(axis, value);
-        this.#write(`${tcode}\n`);
-        this.#axes[axis].lastValue = this.#axes[axis].value;
-        this.#axes[axis].value = value;
+        this.#write([this.#applyRange({ axis, value })]);
+        this.#updateAxisValue(axis, value);
       },
     });
 
@@ -543,11 +1334,171 @@ class Ayva {
   }
 
   /**
-   * Writes the specified command out to all connected devices.
+   * Writes the specified axis outputs out to all connected devices as a single line of TCode
+   * formatted for each device. Devices do not receive axes they exclude. Output ranges (and safety limits) must already be applied.
    */
-  #write (command) {
+  #write (outputs) {
+    outputs.forEach(({ axis, value }) => {
+      this.#outputs[this.#axes[axis].name] = value;
+    });
+
     for (const device of this.#devices) {
-      device.write(command);
+      const options = this.#deviceOptions.get(device) || DEFAULT_DEVICE_OPTIONS;
+      const tcodes = outputs
+        .filter(({ axis }) => options.axes[this.#axes[axis].name] !== false)
+        .map((output) => this.#tcode(output, options));
+
+      if (tcodes.length) {
+        this.#writeDevice(device, `${tcodes.join(' ')}\n`);
+      }
+    }
+  }
+
+  /**
+   * Apply the output range of an axis (if any) to an output (see setRange).
+   */
+  #applyRange (output) {
+    const { name } = this.#axes[output.axis];
+
+    if (!this.#ranges[name]) {
+      return output;
+    }
+
+    const result = { ...output, value: this.#rangeValue(name, output.value) };
+
+    if (output.speed !== undefined) {
+      result.from = this.#rangeValue(name, output.from);
+      result.speed = output.speed * this.#currentRange(name).scale;
+    }
+
+    return result;
+  }
+
+  /**
+   * Map an axis value to its output value in the current output range of the axis.
+   */
+  #rangeValue (name, value) {
+    if (!this.#ranges[name] || typeof value !== 'number') {
+      return value;
+    }
+
+    const { center, scale } = this.#currentRange(name);
+
+    return clamp(round(center + (value - 0.5) * scale, Ayva.precision), 0, 1);
+  }
+
+  /**
+   * Map an output value back to an axis value in the current output range of the axis
+   * (or keep the specified axis value when the range has no size).
+   */
+  #unrangeValue (name, output, value) {
+    if (!this.#ranges[name]) {
+      return output;
+    }
+
+    const { center, scale } = this.#currentRange(name);
+
+    return scale ? clamp(round((output - center) / scale + 0.5, Ayva.precision), 0, 1) : value;
+  }
+
+  /**
+   * The last value written to devices for an axis (or what would be written for its current value if nothing has been).
+   */
+  #currentOutput (name) {
+    return name in this.#outputs ? this.#outputs[name] : this.#rangeValue(name, this.#axes[name].value);
+  }
+
+  /**
+   * Move an axis that is not moving to its output value as its output range eases in (see setRange).
+   * Axes that are moving pick up the new range on their next step.
+   */
+  async #rampIdleAxis (name, range) {
+    const stepCount = Math.ceil(range.duration * this.#frequency);
+
+    for (let step = 0; this.#rangeRamps.has(range) && !this.#emergencyStopped; step++) {
+      const previousOutput = this.#currentOutput(name);
+      const moving = this.#isMoving(name);
+      const idle = !this.#paused && !moving;
+
+      if (idle && previousOutput !== this.#rangeValue(name, this.#axes[name].value) && !this.#writeIdleAxis(name)) {
+        // The safety limits rejected the movement.
+        return;
+      }
+
+      const output = this.#currentOutput(name);
+      const settled = output === previousOutput || output === this.#rangeValue(name, this.#axes[name].value);
+
+      if (step >= stepCount && (moving || (idle && settled))) {
+        // Idle axes keep going while the safety limits are slowing the output down.
+        return;
+      }
+
+      if (!this.#rangeRamps.has(range) || !await this.sleep(this.#period * this.#currentSpeedMultiplier())) {
+        // Replaced by a new range or stopped.
+        return;
+      }
+    }
+  }
+
+  #isMoving (name) {
+    return [...this.#movements.values()].some((axes) => axes.includes(name));
+  }
+
+  /**
+   * Write the output value of an idle axis (subject to its safety limits) without changing its value.
+   *
+   * @returns false if the safety limits rejected the movement.
+   */
+  #writeIdleAxis (name) {
+    const { value } = this.#axes[name];
+    const { output, rejected } = this.#applySafetyLimits({ axis: name, value, output: this.#rangeValue(name, value) });
+
+    if (!rejected) {
+      this.#write([{ axis: name, value: output }]);
+    }
+
+    return !rejected;
+  }
+
+  /**
+   * The output range of an axis at the current time (easing from the previous range to the new one).
+   */
+  #currentRange (name) {
+    const range = this.#ranges[name];
+
+    if (!range) {
+      return DEFAULT_RANGE;
+    }
+
+    const {
+      from, to, startTime, duration,
+    } = range;
+    const progress = duration ? clamp((this.#activeNow() - startTime) / duration, 0, 1) : 1;
+
+    return {
+      center: from.center + (to.center - from.center) * progress,
+      scale: from.scale + (to.scale - from.scale) * progress,
+    };
+  }
+
+  #writeDevice (device, command) {
+    device.write(command);
+    this.emit('write', command, device);
+  }
+
+  /**
+   * Update the value of an axis, and emit an 'axis:value' event if it changed.
+   */
+  #updateAxisValue (axis, value) {
+    const { name, alias, value: lastValue } = this.#axes[axis];
+
+    this.#axes[axis].lastValue = lastValue;
+    this.#axes[axis].value = value;
+
+    if (value !== lastValue) {
+      this.emit('axis:value', {
+        axis: name, alias, value, lastValue,
+      });
     }
   }
 
@@ -557,72 +1508,231 @@ class Ayva {
     const immediateProviders = allProviders.filter((provider) => !provider.parameters.stepCount);
     const stepProviders = allProviders.filter((provider) => !!provider.parameters.stepCount);
 
+    if (this.#movements.has(movementId)) {
+      // Keep track of which axes are moving so that output ranges leave them alone (see setRange).
+      this.#movements.set(movementId, allProviders.map(({ parameters }) => this.#axes[parameters.axis].name));
+    }
+
+    if (this.#paused) {
+      await this.#waitWhilePaused();
+
+      if (!this.#movements.has(movementId)) {
+        // This move was cancelled while paused.
+        return false;
+      }
+    }
+
     this.#executeProviders(immediateProviders, 0);
 
+    if (!stepCount) {
+      // Always sleep at least a tick even when all providers are immediate.
+      await this.sleep(this.#period);
+      return true;
+    }
+
+    // Steps are written at the frequency of Ayva, while moves advance on the scaled clock (see speedMultiplier).
+    // The step index is therefore fractional whenever the speed multiplier is not 1.
+    const lastIndex = stepCount - 1;
+    const startTime = this.#scaledNow();
+    const activeStartTime = this.#activeNow();
+    const runningStep = { providers: [], index: 0 };
     let errorCorrection = 0;
-    const startTime = this.#timer.now();
+    let previousIndex = -1;
+    let index = 0;
+    let pauseCount = this.#pauseCount;
+
+    this.#runningSteps.add(runningStep);
+
+    try {
+      for (let step = 0; ; step++) {
+        // Providers that are shorter than the move perform their last step once.
+        const finishedIndex = previousIndex;
+        const unfinishedProviders = stepProviders.filter((provider) => finishedIndex < provider.parameters.stepCount - 1);
+
+        // Moves that devices interpolate are sent again after a pause (which halted them).
+        const resumed = pauseCount !== this.#pauseCount;
+        pauseCount = this.#pauseCount;
+        runningStep.providers = unfinishedProviders;
+        runningStep.index = index;
+
+        if (!this.#executeProviders(unfinishedProviders, index, resumed)) {
+          // This move exceeded a safety limit.
+          return false;
+        }
 
-    if (stepCount) {
-      for (let index = 0; index < stepCount; index++) {
-        const unfinishedProviders = stepProviders.filter((provider) => index < provider.parameters.stepCount);
-        this.#executeProviders(unfinishedProviders, index);
+        if (index === lastIndex) {
+          // A move is an integer number of steps but its duration may be fractional,
+          // so there may be less than a period remaining after the final step.
+          const remaining = Math.min(Math.max(duration - (this.#scaledNow() - startTime), 0), this.#period);
+          await this.sleep(remaining);
+          return this.#movements.has(movementId);
+        }
 
-        errorCorrection = await this.#stepSleep(index, stepCount, duration, startTime, errorCorrection);
+        errorCorrection = await this.#stepSleep(step, activeStartTime, errorCorrection);
 
         if (!this.#movements.has(movementId)) {
           // This move was cancelled.
+          this.#haltDeviceInterpolation(unfinishedProviders, index);
           return false;
         }
+
+        previousIndex = index;
+        index = Math.min(round(index + this.#currentSpeedMultiplier(), STEP_PRECISION), lastIndex);
       }
-    } else {
-      // Always sleep at least a tick even when all providers are immediate.
-      await this.sleep(this.#period);
+    } finally {
+      this.#runningSteps.delete(runningStep);
     }
+  }
 
-    return true;
+  /**
+   * Devices keep moving to the target of a move they interpolate, so send them the current value of the axis instead
+   * when the move is cancelled (or paused) before it finishes (unless the emergency stop already stopped them).
+   */
+  #haltDeviceInterpolation (providers, index) {
+    const outputs = providers
+      .filter((provider) => provider.deviceInterpolated && index < provider.parameters.stepCount - 1)
+      .map(({ parameters }) => this.#applyRange({ axis: parameters.axis, value: this.#axes[parameters.axis].value }));
+
+    if (outputs.length && !this.#emergencyStopped) {
+      this.#write(outputs);
+    }
   }
 
   /**
-   * Sleep for a single step. Aims to sleep for this.#period seconds on average. This method corrects for
-   * deviations in the underlying timer.
-   *
-   * TODO: Maybe add a threshold for the error.
+   * Sleep for a single step. Aims to sleep for this.#period seconds on average (of active time, regardless of
+   * the speed multiplier). This method corrects for deviations in the underlying timer.
    *
    * @returns the new error correction
    */
-  async #stepSleep (index, stepCount, duration, startTime, errorCorrection) {
-    if (index === stepCount - 1) {
-      // This shenanigans is to (attempt to) account for the fact that a move is
-      // an integer number of steps but a duration may be fractional. In the final step
-      // we may have time remaining that is less than the period.
-      const currentElapsed = this.#timer.now() - startTime;
-      const remaining = Math.min(Math.max(duration - currentElapsed, 0), this.#period);
-      await this.sleep(remaining);
-    } else {
-      await this.sleep(this.#period - errorCorrection);
+  async #stepSleep (step, startTime, errorCorrection) {
+    // Sleeps are scaled by the speed multiplier.
+    await this.sleep((this.#period - errorCorrection) * this.#currentSpeedMultiplier());
+
+    return this.#activeNow() - startTime - (step + 1) * this.#period;
+  }
+
+  #executeProviders (providers, index, resumed = false) {
+    const axisValues = providers
+      .map((provider) => ({ provider, ...this.#executeProvider(provider, this.#providerIndex(provider, index)) }))
+      .filter(({ value }) => this.#isValidAxisValue(value))
+      .map((axisValue) => ({ ...axisValue, output: this.#rangeValue(this.#axes[axisValue.axis].name, axisValue.value) }))
+      .map((axisValue) => this.#applySafetyLimits(axisValue));
+
+    if (axisValues.some(({ rejected }) => rejected)) {
+      return false;
+    }
+
+    const outputs = axisValues.map((axisValue) => this.#providerOutput(axisValue, index, resumed)).filter((output) => output);
+
+    if (outputs.length) {
+      this.#write(outputs);
     }
 
-    const actualElapsed = this.#timer.now() - startTime;
-    const expectedElapsed = (index + 1) * this.#period;
+    axisValues.forEach(({ axis, value }) => this.#updateAxisValue(axis, value));
+
+    if (this.#paused) {
+      // Paused while writing this step (i.e. from a 'write' listener).
+      this.#snapshotPausedValues();
+    }
 
-    return actualElapsed - expectedElapsed;
+    return true;
   }
 
-  #executeProviders (providers, index) {
-    const axisValues = providers
-      .map((provider) => this.#executeProvider(provider, index))
-      .filter(({ value }) => this.#isValidAxisValue(value));
+  /**
+   * Enforce the safety limits (if any) of an axis on the next output value for the axis (after its output range).
+   * Emits a 'limit' event when the limits are exceeded.
+   */
+  #applySafetyLimits (axisValue) {
+    const { axis, value, output } = axisValue;
+    const { name } = this.#axes[axis];
+    const limits = this.#safetyLimits[name];
+
+    if (!limits || typeof output !== 'number') {
+      return axisValue;
+    }
 
-    const tcodes = axisValues.map(({ axis, value }) => this.#tcode(axis, value));
+    const currentOutput = this.#currentOutput(name);
 
-    if (tcodes.length) {
-      this.#write(`${tcodes.join(' ')}\n`);
+    const now = this.#timer.now();
+    const previous = this.#axisMotion[name];
+    // Steps are written at the frequency of Ayva regardless of the speed multiplier.
+    const stepDuration = this.#period;
 
-      axisValues.forEach(({ axis, value }) => {
-        this.#axes[axis].lastValue = this.#axes[axis].value;
-        this.#axes[axis].value = value;
-      });
+    // The axis is considered to be at rest if it has not moved in the last couple of steps.
+    const previousVelocity = previous && now - previous.time <= stepDuration * 2 ? previous.velocity : 0;
+    const velocity = (output - currentOutput) / stepDuration;
+    let allowedVelocity = velocity;
+
+    if (limits.acceleration) {
+      const maxChange = limits.acceleration * stepDuration;
+      allowedVelocity = clamp(allowedVelocity, previousVelocity - maxChange, previousVelocity + maxChange);
+    }
+
+    if (limits.velocity) {
+      allowedVelocity = clamp(allowedVelocity, -limits.velocity, limits.velocity);
+    }
+
+    if (Math.abs(allowedVelocity - velocity) < 1e-9) {
+      this.#axisMotion[name] = { velocity, time: now };
+      return axisValue;
+    }
+
+    limits.hits++;
+
+    this.emit('limit', {
+      axis: name,
+      mode: limits.mode,
+      value,
+      velocity,
+      acceleration: (velocity - previousVelocity) / stepDuration,
+    });
+
+    if (limits.mode === 'reject') {
+      this.#axisMotion[name] = { velocity: 0, time: now };
+      return { ...axisValue, rejected: true };
     }
+
+    const limitedOutput = clamp(round(currentOutput + allowedVelocity * stepDuration, Ayva.precision), 0, 1);
+    this.#axisMotion[name] = { velocity: (limitedOutput - currentOutput) / stepDuration, time: now };
+
+    return { ...axisValue, value: this.#unrangeValue(name, limitedOutput, value), output: limitedOutput };
+  }
+
+  /**
+   * The output to send for a provider's value. Movements that the device interpolates are only sent on the first step
+   * (as an interval or speed command to the target), and again for the remaining part of the move on the first step
+   * after a pause. On other steps the value is only tracked internally.
+   */
+  #providerOutput ({ provider, axis, output }, index, resumed) {
+    if (!provider.deviceInterpolated) {
+      return { axis, value: output };
+    }
+
+    if (index > 0 && !resumed) {
+      return null;
+    }
+
+    const {
+      from, to, duration, speed,
+    } = provider.parameters;
+
+    const multiplier = this.#currentSpeedMultiplier();
+
+    if (this.#outputMode === 'interval') {
+      const remaining = Math.max(duration - index * this.#period, 0);
+      return this.#applyRange({ axis, value: to, interval: Math.round((remaining / multiplier) * 1000) });
+    }
+
+    return this.#applyRange({
+      axis, value: to, from: index > 0 ? this.#axes[axis].value : from, speed: speed * multiplier,
+    });
+  }
+
+  /**
+   * The step index of a provider, which stops at its last step (providers may be shorter than the move).
+   */
+  #providerIndex ({ parameters }, index) {
+    return parameters.stepCount ? Math.min(index, parameters.stepCount - 1) : index;
   }
 
   #executeProvider (provider, index) {
@@ -657,27 +1767,50 @@ class Ayva {
   }
 
   /**
-   * Converts the value into a standard live command TCode string for the specified axis. (i.e. 0.5 -> L0500)
-   * If the axis is a boolean axis, true values get mapped to 999 and false gets mapped to 000.
+   * Converts an axis output into a TCode command for a device (i.e. 0.5 -> L05000 at a precision of four digits).
+   * If the axis is a boolean axis, true values get mapped to all nines and false gets mapped to all zeroes.
+   * The device's axis options (name, invert, and limits) are applied after the axis limits.
+   * Interval outputs get an I suffix, and speed outputs get an S suffix. TCode devices ramp over 100 * |delta| / S milliseconds
+   * (where delta is in units of the precision of the command), so S is computed from the delta between the start and the target.
    *
-   * @param {String} axis
-   * @param {Number} value
+   * @param {Object} output - the axis, value, and optional interval or speed (and value to start the speed from).
+   * @param {Object} options - the device options.
    * @returns {String} the TCode string
    */
-  #tcode (axis, value) {
-    let valueText;
-
-    if (typeof value === 'boolean') {
-      valueText = value ? '9999' : '0000';
-    } else {
-      const { min, max } = this.#axes[axis];
-      const normalizedValue = round(value * 0.9999, 4); // Convert values from range (0, 1) to (0, 0.9999)
+  #tcode ({
+    axis, value, interval, speed, from,
+  }, { precision, axes }) {
+    const scale = 10 ** precision;
+    const { min, max } = this.#axes[axis];
+    const device = axes[this.#axes[axis].name] || { ...DEFAULT_DEVICE_AXIS, name: this.#axes[axis].name };
+
+    const deviceUnits = (axisValue) => {
+      // Convert values from range (0, 1) to (0, 0.999...)
+      const maxValue = (scale - 1) / scale;
+      const normalizedValue = round(axisValue * maxValue, precision);
       const scaledValue = (max - min) * normalizedValue + min;
+      const deviceValue = (device.max - device.min) * (device.invert ? maxValue - scaledValue : scaledValue) + device.min;
+
+      return clamp(round(deviceValue * scale), 0, scale - 1);
+    };
+
+    const valueText = typeof value === 'boolean'
+      ? (value !== device.invert ? '9' : '0').repeat(precision)
+      : `${deviceUnits(value)}`.padStart(precision, '0');
+
+    if (interval !== undefined) {
+      return `${device.name}${valueText}I${interval}`;
+    }
 
-      valueText = `${clamp(round(scaledValue * 10000), 0, 9999)}`.padStart(4, '0');
+    if (speed !== undefined) {
+      const distance = Math.abs(value - from);
+      const rampTime = speed ? (distance / speed) * 1000 : 0;
+      const deviceSpeed = rampTime ? (100 * Math.abs(deviceUnits(value) - deviceUnits(from))) / rampTime : 0;
+
+      return `${device.name}${valueText}S${Math.max(Math.round(deviceSpeed), 1)}`;
     }
 
-    return `${this.#axes[axis].name}${valueText}`;
+    return `${device.name}${valueText}`;
   }
 
   /**
@@ -696,20 +1829,11 @@ class Ayva {
     return parameterObjects.map((parameters) => {
       const provider = {};
 
-      if (!has(parameters, 'value')) {
-        // Create a value provider from parameters.
-        if (this.#axes[parameters.axis].type === 'boolean') {
-          provider.valueProvider = () => parameters.to;
-        } else if (parameters.to !== parameters.from) {
-          provider.valueProvider = this.defaultRamp;
-        } else {
-          // No movement.
-          provider.valueProvider = () => {};
-        }
-      } else {
-        // User provided value provider.
-        provider.valueProvider = parameters.value;
-      }
+      provider.valueProvider = this.#movementValueProvider(parameters);
+
+      // Linear movements to a target can be interpolated by the device itself (see outputMode).
+      provider.deviceInterpolated = this.#outputMode !== 'live' && provider.valueProvider === Ayva.RAMP_LINEAR
+        && has(parameters, 'to') && !!parameters.stepCount && !this.#safetyLimits[this.#axes[parameters.axis].name];
 
       delete parameters.sync;
       delete parameters.value;
@@ -719,6 +1843,25 @@ class Ayva {
     });
   }
 
+  #movementValueProvider (parameters) {
+    if (has(parameters, 'value')) {
+      // User provided value provider.
+      return parameters.value;
+    }
+
+    // Create a value provider from parameters.
+    if (this.#axes[parameters.axis].type === 'boolean') {
+      return () => parameters.to;
+    }
+
+    if (parameters.to !== parameters.from) {
+      return this.defaultRamp;
+    }
+
+    // No movement.
+    return () => {};
+  }
+
   #createParameterObjects (movements) {
     let maxDuration = 0;
 
@@ -726,30 +1869,9 @@ class Ayva {
       // Initialize all parameters that we can deduce.
       const axis = movement.axis || this.defaultAxis;
 
-      const parameters = {
-        ...movement,
-        axis,
-        from: this.#axes[axis].value,
-        period: this.#period,
-      };
-
-      if (has(movement, 'to')) {
-        const distance = movement.to - parameters.from;
-        const absoluteDistance = Math.abs(distance);
-
-        if (has(movement, 'duration')) {
-          // { to: <number>, duration: <number> }
-          parameters.speed = round(absoluteDistance / movement.duration, Ayva.precision);
-        } else if (has(movement, 'speed')) {
-          // { to: <number>, speed: <number> }
-          // Uncomment the below to re-enable speed scaling.
-          // const axisScale = 1 / Math.abs(this.#axes[axis].max - this.#axes[axis].min);
-          // result.speed = movement.speed * axisScale;
-          parameters.duration = round(absoluteDistance / parameters.speed, Ayva.precision);
-        }
-
-        parameters.direction = distance > 0 ? 1 : distance < 0 ? -1 : 0; // eslint-disable-line no-nested-ternary
-      }
+      const parameters = has(movement, 'segments')
+        ? this.#createSegmentedParameters(movement, axis)
+        : this.#createMovementParameters(movement, axis, this.#axes[axis].value);
 
       if (has(parameters, 'duration')) {
         maxDuration = Math.max(parameters.duration, maxDuration);
@@ -761,6 +1883,112 @@ class Ayva {
     return { maxDuration, parameterObjects };
   }
 
+  #createMovementParameters (movement, axis, from) {
+    const parameters = {
+      ...movement,
+      axis,
+      from,
+      period: this.#period,
+    };
+
+    const unspecifiedDuration = !has(movement, 'duration') && !has(movement, 'speed') && !has(movement, 'sync');
+
+    if (unspecifiedDuration && movement.value && validNumber(movement.value.duration) && movement.value.duration > 0) {
+      // Value providers with a duration of their own (i.e. splineMotion) run for their full length.
+      parameters.duration = movement.value.duration;
+    }
+
+    if (has(movement, 'to') || has(movement, 'by')) {
+      // Relative targets that fall out of range are clamped (and reported when the move starts).
+      const target = validator.resolveTarget(movement, from);
+      parameters.to = typeof target === 'boolean' ? target : clamp(target, 0, 1);
+      delete parameters.by;
+
+      const distance = parameters.to - parameters.from;
+      const absoluteDistance = Math.abs(distance);
+
+      if (has(parameters, 'duration')) {
+        // { to: <number>, duration: <number> }
+        parameters.speed = round(absoluteDistance / parameters.duration, Ayva.precision);
+      } else if (has(movement, 'speed')) {
+        // { to: <number>, speed: <number> }
+        // Uncomment the below to re-enable speed scaling.
+        // const axisScale = 1 / Math.abs(this.#axes[axis].max - this.#axes[axis].min);
+        // result.speed = movement.speed * axisScale;
+        parameters.duration = round(absoluteDistance / parameters.speed, Ayva.precision);
+      }
+
+      parameters.direction = distance > 0 ? 1 : distance < 0 ? -1 : 0; // eslint-disable-line no-nested-ternary
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Combine the segments of a movement into a single movement with a value provider that performs them back to back.
+   * Each segment starts where the previous one ended, and sees the parameters of a movement of its own.
+   */
+  #createSegmentedParameters (movement, axis) {
+    const { segments, ...rest } = movement;
+    const from = this.#axes[axis].value;
+    const frequency = this.#frequency;
+    const period = this.#period;
+    let end = 0;
+
+    // The start of each segment is the target of the previous segment (or wherever the previous segment ended up).
+    // Segments that follow a segment without a target are only resolved once they start.
+    let segmentFrom = from;
+
+    const timeline = segments.map((segment) => {
+      const parameters = segmentFrom === null ? null : this.#createMovementParameters(segment, axis, segmentFrom);
+      const entry = { segment, parameters, start: end };
+      end += parameters ? parameters.duration : (segment.duration ?? segment.value.duration);
+      entry.end = end;
+      segmentFrom = parameters && has(parameters, 'to') ? parameters.to : null;
+
+      return entry;
+    });
+
+    let current = null;
+
+    const value = ({ index, currentValue }) => {
+      const time = (index + 1) / frequency;
+      const last = timeline.length - 1;
+      const segmentIndex = timeline.findIndex((entry, i) => i === last || time <= entry.end);
+      const { segment, start } = timeline[segmentIndex];
+
+      if (!current || current.index !== segmentIndex) {
+        const parameters = timeline[segmentIndex].parameters || this.#createMovementParameters(segment, axis, currentValue);
+        parameters.stepCount = Math.ceil(parameters.duration * frequency);
+
+        current = { index: segmentIndex, parameters, valueProvider: this.#movementValueProvider(parameters) };
+      }
+
+      const { parameters, valueProvider } = current;
+      const elapsed = time - start;
+      const segmentStep = elapsed * frequency - 1;
+
+      return valueProvider({
+        ...parameters,
+        time: segmentStep * period,
+        index: segmentStep,
+        period,
+        frequency,
+        currentValue,
+        x: Math.min(1, elapsed / parameters.duration),
+      });
+    };
+
+    return {
+      ...rest,
+      axis,
+      from,
+      period,
+      duration: end,
+      value,
+    };
+  }
+
   #populateDurationAndStepCount (parameterObjects, maxDuration) {
     const movementsByAxis = parameterObjects.reduce((map, p) => {
       map[p.axis] = p;
@@ -890,6 +2118,68 @@ class Ayva {
     return Ayva.ramp(fn)(parameters);
   }
 
+  /**
+   * Value providers for the standard easing functions by name (see [easings.net]{@link https://easings.net}).
+   * Each of the families Quad, Cubic, Quart, Expo, Sine, Circ, Back, Elastic, and Bounce comes in in, out, and inOut
+   * forms (i.e. easeInQuad, easeOutQuad, and easeInOutQuad). Curves that overshoot the target (Back and Elastic)
+   * are clamped to the range [0, 1].
+   *
+   * @example
+   * ayva.move({ to: 0, duration: 1, value: Ayva.easings.easeOutBounce });
+   *
+   * // Names may also be used as the shape of a ClassicStroke.
+   * ayva.do(new ClassicStroke(0, 1, 1, ['easeInOutBack', 'easeOutQuad']));
+   */
+  static get easings () {
+    if (!Ayva.#easings) {
+      Ayva.#easings = Object.freeze(Object.keys(EASINGS).reduce((easings, name) => ({
+        ...easings,
+        [name]: Ayva.#clampedRamp(EASINGS[name]),
+      }), {}));
+    }
+
+    return Ayva.#easings;
+  }
+
+  /**
+   * Creates a value provider that eases towards a target position along a cubic bézier curve, like the CSS
+   * cubic-bezier() function. The x coordinates of the control points must be in the range [0, 1].
+   * Curves that overshoot the target are clamped to the range [0, 1].
+   *
+   * @example
+   * // The CSS "ease" curve.
+   * ayva.move({ to: 0, duration: 1, value: Ayva.cubicBezier(0.25, 0.1, 0.25, 1) });
+   *
+   * @param {Number} x1 - the x coordinate of the first control point
+   * @param {Number} y1 - the y coordinate of the first control point
+   * @param {Number} x2 - the x coordinate of the second control point
+   * @param {Number} y2 - the y coordinate of the second control point
+   * @returns the value provider.
+   */
+  static cubicBezier (x1, y1, x2, y2) {
+    if (!validNumber(x1, 0, 1) || !validNumber(y1) || !validNumber(x2, 0, 1) || !validNumber(y2)) {
+      throw new Error(`Invalid cubic bézier parameters: (${x1}, ${y1}, ${x2}, ${y2})`);
+    }
+
+    const provider = Ayva.#clampedRamp(cubicBezier(x1, y1, x2, y2));
+
+    createConstantProperty(provider, 'x1', x1);
+    createConstantProperty(provider, 'y1', y1);
+    createConstantProperty(provider, 'x2', x2);
+    createConstantProperty(provider, 'y2', y2);
+
+    return provider;
+  }
+
+  /**
+   * A ramp (from an easing function of x) that never leaves the range [0, 1], for functions that overshoot.
+   */
+  static #clampedRamp (fn) {
+    const ramp = Ayva.ramp(({ x }) => fn(x));
+
+    return (parameters) => clamp(ramp(parameters), 0, 1);
+  }
+
   /**
    * Creates a value provider that generates oscillatory motion. The formula is:
    *
@@ -943,6 +2233,60 @@ class Ayva {
     return provider;
   }
 
+  /**
+   * Creates a value provider that follows a smooth path through the specified keyframes, so that a whole path can be
+   * performed as a single move (rather than a series of moves that each come to a stop at their target).
+   * Keyframe times are in seconds from the start of the move. The path starts and ends at rest. If the first keyframe
+   * is after time zero, the path starts from the position of the axis at the start of the move.
+   *
+   * Catmull-Rom splines (the default) flow the most freely, but may overshoot the keyframes (values are clamped to [0, 1]).
+   * Monotone splines never overshoot: they only change direction at keyframes.
+   *
+   * Moves that do not specify a duration (or speed) last until the last keyframe.
+   *
+   * @example
+   * // Note: These examples use Move Builders from the Motion API.
+   *
+   * // Flow down, halfway back up, all the way down, and then up.
+   * ayva.$.stroke(Ayva.splineMotion([
+   *   { time: 1, value: 0 },
+   *   { time: 1.5, value: 0.5 },
+   *   { time: 2.5, value: 0 },
+   *   { time: 4, value: 1 },
+   * ])).execute();
+   *
+   * // ... without overshooting, alongside a twist.
+   * ayva.$.stroke(Ayva.splineMotion(keyframes, 'monotone')).twist(0.25).execute();
+   *
+   * @param {Object[]} keyframes - the keyframes of the path in order.
+   * @param {Number} keyframes[].time - the time of the keyframe in seconds.
+   * @param {Number} keyframes[].value - the value at the keyframe.
+   * @param {String} [type='catmull-rom'] - the type of spline ('catmull-rom' or 'monotone').
+   * @returns the value provider.
+   */
+  static splineMotion (keyframes, type = 'catmull-rom') {
+    validator.validateKeyframes(keyframes, type);
+
+    const frames = keyframes.map(({ time, value }) => ({ time, value }));
+    const startsLater = frames[0].time > 0;
+    let cached = null;
+
+    const provider = ({ index, frequency, from }) => {
+      if (!cached || (startsLater && cached.from !== from)) {
+        const path = startsLater ? [{ time: 0, value: from }, ...frames] : frames;
+        cached = { from, spline: createSpline(path, type) };
+      }
+
+      return clamp(cached.spline((index + 1) / frequency), 0, 1);
+    };
+
+    createConstantProperty(provider, 'keyframes', frames.map((frame) => ({ ...frame })));
+    createConstantProperty(provider, 'type', type);
+    createConstantProperty(provider, 'duration', frames[frames.length - 1].time);
+
+    return provider;
+  }
+
   /**
    * Creates a value provider that is a blend of the two value providers passed.
    * The factor is the multiplier for the values generated by the second provider.
@@ -956,6 +2300,260 @@ class Ayva {
     return (...args) => round((1 - factor) * firstProvider(...args) + factor * secondProvider(...args), Ayva.precision);
   }
 
+  /**
+   * Creates a value provider that performs the value providers passed one after another, each over a fraction
+   * of the move. Each provider sees its fraction as a whole move: its progress (x) goes from 0 to 1 over the fraction
+   * (so ramps go from the start of the move to the target within each fraction).
+   *
+   * Like all combinators, providers may also be the names of easings (see {@link Ayva.easings}).
+   *
+   * @example
+   * // Ease up to the target and fall back down, spending twice as long on the way down.
+   * ayva.move({
+   *   to: 1,
+   *   duration: 3,
+   *   value: Ayva.sequence(['easeOutQuad', Ayva.reverse(Ayva.RAMP_PARABOLIC)], [1, 2]),
+   * });
+   *
+   * @param {Array} providers - the value providers in order.
+   * @param {Number[]} [fractions] - the relative share of the move for each provider (equal by default).
+   * @returns the value provider.
+   */
+  static sequence (providers, fractions = null) {
+    if (!(providers instanceof Array) || !providers.length) {
+      throw new Error(`Invalid providers: ${providers}`);
+    }
+
+    const valueProviders = providers.map((provider) => Ayva.#valueProvider(provider));
+    const weights = fractions ?? providers.map(() => 1);
+
+    if (!(weights instanceof Array) || weights.length !== providers.length || !weights.every((w) => validNumber(w) && w > 0)) {
+      throw new Error(`Invalid fractions: ${fractions}`);
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let end = 0;
+
+    const segments = valueProviders.map((provider, index) => {
+      const start = end;
+      const size = weights[index] / total;
+      end += size;
+
+      return { provider, start, size };
+    });
+
+    return (parameters) => {
+      const { x } = parameters;
+      const last = segments.length - 1;
+      const segment = segments.find(({ start, size }, index) => index === last || x <= start + size);
+
+      return segment.provider(Ayva.#atProgress(parameters, clamp((x - segment.start) / segment.size, 0, 1)));
+    };
+  }
+
+  /**
+   * Creates a value provider that plays the value provider passed backwards (a ramp goes from the target to the start).
+   *
+   * @example
+   * // Together with mirror(), turns an ease in into an ease out.
+   * const easeOut = Ayva.mirror(Ayva.reverse(Ayva.RAMP_PARABOLIC));
+   *
+   * @param {Function|String} provider
+   * @returns the value provider.
+   */
+  static reverse (provider) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    return (parameters) => valueProvider(Ayva.#atProgress(parameters, 1 - parameters.x));
+  }
+
+  /**
+   * Creates a value provider that flips the values of the value provider passed upside down: across the middle
+   * of the move for moves with a target, and across the middle of the axis otherwise.
+   *
+   * @param {Function|String} provider
+   * @returns the value provider.
+   */
+  static mirror (provider) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    return (parameters) => {
+      const { from, to } = parameters;
+      const middle = validNumber(to) ? (from + to) / 2 : 0.5;
+
+      return Ayva.#mapValue(valueProvider(parameters), (value) => 2 * middle - value);
+    };
+  }
+
+  /**
+   * Creates a value provider that plays the value provider passed faster (factor > 1) or slower (factor < 1).
+   * A faster provider holds its final value once it is complete. A slower provider does not reach the end of its motion.
+   *
+   * @param {Function|String} provider
+   * @param {Number} factor - how many times faster to play the provider.
+   * @returns the value provider.
+   */
+  static timeScale (provider, factor) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    if (!validNumber(factor) || factor <= 0) {
+      throw new Error(`Invalid factor: ${factor}`);
+    }
+
+    return (parameters) => valueProvider(Ayva.#atProgress(parameters, Math.min(1, parameters.x * factor)));
+  }
+
+  /**
+   * Creates a value provider that scales the distance of each value of the value provider passed from a center.
+   * The center defaults to the position of the axis at the start of the move.
+   *
+   * @example
+   * // Half as much motion.
+   * ayva.$.stroke(Ayva.amplitudeScale(Ayva.tempestMotion(1, 0), 0.5), 10).execute();
+   *
+   * @param {Function|String} provider
+   * @param {Number} factor - the scale of the motion.
+   * @param {Number} [center] - the value to scale around.
+   * @returns the value provider.
+   */
+  static amplitudeScale (provider, factor, center = null) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    if (!validNumber(factor)) {
+      throw new Error(`Invalid factor: ${factor}`);
+    }
+
+    if (center !== null && !validNumber(center, 0, 1)) {
+      throw new Error(`Invalid center: ${center}`);
+    }
+
+    return (parameters) => {
+      const origin = center ?? parameters.from;
+
+      return Ayva.#mapValue(valueProvider(parameters), (value) => origin + (value - origin) * factor);
+    };
+  }
+
+  /**
+   * Creates a value provider that shifts the values of the value provider passed by the specified amount.
+   *
+   * @param {Function|String} provider
+   * @param {Number} amount - the amount to add to each value.
+   * @returns the value provider.
+   */
+  static offset (provider, amount) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    if (!validNumber(amount)) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    return (parameters) => Ayva.#mapValue(valueProvider(parameters), (value) => value + amount);
+  }
+
+  /**
+   * Creates a value provider that adds smooth noise to the values of the value provider passed.
+   *
+   * @example
+   * // A stroke with a little organic variation that is the same every time.
+   * ayva.$.stroke(Ayva.addNoise(Ayva.tempestMotion(1, 0), Ayva.perlinNoise(42), 0.05), 10).execute();
+   *
+   * @param {Function|String} provider
+   * @param {Function} noise - the source of noise, i.e. {@link Ayva.perlinNoise}.
+   * @param {Number} [amplitude=0.05] - the largest amount of noise to add (or subtract).
+   * @param {Number} [frequency=1] - how quickly the noise changes (in Hz).
+   * @returns the value provider.
+   */
+  static addNoise (provider, noise, amplitude = 0.05, frequency = 1) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    if (typeof noise !== 'function') {
+      throw new Error(`Invalid noise source: ${noise}`);
+    }
+
+    if (!validNumber(amplitude, 0)) {
+      throw new Error(`Invalid amplitude: ${amplitude}`);
+    }
+
+    if (!validNumber(frequency) || frequency <= 0) {
+      throw new Error(`Invalid frequency: ${frequency}`);
+    }
+
+    return (parameters) => {
+      const seconds = (parameters.index + 1) / parameters.frequency;
+
+      return Ayva.#mapValue(valueProvider(parameters), (value) => value + amplitude * noise(seconds * frequency));
+    };
+  }
+
+  /**
+   * Creates a value provider that keeps the values of the value provider passed within a range.
+   *
+   * @param {Function|String} provider
+   * @param {Number} [min=0]
+   * @param {Number} [max=1]
+   * @returns the value provider.
+   */
+  static clamp (provider, min = 0, max = 1) {
+    const valueProvider = Ayva.#valueProvider(provider);
+
+    if (!validNumber(min, 0, 1) || !validNumber(max, min, 1)) {
+      throw new Error(`Invalid range: (${min}, ${max})`);
+    }
+
+    return (parameters) => Ayva.#mapValue(valueProvider(parameters), (value) => clamp(value, min, max));
+  }
+
+  /**
+   * Creates a source of smooth one-dimensional Perlin noise (a function of time with values in the range [-1, 1]).
+   * Noise sources created with the same seed produce the same noise.
+   *
+   * @param {Number} [seed] - a random seed by default.
+   * @returns the noise source.
+   */
+  static perlinNoise (seed = Math.floor(Math.random() * 2 ** 32)) {
+    return createNoise(seed);
+  }
+
+  /**
+   * Resolve easing names, and make sure anything else is a function.
+   */
+  static #valueProvider (provider) {
+    if (typeof provider === 'string' && has(Ayva.easings, provider)) {
+      return Ayva.easings[provider];
+    }
+
+    if (typeof provider !== 'function') {
+      throw new Error(`Invalid value provider: ${provider}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * The parameters of a move at a different progress (x), with the index and time to match.
+   */
+  static #atProgress (parameters, x) {
+    const { duration, frequency, period } = parameters;
+
+    if (!validNumber(duration) || !validNumber(frequency)) {
+      return { ...parameters, x };
+    }
+
+    const index = x * duration * frequency - 1;
+
+    return {
+      ...parameters, x, index, time: index * period,
+    };
+  }
+
+  /**
+   * Transform numeric values (leaving values that indicate no movement alone).
+   */
+  static #mapValue (value, fn) {
+    return Number.isFinite(value) ? fn(value) : value;
+  }
+
   /**
    * Return a copy of the default configuration.
    */
@@ -23,6 +23,15 @@ class AyvaBehavior {
     throw new Error('Behavior does not implement generateActions()');
   }
 
+  /**
+   * Start this behavior over (i.e. when a looping {@link Playlist} plays it again). Clears the action queue and the
+   * complete flag. Subclasses that keep track of their progress should override this method and call super.restart().
+   */
+  restart () {
+    this.#actions.splice(0, this.#actions.length);
+    this.#complete = false;
+  }
+
   /**
    * Generates and returns the actions of this behavior.
    * Any actions that were already on this behaviors action queue will also be returned.
@@ -63,7 +63,8 @@ class ClassicStroke extends AyvaBehavior {
    * @param {Number|Array|Function} bottom - bottom of the stroke, array of bottoms, or a function that computes the bottom for each down stroke
    * @param {Number|Array|Function} top - top of the stroke, array of tops, or a function that computes the top for each up stroke
    * @param {Number|Array|Function} speed - speed of the stroke, array of speeds, or a function that computes the speed for each stroke
-   * @param {Function|Array} shape - a value provider for the shape or an even-lengthed array of value providers
+   * @param {Function|String|Array} shape - a value provider or easing name (see {@link Ayva.easings}) for the shape,
+   * or an even-lengthed array of them
    *//**
    * Create a new ClassicStroke.
    *
@@ -169,7 +170,8 @@ class ClassicStroke extends AyvaBehavior {
       strokeConfig.speed = StrokeParameterProvider.createFrom(strokeConfig.speed);
     }
 
-    const { shape } = strokeConfig;
+    const shape = strokeConfig.shape instanceof Array
+      ? strokeConfig.shape.map((s) => this.#resolveShape(s)) : this.#resolveShape(strokeConfig.shape);
 
     if (shape instanceof Array) {
       strokeConfig.shape = new StrokeParameterProvider((index) => shape[index % shape.length]);
@@ -190,6 +192,10 @@ class ClassicStroke extends AyvaBehavior {
     }
   }
 
+  #resolveShape (shape) {
+    return typeof shape === 'string' ? Ayva.easings[shape] : shape;
+  }
+
   #computeAxisMove (axis, { direction, value, target, speed, ayva }) { // eslint-disable-line object-curly-newline
     const { frequency } = ayva;
     const phase = (direction === 'up' ? 0 : 2) + (this.#config[axis].phase || 0);
@@ -294,7 +300,9 @@ class ClassicStroke extends AyvaBehavior {
       fail('duration', config.duration);
     }
 
-    if (typeof config.shape !== 'function' && !(config.shape instanceof Array)) {
+    const validShape = (shape) => typeof shape === 'function' || (typeof shape === 'string' && has(Ayva.easings, shape));
+
+    if (!validShape(config.shape) && !(config.shape instanceof Array)) {
       fail('shape', config.shape);
     }
 
@@ -334,7 +342,7 @@ class ClassicStroke extends AyvaBehavior {
       }
 
       config.shape.forEach((shape) => {
-        if (typeof shape !== 'function') {
+        if (!validShape(shape)) {
           fail('shape', shape);
         }
       });
@@ -0,0 +1,140 @@
+import Ayva from '../ayva.js';
+import AyvaBehavior from './ayva-behavior.js';
+import { has, round } from '../util/util.js';
+import { parseFunscript, axisFromFilename, positionAt } from '../util/funscript.js';
+
+const START_SPEED = 0.5; // The default speed of Ayva#home().
+
+/**
+ * A behavior that plays back standard funscripts. Each action's pos (0 - 100) is mapped onto an axis,
+ * and consecutive actions become moves whose durations match the gaps between them. Playback begins by moving
+ * to the positions of any actions at time zero (at the same speed as {@link Ayva#home}).
+ *
+ * Multi-axis bundles (i.e. video.funscript, video.twist.funscript, video.roll.funscript) are lined up by timestamp
+ * so that every move drives all of the bundle's axes at once.
+ */
+class FunscriptBehavior extends AyvaBehavior {
+  #tracks;
+
+  #times;
+
+  #index = 0;
+
+  #started = false;
+
+  #shape;
+
+  /**
+   * Total length of the script(s) in seconds.
+   */
+  get duration () {
+    return this.#times.length ? this.#times[this.#times.length - 1] / 1000 : 0;
+  }
+
+  /**
+   * Create a new FunscriptBehavior.
+   *
+   * @example
+   * // Play a funscript on the stroke axis.
+   * ayva.do(new FunscriptBehavior(script));
+   *
+   * // Play a funscript on the twist axis.
+   * ayva.do(new FunscriptBehavior(script, 'twist'));
+   *
+   * // Play a multi-axis bundle.
+   * ayva.do(new FunscriptBehavior({
+   *   'video.funscript': strokeScript,
+   *   'video.twist.funscript': twistScript,
+   *   'video.roll.funscript': rollScript,
+   * }));
+   *
+   * @param {Object|String} script - a funscript (object or JSON string), or an object that maps file names or axes to funscripts.
+   * @param {Object|String} [config] - the axis to play a single funscript on, or a configuration object.
+   * @param {String} [config.axis='stroke'] - the axis to play a single funscript on.
+   * @param {Function} [config.shape=Ayva.RAMP_LINEAR] - the value provider used to move between actions.
+   */
+  constructor (script, config = {}) {
+    super();
+
+    const { axis = 'stroke', shape = Ayva.RAMP_LINEAR } = typeof config === 'string' ? { axis: config } : config;
+
+    if (typeof shape !== 'function') {
+      throw new Error(`Invalid shape: ${shape}`);
+    }
+
+    this.#shape = shape;
+    this.#tracks = this.#createTracks(script, axis);
+
+    // Actions at time zero have no gap to move in, so they are moved to before playback begins.
+    const times = this.#tracks.flatMap((track) => track.actions.map((action) => action.at)).filter((at) => at > 0);
+    this.#times = [...new Set(times)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Start playback over from the first action.
+   */
+  restart () {
+    super.restart();
+    this.#index = 0;
+    this.#started = false;
+  }
+
+  generateActions () {
+    if (!this.#started) {
+      this.#started = true;
+
+      const startMoves = this.#tracks.filter((track) => track.actions[0].at === 0).map((track) => ({
+        axis: track.axis,
+        to: round(positionAt(track.actions, 0) / 100, Ayva.precision),
+        speed: START_SPEED,
+        value: this.#shape,
+      }));
+
+      if (startMoves.length) {
+        this.queueMove(...startMoves);
+        return;
+      }
+    }
+
+    if (this.#index >= this.#times.length) {
+      this.queueComplete();
+      return;
+    }
+
+    const previousTime = this.#index > 0 ? this.#times[this.#index - 1] : 0;
+    const time = this.#times[this.#index++];
+
+    this.queueMove(...this.#tracks.map((track) => ({
+      axis: track.axis,
+      to: round(positionAt(track.actions, time) / 100, Ayva.precision),
+      duration: (time - previousTime) / 1000,
+      value: this.#shape,
+    })));
+  }
+
+  #createTracks (script, axis) {
+    if (typeof script === 'string' || (script && has(script, 'actions'))) {
+      return [{ axis, actions: parseFunscript(script) }];
+    }
+
+    if (!script || typeof script !== 'object' || !Object.keys(script).length) {
+      throw new Error(`Invalid funscript: ${script}`);
+    }
+
+    const keysByAxis = {};
+
+    return Object.keys(script).map((key) => {
+      const trackAxis = /\.funscript$/i.test(key) ? axisFromFilename(key) : key;
+
+      if (has(keysByAxis, trackAxis)) {
+        throw new Error(`Funscripts '${keysByAxis[trackAxis]}' and '${key}' both drive axis: ${trackAxis}`);
+      }
+
+      keysByAxis[trackAxis] = key;
+
+      return { axis: trackAxis, actions: parseFunscript(script[key]) };
+    });
+  }
+}
+
+export default FunscriptBehavior;
@@ -0,0 +1,331 @@
+import AyvaBehavior from './ayva-behavior.js';
+import TempestStroke from './tempest-stroke.js';
+import VariableDuration from '../util/variable-duration.js';
+import { has, validNumber } from '../util/util.js';
+import { shuffle } from '../util/random.js';
+
+/**
+ * A behavior that performs a list of behaviors in order (or shuffled). Each entry plays for a fixed duration,
+ * a {@link VariableDuration}, or a number of iterations. Entries without a length play until their behavior completes.
+ *
+ * Entries are performed one iteration at a time (see {@link AyvaBehavior#queueBehavior}), so lengths are measured and
+ * calls to skip(), previous(), and jumpTo() take effect at the end of the current iteration. When looping, behaviors that
+ * have completed are restarted (see {@link AyvaBehavior#restart}) each time the playlist starts over.
+ * Transitions between consecutive TempestStroke entries are created automatically (see {@link TempestStroke#createTransition}).
+ */
+class Playlist extends AyvaBehavior {
+  #entries;
+
+  #order;
+
+  #loop;
+
+  #shuffle;
+
+  #transitionDuration;
+
+  #random;
+
+  #randomSource;
+
+  #position = 0;
+
+  #pendingPosition = null;
+
+  #current = null;
+
+  #passStartTime = null;
+
+  #ayva = null;
+
+  /**
+   * The index of the current entry.
+   */
+  get index () {
+    return this.#order[this.#position];
+  }
+
+  /**
+   * The current position in the playlist, i.e. { index: 2, elapsed: 10.5, duration: 30, iteration: 12, iterations: null }.
+   * Elapsed and duration are in seconds of {@link Ayva#now} (which stands still while paused). Duration is null for entries
+   * measured in iterations (and vice versa).
+   */
+  get position () {
+    const current = this.#current || {};
+
+    return {
+      index: this.index,
+      elapsed: current.startTime === undefined ? 0 : this.#ayva.now() - current.startTime,
+      duration: current.duration ?? null,
+      iteration: current.iteration ?? 0,
+      iterations: current.iterations ?? null,
+    };
+  }
+
+  get entries () {
+    return this.#entries.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Create a new Playlist.
+   *
+   * @example
+   * ayva.do(new Playlist([
+   *   { behavior: new TempestStroke('orbit-grind'), duration: 30 },
+   *   { behavior: new TempestStroke('vortex-tease'), duration: new VariableDuration(20, 40) },
+   *   { behavior: new ClassicStroke(), iterations: 10 },
+   * ], { loop: true }));
+   *
+   * @param {Object[]} entries - the entries of the playlist.
+   * @param {AyvaBehavior} entries[].behavior - the behavior to perform.
+   * @param {Number|VariableDuration} [entries[].duration] - how long to perform the behavior in seconds
+   * (a {@link VariableDuration} picks a new length from the random source of the playlist each time the entry starts).
+   * @param {Number} [entries[].iterations] - how many iterations of the behavior to perform.
+   * @param {Object} [options]
+   * @param {Boolean} [options.loop=false] - whether to start over after the last entry.
+   * @param {Boolean} [options.shuffle=false] - whether to play the entries in random order (shuffled when playback starts and each loop).
+   * @param {Number} [options.transitionDuration=2] - duration in seconds of transitions between TempestStrokes.
+   * @param {Function} [options.random] - source of random numbers for shuffling and variable durations. Defaults to {@link Ayva#random}.
+   */
+  constructor (entries, {
+    loop = false, shuffle: shuffleEntries = false, transitionDuration = 2, random = null,
+  } = {}) {
+    super();
+
+    if (!(entries instanceof Array) || !entries.length) {
+      throw new Error(`Invalid playlist entries: ${entries}`);
+    }
+
+    if (!validNumber(transitionDuration, 0)) {
+      throw new Error(`Invalid transition duration: ${transitionDuration}`);
+    }
+
+    if (random !== null && !(random instanceof Function)) {
+      throw new Error(`Invalid random: ${random}`);
+    }
+
+    this.#entries = entries.map((entry) => this.#validateEntry(entry));
+    this.#loop = !!loop;
+    this.#shuffle = !!shuffleEntries;
+    this.#transitionDuration = transitionDuration;
+    this.#random = random;
+    this.#order = this.#createOrder();
+  }
+
+  /**
+   * Skip to the next entry.
+   */
+  skip () {
+    this.#pendingPosition = (this.#pendingPosition ?? this.#position) + 1;
+  }
+
+  /**
+   * Go back to the previous entry.
+   */
+  previous () {
+    this.#pendingPosition = (this.#pendingPosition ?? this.#position) - 1;
+  }
+
+  /**
+   * Jump to the entry at the specified index.
+   *
+   * @param {Number} index - the index of the entry.
+   */
+  jumpTo (index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.#entries.length) {
+      throw new Error(`Invalid index: ${index}`);
+    }
+
+    this.#pendingPosition = this.#order.indexOf(index);
+  }
+
+  /**
+   * Start over from the first entry (restarting behaviors that have completed).
+   */
+  restart () {
+    super.restart();
+    this.#restartCompleted();
+    this.#order = this.#createOrder();
+    this.#position = 0;
+    this.#pendingPosition = null;
+    this.#current = null;
+  }
+
+  generateActions (ayva) {
+    this.#ayva = ayva;
+    this.#randomSource = this.#random || ayva.random;
+
+    if (!this.#current) {
+      this.#passStartTime = ayva.now();
+
+      if (this.#shuffle) {
+        this.#shuffleFirstPass();
+      }
+    }
+
+    let nextPosition = null;
+
+    if (this.#pendingPosition !== null) {
+      nextPosition = this.#pendingPosition;
+      this.#pendingPosition = null;
+    } else if (!this.#current) {
+      nextPosition = this.#position;
+    } else if (this.#entryComplete()) {
+      nextPosition = this.#position + 1;
+    }
+
+    if (nextPosition !== null && !this.#start(nextPosition, ayva)) {
+      this.queueComplete();
+      return;
+    }
+
+    this.#current.iteration++;
+    this.queueBehavior(this.#entries[this.index].behavior, 1, ayva);
+  }
+
+  /**
+   * Start the entry at the specified position (skipping entries whose behaviors have already completed).
+   *
+   * @returns {Boolean} false if there are no more entries to play.
+   */
+  #start (position, ayva) {
+    const previousBehavior = this.#current ? this.#entries[this.index].behavior : null;
+
+    for (let attempts = 0; attempts <= this.#entries.length; attempts++) {
+      const nextPosition = this.#wrap(position + attempts);
+
+      if (nextPosition === null) {
+        return false;
+      }
+
+      this.#position = nextPosition;
+      const entry = this.#entries[this.index];
+
+      if (!entry.behavior.complete) {
+        // Variable durations pick a new length every time the entry starts (i.e. on each loop).
+        this.#current = {
+          startTime: this.#ayva.now(),
+          duration: entry.duration instanceof VariableDuration ? entry.duration.pickLength(this.#randomSource) : entry.duration,
+          iteration: 0,
+          iterations: entry.iterations,
+        };
+
+        this.#queueTransition(previousBehavior, entry.behavior, ayva);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Map a position onto the play order, starting over (and reshuffling) when looping.
+   */
+  #wrap (position) {
+    const { length } = this.#entries;
+
+    if (position < 0) {
+      return this.#loop ? length - 1 : 0;
+    }
+
+    if (position < length) {
+      return position;
+    }
+
+    if (!this.#loop || this.#ayva.now() === this.#passStartTime) {
+      // Also stop when the last pass took no time (i.e. every behavior completed again as soon as it was restarted).
+      return null;
+    }
+
+    this.#passStartTime = this.#ayva.now();
+    this.#restartCompleted();
+
+    if (this.#shuffle) {
+      this.#order = shuffle(this.#createOrder(), this.#randomSource);
+    }
+
+    return position % length;
+  }
+
+  #restartCompleted () {
+    this.#entries.forEach(({ behavior }) => {
+      if (behavior.complete) {
+        behavior.restart();
+      }
+    });
+  }
+
+  #queueTransition (previousBehavior, nextBehavior, ayva) {
+    const tempestToTempest = previousBehavior instanceof TempestStroke && nextBehavior instanceof TempestStroke;
+
+    if (!tempestToTempest || previousBehavior === nextBehavior || !this.#transitionDuration) {
+      return;
+    }
+
+    const { transitionStroke, nextStroke } = previousBehavior.createTransition(
+      this.#transitionDuration,
+      nextBehavior.axes,
+      nextBehavior.bpm
+    );
+
+    nextBehavior.angle = nextStroke.angle;
+    this.queueBehavior(transitionStroke, 1, ayva);
+  }
+
+  #entryComplete () {
+    const {
+      startTime, duration, iteration, iterations,
+    } = this.#current;
+
+    if (this.#entries[this.index].behavior.complete) {
+      return true;
+    }
+
+    if (duration !== undefined) {
+      return this.#ayva.now() - startTime >= duration;
+    }
+
+    return iterations !== undefined && iteration >= iterations;
+  }
+
+  /**
+   * The first pass is shuffled when playback starts (so that it can draw from the random source of Ayva).
+   * An entry that was jumped to before then is still the one that plays first.
+   */
+  #shuffleFirstPass () {
+    const pendingIndex = this.#order[this.#pendingPosition];
+    this.#order = shuffle(this.#createOrder(), this.#randomSource);
+
+    if (pendingIndex !== undefined) {
+      this.#pendingPosition = this.#order.indexOf(pendingIndex);
+    }
+  }
+
+  #createOrder () {
+    return this.#entries.map((entry, index) => index);
+  }
+
+  #validateEntry (entry) {
+    if (!entry || !(entry.behavior instanceof AyvaBehavior)) {
+      throw new Error(`Invalid playlist entry: ${entry}`);
+    }
+
+    const { behavior, duration, iterations } = entry;
+
+    if (has(entry, 'duration') && has(entry, 'iterations')) {
+      throw new Error('Cannot specify both a duration and iterations.');
+    }
+
+    if (duration !== undefined && !(duration instanceof VariableDuration) && !validNumber(duration, 0)) {
+      throw new Error(`Invalid duration: ${duration}`);
+    }
+
+    if (iterations !== undefined && !(Number.isInteger(iterations) && iterations > 0)) {
+      throw new Error(`Invalid iterations: ${iterations}`);
+    }
+
+    return { behavior, duration, iterations };
+  }
+}
+
+export default Playlist;
@@ -0,0 +1,224 @@
+import AyvaBehavior from './ayva-behavior.js';
+import ClassicStroke from './classic-stroke.js';
+import TempestStroke from './tempest-stroke.js';
+import VariableDuration from '../util/variable-duration.js';
+import {
+  clamp, has, round, validNumber,
+} from '../util/util.js';
+
+/**
+ * A behavior that endlessly picks behaviors at random from a weighted pool ("auto mode"). Each pick is performed for a
+ * fixed duration or a {@link VariableDuration} (like the entries of a {@link Playlist}), and the bpm drifts randomly within
+ * bounds from one pick to the next. Transitions between TempestStrokes are created automatically
+ * (see {@link TempestStroke#createTransition}).
+ *
+ * Entries in the pool can be the name of a TempestStroke in the library (see {@link TempestStroke.library}),
+ * or objects with either a <code>tempest</code> property (a library name or TempestStroke config) or a <code>classic</code>
+ * property (a ClassicStroke config), and an optional <code>weight</code> (default 1). ClassicStroke configs without
+ * a speed or duration get a duration that matches the bpm.
+ */
+class RandomBehaviorSelector extends AyvaBehavior {
+  #pool;
+
+  #duration;
+
+  #bpm;
+
+  #allowRepeats;
+
+  #random;
+
+  #randomSource;
+
+  #transitionDuration;
+
+  #currentBpm = null;
+
+  #current = null;
+
+  #ayva = null;
+
+  /**
+   * The current pick, i.e. { index: 2, behavior: <TempestStroke>, bpm: 72, duration: 31.5 } (or null before the first pick).
+   */
+  get current () {
+    return this.#current ? {
+      index: this.#current.index,
+      behavior: this.#current.behavior,
+      bpm: this.#current.bpm,
+      duration: this.#current.duration,
+    } : null;
+  }
+
+  /**
+   * The current bpm (or null before the first pick).
+   */
+  get bpm () {
+    return this.#currentBpm;
+  }
+
+  /**
+   * Create a new RandomBehaviorSelector.
+   *
+   * @example
+   * ayva.do(new RandomBehaviorSelector([
+   *   'orbit-grind',
+   *   { tempest: 'vortex-tease', weight: 2 },
+   *   { classic: { bottom: 0, top: 1, shape: Ayva.RAMP_PARABOLIC } },
+   * ], {
+   *   duration: new VariableDuration(20, 40),
+   *   bpm: { from: 30, to: 90, drift: 10 },
+   * }));
+   *
+   * @param {Array} pool - the behaviors to pick from.
+   * @param {Object} [options]
+   * @param {Number|VariableDuration} [options.duration=new VariableDuration(20, 40)] - how long to perform each pick in seconds
+   * (a {@link VariableDuration} picks a new length from the random source of the selector for each pick).
+   * @param {Object} [options.bpm={ from: 40, to: 80, drift: 10 }] - the bpm bounds, and how much the bpm may change between picks.
+   * @param {Boolean} [options.allowRepeats=false] - whether the same entry may be picked twice in a row.
+   * @param {Number} [options.transitionDuration=2] - duration in seconds of transitions between TempestStrokes.
+   * @param {Function} [options.random] - source of random numbers in the range [0, 1). Defaults to {@link Ayva#random}.
+   */
+  constructor (pool, {
+    duration = new VariableDuration(20, 40),
+    bpm = { from: 40, to: 80, drift: 10 },
+    allowRepeats = false,
+    transitionDuration = 2,
+    random = null,
+  } = {}) {
+    super();
+
+    if (!(pool instanceof Array) || !pool.length) {
+      throw new Error(`Invalid pool: ${pool}`);
+    }
+
+    if (!(duration instanceof VariableDuration) && !validNumber(duration, 0)) {
+      throw new Error(`Invalid duration: ${duration}`);
+    }
+
+    if (!bpm || !(validNumber(bpm.from) && bpm.from > 0) || !validNumber(bpm.to, bpm.from) || !validNumber(bpm.drift ?? 0, 0)) {
+      throw new Error(`Invalid bpm range: (${bpm && bpm.from}, ${bpm && bpm.to})`);
+    }
+
+    if (!validNumber(transitionDuration, 0)) {
+      throw new Error(`Invalid transition duration: ${transitionDuration}`);
+    }
+
+    if (random !== null && !(random instanceof Function)) {
+      throw new Error(`Invalid random: ${random}`);
+    }
+
+    this.#pool = pool.map((entry) => this.#validateEntry(entry));
+    this.#duration = duration;
+    this.#bpm = { drift: 0, ...bpm };
+    this.#allowRepeats = !!allowRepeats;
+    this.#transitionDuration = transitionDuration;
+    this.#random = random;
+  }
+
+  generateActions (ayva) {
+    this.#ayva = ayva;
+    this.#randomSource = this.#random || ayva.random;
+
+    if (!this.#current || this.#ayva.now() - this.#current.startTime >= this.#current.duration) {
+      this.#pick(ayva);
+    }
+
+    this.queueBehavior(this.#current.behavior, 1, ayva);
+  }
+
+  #pick (ayva) {
+    const previous = this.#current;
+    const { from, to, drift } = this.#bpm;
+
+    if (previous) {
+      this.#currentBpm = clamp(round(this.#currentBpm + this.#between(-drift, drift), 2), from, to);
+    } else {
+      this.#currentBpm = this.#between(from, to);
+    }
+
+    const index = this.#pickIndex(previous ? previous.index : null);
+    const entry = this.#pool[index];
+    let behavior;
+
+    if (has(entry, 'classic')) {
+      const config = { ...entry.classic };
+
+      if (!has(config, 'speed') && !has(config, 'duration')) {
+        // One stroke per beat.
+        config.duration = 30 / this.#currentBpm;
+      }
+
+      behavior = new ClassicStroke(config);
+    } else if (previous && previous.behavior instanceof TempestStroke && this.#transitionDuration) {
+      const { transitionStroke, nextStroke } = previous.behavior.createTransition(
+        this.#transitionDuration,
+        entry.tempest,
+        this.#currentBpm
+      );
+
+      this.queueBehavior(transitionStroke, 1, ayva);
+      behavior = nextStroke;
+    } else {
+      behavior = new TempestStroke(entry.tempest, this.#currentBpm);
+    }
+
+    this.#current = {
+      index,
+      behavior,
+      bpm: this.#currentBpm,
+      duration: this.#duration instanceof VariableDuration ? this.#duration.pickLength(this.#randomSource) : this.#duration,
+      startTime: this.#ayva.now(),
+    };
+  }
+
+  /**
+   * Pick the index of an entry at random according to the weights (excluding the previous pick unless repeats are allowed).
+   */
+  #pickIndex (previousIndex) {
+    const excluded = this.#allowRepeats || this.#pool.length === 1 ? null : previousIndex;
+    const candidates = this.#pool.map((entry, index) => index).filter((index) => index !== excluded);
+    const totalWeight = candidates.reduce((total, index) => total + this.#pool[index].weight, 0);
+
+    let target = this.#randomSource() * totalWeight;
+
+    for (const index of candidates.slice(0, -1)) {
+      target -= this.#pool[index].weight;
+
+      if (target < 0) {
+        return index;
+      }
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  #between (from, to) {
+    return from + this.#randomSource() * (to - from);
+  }
+
+  #validateEntry (entry) {
+    const normalized = typeof entry === 'string' ? { tempest: entry } : entry;
+
+    if (!normalized || typeof normalized !== 'object' || has(normalized, 'tempest') === has(normalized, 'classic')) {
+      throw new Error(`Invalid pool entry: ${JSON.stringify(entry)}`);
+    }
+
+    const { weight = 1 } = normalized;
+
+    if (!validNumber(weight) || weight <= 0) {
+      throw new Error(`Invalid weight: ${weight}`);
+    }
+
+    if (has(normalized, 'tempest')) {
+      // Fail early on invalid configs.
+      new TempestStroke(normalized.tempest); // eslint-disable-line no-new
+      return { tempest: normalized.tempest, weight };
+    }
+
+    new ClassicStroke({ ...normalized.classic }); // eslint-disable-line no-new
+    return { classic: normalized.classic, weight };
+  }
+}
+
+export default RandomBehaviorSelector;
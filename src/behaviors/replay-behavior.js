@@ -0,0 +1,118 @@
+import Ayva from '../ayva.js';
+import AyvaBehavior from './ayva-behavior.js';
+import RecordingDevice from '../devices/recording-device.js';
+import TCodeParser from '../util/tcode-parser.js';
+import { round } from '../util/util.js';
+
+/**
+ * A behavior that plays back a recorded TCode stream (see {@link RecordingDevice}) with its original timing.
+ * Commands are parsed with a {@link TCodeParser}, so positions are mapped back through the limits of each axis and the original
+ * commands are reproduced when the limits (and output mode) match. Commands for axes that are not configured are ignored.
+ */
+class ReplayBehavior extends AyvaBehavior {
+  #recording;
+
+  #index = 0;
+
+  #startTime;
+
+  /**
+   * Create a new ReplayBehavior.
+   *
+   * @example
+   * ayva.do(new ReplayBehavior(log));
+   *
+   * @param {String|Object[]|RecordingDevice} recording - a .tcode log, an array of recorded commands, or a recording device.
+   */
+  constructor (recording) {
+    super();
+
+    if (recording instanceof RecordingDevice) {
+      this.#recording = recording.recording;
+    } else if (recording instanceof Array) {
+      this.#recording = recording.map((entry) => ({ ...entry }));
+    } else if (typeof recording === 'string') {
+      this.#recording = RecordingDevice.parse(recording);
+    } else {
+      throw new Error(`Invalid recording: ${recording}`);
+    }
+  }
+
+  /**
+   * Start the replay over from the first command.
+   */
+  restart () {
+    super.restart();
+    this.#index = 0;
+    this.#startTime = undefined;
+  }
+
+  generateActions () {
+    if (this.#index >= this.#recording.length) {
+      this.queueComplete();
+      return;
+    }
+
+    const { time, command } = this.#recording[this.#index++];
+    const next = this.#recording[this.#index];
+    const gap = next ? next.time - time : Infinity;
+
+    this.queueFunction(async (behavior, ayva) => {
+      if (this.#startTime === undefined) {
+        this.#startTime = ayva.now() - time;
+      }
+
+      // Sleep until the time of the command relative to the start, so that timing errors do not accumulate.
+      // Times are on the clock that ayva.sleep() runs on, so time spent paused does not need to be caught up.
+      const delay = this.#startTime + time - ayva.now();
+
+      if (delay > 0 && !(await ayva.sleep(delay))) {
+        return;
+      }
+
+      const moves = this.#parse(command, ayva, gap);
+
+      if (moves.length) {
+        await ayva.move(...moves);
+      }
+    });
+  }
+
+  /**
+   * Parse a line of TCode (i.e. L05000 R02500I1000) into moves. Live commands become single step moves, so that each line
+   * of the recording is written as a single command. Moves that the device interpolated (interval and speed commands) end
+   * where the device got to when the next line interrupted them (i.e. a DSTOP).
+   */
+  #parse (command, ayva, gap) {
+    const movements = {};
+
+    new TCodeParser(ayva).parse(command).filter(({ type }) => type === 'move').forEach((move) => {
+      move.movements.forEach((movement) => {
+        movements[movement.axis] = movement;
+      });
+    });
+
+    return Object.values(movements).map(({
+      axis, to, duration, speed,
+    }) => {
+      const from = ayva.getAxis(axis).value;
+      const moveDuration = speed ? Math.abs(to - from) / speed : duration;
+
+      if (!(moveDuration > ayva.period)) {
+        // Live commands (and boolean axes).
+        return { axis, value: () => to, duration: Math.min(gap, ayva.period) || ayva.period };
+      }
+
+      const progress = Math.min(gap / moveDuration, 1);
+
+      return {
+        axis,
+        to: round(from + (to - from) * progress, Ayva.precision),
+        duration: Math.min(gap, moveDuration),
+        value: Ayva.RAMP_LINEAR,
+      };
+    });
+  }
+}
+
+export default ReplayBehavior;
@@ -0,0 +1,149 @@
+import TCodeDevice from './tcode-device.js';
+import { validNumber } from '../util/util.js';
+
+/**
+ * Base class for devices that are connected over a network. Reconnects automatically when the connection
+ * is lost, and buffers commands while disconnected (up to a limit, after which the oldest commands are dropped).
+ *
+ * Emits <code>connect</code> and <code>disconnect</code> events, <code>line</code> for each line the device responds with,
+ * and <code>error</code> for connection errors. See {@link TCodeDevice} for querying the device.
+ *
+ * Subclasses implement _open(), _send(), and _close(), and call _opened(), _closed(), and _receive() as the connection changes.
+ */
+class NetworkDevice extends TCodeDevice {
+  _bufferLimit;
+
+  _reconnectDelay;
+
+  #state = 'disconnected';
+
+  #buffer = [];
+
+  #reconnectTimeout = null;
+
+  #stopped = true;
+
+  /**
+   * The state of the connection: connecting, connected, or disconnected.
+   */
+  get state () {
+    return this.#state;
+  }
+
+  get connected () {
+    return this.#state === 'connected';
+  }
+
+  /**
+   * The commands waiting to be sent when the device reconnects.
+   */
+  get buffer () {
+    return [...this.#buffer];
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.bufferLimit=100] - maximum number of commands to buffer while disconnected.
+   * @param {Number} [options.reconnectDelay=1000] - milliseconds to wait before attempting to reconnect.
+   */
+  constructor ({ bufferLimit = 100, reconnectDelay = 1000 } = {}) {
+    super();
+
+    if (!validNumber(bufferLimit, 0)) {
+      throw new Error(`Invalid buffer limit: ${bufferLimit}`);
+    }
+
+    if (!validNumber(reconnectDelay, 0)) {
+      throw new Error(`Invalid reconnect delay: ${reconnectDelay}`);
+    }
+
+    this._bufferLimit = bufferLimit;
+    this._reconnectDelay = reconnectDelay;
+  }
+
+  /**
+   * Connect to the device. Reconnects automatically until disconnect() is called.
+   *
+   * @returns {Promise} a promise that resolves when the device is connected.
+   */
+  connect () {
+    const connected = new Promise((resolve) => {
+      if (this.connected) {
+        resolve();
+      } else {
+        this.once('connect', resolve);
+      }
+    });
+
+    if (this.#stopped) {
+      this.#stopped = false;
+      this.#open();
+    }
+
+    return connected;
+  }
+
+  /**
+   * Close the connection and stop reconnecting.
+   */
+  disconnect () {
+    this.#stopped = true;
+    clearTimeout(this.#reconnectTimeout);
+
+    if (this.#state !== 'disconnected') {
+      this._close();
+    }
+  }
+
+  /**
+   * Write output to the device. Output is buffered while the device is disconnected.
+   *
+   * @param {String} output - string to send to the device.
+   */
+  write (output) {
+    if (this.connected) {
+      this._send(output);
+      return;
+    }
+
+    this.#buffer.push(output);
+
+    if (this.#buffer.length > this._bufferLimit) {
+      this.#buffer.shift();
+    }
+  }
+
+  /**
+   * Subclasses call this when the connection has opened.
+   */
+  _opened () {
+    this._clearReceived();
+    this.#state = 'connected';
+    this.emit('connect');
+
+    this.#buffer.splice(0, this.#buffer.length).forEach((output) => this._send(output));
+  }
+
+  /**
+   * Subclasses call this when the connection has closed (or failed to open).
+   */
+  _closed () {
+    const wasConnected = this.connected;
+    this.#state = 'disconnected';
+
+    if (wasConnected) {
+      this.emit('disconnect');
+    }
+
+    if (!this.#stopped) {
+      this.#reconnectTimeout = setTimeout(() => this.#open(), this._reconnectDelay);
+    }
+  }
+
+  #open () {
+    this.#state = 'connecting';
+    this._open();
+  }
+}
+
+export default NetworkDevice;
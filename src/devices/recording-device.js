@@ -0,0 +1,118 @@
+/**
+ * Output device that records every command it receives along with a timestamp from Ayva's timer.
+ * Useful for regression testing and bug reports. Recordings can be exported to and imported from
+ * a simple line based .tcode log format, and played back with a {@link ReplayBehavior}.
+ *
+ * Each line of a .tcode log is the time in milliseconds since the first command followed by the command:
+ *
+ * <pre>
+ * 0 L04800 R05000
+ * 20.001 L04600
+ * </pre>
+ */
+class RecordingDevice {
+  #ayva;
+
+  #recording = [];
+
+  #startTime = null;
+
+  /**
+   * The recorded commands (without newlines) and the time they were written in seconds since the first command.
+   */
+  get recording () {
+    return this.#recording.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Create a new RecordingDevice.
+   *
+   * @example
+   * const recorder = new RecordingDevice(ayva);
+   * ayva.addOutputDevice(recorder);
+   *
+   * // ...
+   *
+   * const log = recorder.export();
+   *
+   * @param {Ayva} ayva - the instance of Ayva whose timer timestamps commands.
+   */
+  constructor (ayva) {
+    if (!(ayva && ayva.getTimer instanceof Function)) {
+      throw new Error(`Invalid instance of Ayva: ${ayva}`);
+    }
+
+    this.#ayva = ayva;
+  }
+
+  /**
+   * Record output.
+   *
+   * @param {String} output - the command written.
+   */
+  write (output) {
+    const now = this.#ayva.getTimer().now();
+
+    if (this.#startTime === null) {
+      this.#startTime = now;
+    }
+
+    output.split('\n').map((command) => command.trim()).filter((command) => command).forEach((command) => {
+      this.#recording.push({ time: now - this.#startTime, command });
+    });
+  }
+
+  /**
+   * Discard the recording.
+   */
+  clear () {
+    this.#recording = [];
+    this.#startTime = null;
+  }
+
+  /**
+   * Export the recording to the .tcode log format.
+   *
+   * @returns {String} the log.
+   */
+  export () {
+    return this.#recording.map(({ time, command }) => `${+(time * 1000).toFixed(3)} ${command}\n`).join('');
+  }
+
+  /**
+   * Replace the recording with one imported from the .tcode log format.
+   *
+   * @param {String} log - the log.
+   * @returns this, for chaining.
+   */
+  import (log) {
+    this.#recording = RecordingDevice.parse(log);
+    this.#startTime = null;
+    return this;
+  }
+
+  /**
+   * Parse a .tcode log into an array of recorded commands. Blank lines and lines starting with # are ignored.
+   *
+   * @param {String} log - the log.
+   * @returns {Object[]} the recorded commands.
+   */
+  static parse (log) {
+    return String(log).split('\n').map((line) => line.trim()).reduce((recording, line, index) => {
+      if (!line || line.startsWith('#')) {
+        return recording;
+      }
+
+      const match = /^(\d+(?:\.\d+)?)\s+(.+)$/.exec(line);
+
+      if (!match) {
+        throw new Error(`Invalid .tcode log entry on line ${index + 1}: ${line}`);
+      }
+
+      recording.push({ time: Number(match[1]) / 1000, command: match[2] });
+      return recording;
+    }, []);
+  }
+}
+
+export default RecordingDevice;
@@ -0,0 +1,140 @@
+import TCodeDevice from './tcode-device.js';
+
+/**
+ * Output device for Node.js that writes to any duplex stream, such as a port from the
+ * [serialport]{@link https://serialport.io} package, a TCP socket, or a pseudo-terminal.
+ *
+ * Emits <code>connect</code> and <code>disconnect</code> events, <code>line</code> for each line the device responds with,
+ * and <code>error</code> for stream errors. See {@link TCodeDevice} for querying the device.
+ */
+class StreamDevice extends TCodeDevice {
+  connected = false;
+
+  _stream = null;
+
+  _bootDelay;
+
+  #listenedStream = null;
+
+  #listeners = {
+    data: (data) => this._receive(data),
+    error: (error) => this.emit('error', error),
+    close: () => this.#disconnected(this.#listenedStream),
+  };
+
+  /**
+   * Create a new StreamDevice.
+   *
+   * @example
+   * import { SerialPort } from 'serialport';
+   *
+   * const device = new StreamDevice(new SerialPort({ path: '/dev/ttyUSB0', baudRate: 115200 }));
+   * device.on('line', (line) => console.log(line));
+   *
+   * await device.connect();
+   * ayva.addOutputDevice(device);
+   *
+   * @param {Duplex} [stream] - the stream to connect to (may also be passed to connect()).
+   * @param {Number} [bootDelay=2000] - milliseconds to wait after connecting so that the device has time to boot.
+   */
+  constructor (stream = null, bootDelay = 2000) {
+    super();
+    this._stream = stream;
+    this._bootDelay = bootDelay;
+  }
+
+  /**
+   * Connect to the stream. Waits for the stream to open if it is not open yet.
+   *
+   * @param {Duplex} [stream] - the stream to connect to (defaults to the stream passed to the constructor).
+   * @returns {Promise} a promise that resolves when the device is connected, and rejects if the device failed to connect.
+   */
+  async connect (stream = this._stream) {
+    if (!stream || !(stream.write instanceof Function) || !(stream.on instanceof Function)) {
+      throw new Error(`Invalid stream: ${stream}`);
+    }
+
+    if (stream.isOpen === false) {
+      // i.e. a serial port that is still opening.
+      await new Promise((resolve, reject) => {
+        const opened = () => {
+          stream.removeListener('error', failed); // eslint-disable-line no-use-before-define
+          resolve();
+        };
+
+        const failed = (error) => {
+          stream.removeListener('open', opened);
+          reject(error);
+        };
+
+        stream.once('open', opened);
+        stream.once('error', failed);
+      });
+    }
+
+    this._stream = stream;
+    this.#listen(stream);
+    this._clearReceived();
+
+    this.connected = true;
+    this.emit('connect');
+
+    // Add a small delay so that the OSR has time to "boot" or w/e...
+    return new Promise((resolve) => {
+      setTimeout(resolve, this._bootDelay);
+    });
+  }
+
+  /**
+   * Close the stream.
+   */
+  disconnect () {
+    if (this.connected) {
+      const stream = this._stream;
+
+      this.#disconnected(stream);
+      stream.end();
+    }
+  }
+
+  /**
+   * Write output to the device.
+   *
+   * @param {String} output - string to send to the device.
+   */
+  write (output) {
+    if (this.connected) {
+      this._stream.write(output);
+    } else {
+      throw new Error('No device connected.');
+    }
+  }
+
+  /**
+   * Listen to a stream once, no matter how many times it is reconnected, and stop listening to the previous stream.
+   */
+  #listen (stream) {
+    if (stream === this.#listenedStream) {
+      return;
+    }
+
+    Object.keys(this.#listeners).forEach((event) => {
+      if (this.#listenedStream) {
+        this.#listenedStream.removeListener(event, this.#listeners[event]);
+      }
+
+      stream.on(event, this.#listeners[event]);
+    });
+
+    this.#listenedStream = stream;
+  }
+
+  #disconnected (stream) {
+    if (this.connected && stream === this._stream) {
+      this.connected = false;
+      this.emit('disconnect');
+    }
+  }
+}
+
+export default StreamDevice;
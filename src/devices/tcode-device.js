@@ -0,0 +1,141 @@
+import EventEmitter from '../util/event-emitter.js';
+import { round } from '../util/util.js';
+
+/**
+ * Base class for devices that communicate with TCode firmware. Splits what the device responds with into lines
+ * (emitted as <code>line</code> events) and supports querying the device with device commands (i.e. D0, D1, D2).
+ */
+class TCodeDevice extends EventEmitter {
+  #received = '';
+
+  #pendingQuery = Promise.resolve();
+
+  /**
+   * Write output to the device. Subclasses must implement this method.
+   *
+   * @param {String} output - string to send to the device.
+   */
+  write (output) { // eslint-disable-line no-unused-vars
+    throw new Error('Device does not implement write()');
+  }
+
+  /**
+   * Send a command to the device and collect the lines it responds with. The response is considered
+   * complete once the device stops responding for a short time. Queries are sent one at a time.
+   *
+   * @example
+   * const [version] = await device.query('D1'); // TCode v0.3
+   *
+   * @param {String} command - the command to send (without a newline).
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=1000] - milliseconds to wait for the device to start responding.
+   * @param {Number} [options.idle=100] - milliseconds without a new line after which the response is complete.
+   * @returns {Promise} a promise that resolves with the lines of the response, and rejects if the device does not respond.
+   */
+  query (command, { timeout = 1000, idle = 100 } = {}) {
+    const response = this.#pendingQuery.then(() => new Promise((resolve, reject) => {
+      const lines = [];
+      let timer;
+
+      const listener = (line) => {
+        lines.push(line);
+        clearTimeout(timer);
+        timer = setTimeout(finish, idle); // eslint-disable-line no-use-before-define
+      };
+
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.off('line', listener);
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(lines);
+        }
+      };
+
+      this.on('line', listener);
+      timer = setTimeout(() => finish(new Error(`No response to query: ${command}`)), timeout);
+
+      try {
+        this.write(`${command}\n`);
+      } catch (error) {
+        finish(error);
+      }
+    }));
+
+    this.#pendingQuery = response.catch(() => {});
+    return response;
+  }
+
+  /**
+   * Query the firmware identity (D0), the TCode version (D1), and the available axes (D2) of the device.
+   * Axis ranges are converted to values between 0 and 1.
+   *
+   * @example
+   * const info = await device.queryInfo();
+   *
+   * // {
+   * //   firmware: 'OSR2 v1.0',
+   * //   version: 'TCode v0.3',
+   * //   axes: [{ name: 'L0', min: 0, max: 1, label: 'Up' }, ...],
+   * // }
+   *
+   * @param {Object} [options] - query options (see {@link TCodeDevice#query}).
+   * @returns {Promise} a promise that resolves with the device information.
+   */
+  async queryInfo (options) {
+    const firmware = (await this.query('D0', options)).join('\n');
+    const version = (await this.query('D1', options)).join('\n');
+    const axes = TCodeDevice.parseAxes(await this.query('D2', options));
+
+    return { firmware, version, axes };
+  }
+
+  /**
+   * Parse the lines of a D2 response (i.e. L0 0 9999 Up) into axes.
+   *
+   * @param {String[]} lines
+   * @returns {Object[]} axes with name, min, max, and label (if present).
+   */
+  static parseAxes (lines) {
+    return lines.map((line) => /^([A-Za-z]\d)\s+(\d+)\s+(\d+)(?:\s+(.+))?$/.exec(line.trim()))
+      .filter((match) => match)
+      .map(([, name, minText, maxText, label]) => {
+        const fullScale = 10 ** Math.max(minText.length, maxText.length) - 1;
+        const axis = {
+          name: name.toUpperCase(),
+          min: round(Number(minText) / fullScale, 4),
+          max: round(Number(maxText) / fullScale, 4),
+        };
+
+        if (label) {
+          axis.label = label;
+        }
+
+        return axis;
+      });
+  }
+
+  /**
+   * Subclasses call this with data received from the device.
+   */
+  _receive (data) {
+    const lines = `${this.#received}${data}`.split('\n');
+    this.#received = lines.pop();
+
+    lines.map((line) => line.trim()).filter((line) => line).forEach((line) => {
+      this.emit('line', line);
+    });
+  }
+
+  /**
+   * Subclasses call this when a new connection is made, so that a partial line received
+   * before the previous connection was lost is not joined to what the device responds with next.
+   */
+  _clearReceived () {
+    this.#received = '';
+  }
+}
+
+export default TCodeDevice;
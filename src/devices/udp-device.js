@@ -0,0 +1,68 @@
+import NetworkDevice from './network-device.js';
+
+/**
+ * Output device for Node.js that sends commands as UDP datagrams (i.e. to ESP32 firmware that accepts TCode over UDP).
+ * See {@link NetworkDevice} for reconnection and buffering behavior.
+ */
+class UdpDevice extends NetworkDevice {
+  _host;
+
+  _port;
+
+  _dgram;
+
+  _socket = null;
+
+  /**
+   * Create a new UdpDevice.
+   *
+   * @example
+   * import dgram from 'dgram';
+   *
+   * const device = new UdpDevice('192.168.1.50', 8000, dgram);
+   *
+   * await device.connect();
+   * ayva.addOutputDevice(device);
+   *
+   * @param {String} host - the host name or address of the device.
+   * @param {Number} port - the port of the device.
+   * @param {Object} dgram - the Node.js dgram module.
+   * @param {Object} [options] - see {@link NetworkDevice}.
+   */
+  constructor (host, port, dgram, options) {
+    super(options);
+
+    if (!(dgram && dgram.createSocket instanceof Function)) {
+      throw new Error(`Invalid dgram module: ${dgram}`);
+    }
+
+    this._host = host;
+    this._port = port;
+    this._dgram = dgram;
+  }
+
+  _open () {
+    const socket = this._dgram.createSocket('udp4');
+    this._socket = socket;
+
+    socket.on('connect', () => this._opened());
+    socket.on('close', () => socket === this._socket && this._closed());
+    socket.on('message', (message) => this._receive(message));
+    socket.on('error', (error) => {
+      this.emit('error', error);
+      socket.close();
+    });
+
+    socket.connect(this._port, this._host);
+  }
+
+  _send (output) {
+    this._socket.send(output);
+  }
+
+  _close () {
+    this._socket.close();
+  }
+}
+
+export default UdpDevice;
@@ -1,8 +1,12 @@
+import TCodeDevice from './tcode-device.js';
+
 /**
  * Small convenience class for easily connecting to a serial device from a browser
  * using the [Web Serial API]{@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Serial_API}.
+ *
+ * Emits <code>line</code> for each line the device responds with. See {@link TCodeDevice} for querying the device.
  */
-class WebSerialDevice {
+class WebSerialDevice extends TCodeDevice {
   connected = false;
 
   _baudRate;
@@ -23,6 +27,7 @@ class WebSerialDevice {
    * @param {Serial} [serial=navigator.serial] - Web Serial API interface.
    */
   constructor (baudRate = 115200, serial = null) {
+    super();
     this._baudRate = baudRate;
     this._serial = serial || (globalThis.navigator ? globalThis.navigator.serial : null);
   }
@@ -51,6 +56,7 @@ class WebSerialDevice {
 
     this._output = encoder.writable.getWriter();
     this._input = decoder.readable.getReader();
+    this._clearReceived();
     this.connected = true;
 
     const disconnectListener = (event) => {
@@ -62,6 +68,7 @@ class WebSerialDevice {
     };
 
     this._serial.addEventListener('disconnect', disconnectListener);
+    this.#read();
 
     // Add a small delay so that the OSR has time to "boot" or w/e...
     return new Promise((resolve) => {
@@ -81,6 +88,25 @@ class WebSerialDevice {
       throw new Error('No device connected.');
     }
   }
+
+  /**
+   * Read responses from the device until it disconnects.
+   */
+  async #read () {
+    try {
+      while (this.connected) {
+        const { value, done } = await this._input.read(); // eslint-disable-line no-await-in-loop
+
+        if (done) {
+          break;
+        }
+
+        this._receive(value);
+      }
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
 }
 
 export default WebSerialDevice;
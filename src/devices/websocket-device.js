@@ -0,0 +1,57 @@
+import NetworkDevice from './network-device.js';
+
+/**
+ * Output device that sends commands over a WebSocket (i.e. to ESP32 firmware that accepts TCode over WebSocket).
+ * See {@link NetworkDevice} for reconnection and buffering behavior.
+ */
+class WebSocketDevice extends NetworkDevice {
+  _url;
+
+  _WebSocket;
+
+  _socket = null;
+
+  /**
+   * Create a new WebSocketDevice.
+   *
+   * @example
+   * const device = new WebSocketDevice('ws://192.168.1.50/ws');
+   *
+   * await device.connect();
+   * ayva.addOutputDevice(device);
+   *
+   * @param {String} url - the url of the WebSocket server.
+   * @param {Object} [options] - see {@link NetworkDevice} for additional options.
+   * @param {Function} [options.WebSocket=globalThis.WebSocket] - WebSocket implementation (i.e. from the ws package in Node.js).
+   */
+  constructor (url, { WebSocket = globalThis.WebSocket, ...options } = {}) {
+    super(options);
+
+    if (!(WebSocket instanceof Function)) {
+      throw new Error('No WebSocket implementation available.');
+    }
+
+    this._url = url;
+    this._WebSocket = WebSocket;
+  }
+
+  _open () {
+    const socket = new this._WebSocket(this._url);
+    this._socket = socket;
+
+    socket.onopen = () => this._opened();
+    socket.onclose = () => socket === this._socket && this._closed();
+    socket.onerror = (error) => this.emit('error', error);
+    socket.onmessage = ({ data }) => this._receive(data);
+  }
+
+  _send (output) {
+    this._socket.send(output);
+  }
+
+  _close () {
+    this._socket.close();
+  }
+}
+
+export default WebSocketDevice;
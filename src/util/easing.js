@@ -0,0 +1,80 @@
+/**
+ * Easing functions that map progress in the range [0, 1] to eased progress (0 at the start, 1 at the end).
+ *
+ * @module
+ * @ignore
+ */
+
+const BACK = 1.70158;
+
+const ELASTIC = (2 * Math.PI) / 3;
+
+function bounceOut (x) {
+  const n = 7.5625;
+  const d = 2.75;
+
+  if (x < 1 / d) {
+    return n * x * x;
+  }
+
+  if (x < 2 / d) {
+    return n * (x - 1.5 / d) ** 2 + 0.75;
+  }
+
+  if (x < 2.5 / d) {
+    return n * (x - 2.25 / d) ** 2 + 0.9375;
+  }
+
+  return n * (x - 2.625 / d) ** 2 + 0.984375;
+}
+
+/**
+ * The "in" form of each family. The "out" and "inOut" forms are derived from it.
+ */
+const EASE_IN = {
+  Quad: (x) => x ** 2,
+  Cubic: (x) => x ** 3,
+  Quart: (x) => x ** 4,
+  Expo: (x) => (x === 0 ? 0 : 2 ** (10 * x - 10)),
+  Sine: (x) => 1 - Math.cos((x * Math.PI) / 2),
+  Circ: (x) => 1 - Math.sqrt(1 - x ** 2),
+  Back: (x) => (BACK + 1) * x ** 3 - BACK * x ** 2,
+  Elastic: (x) => (x === 0 || x === 1 ? x : -(2 ** (10 * x - 10)) * Math.sin((10 * x - 10.75) * ELASTIC)),
+  Bounce: (x) => 1 - bounceOut(1 - x),
+};
+
+/**
+ * All easing functions by name (i.e. easeInQuad, easeOutQuad, easeInOutQuad).
+ */
+export const EASINGS = Object.entries(EASE_IN).reduce((easings, [family, easeIn]) => ({
+  ...easings,
+  [`easeIn${family}`]: easeIn,
+  [`easeOut${family}`]: (x) => 1 - easeIn(1 - x),
+  [`easeInOut${family}`]: (x) => (x < 0.5 ? easeIn(2 * x) / 2 : 1 - easeIn(2 - 2 * x) / 2),
+}), {});
+
+/**
+ * Create an easing function from a cubic bézier curve from (0, 0) to (1, 1) with the specified control points
+ * (like the CSS cubic-bezier() function). The x coordinates of the control points must be in the range [0, 1].
+ */
+export function cubicBezier (x1, y1, x2, y2) {
+  const bezier = (t, p1, p2) => 3 * (1 - t) ** 2 * t * p1 + 3 * (1 - t) * t ** 2 * p2 + t ** 3;
+
+  return (x) => {
+    // x is increasing in t, so find the t that produces x by bisection.
+    let lower = 0;
+    let upper = 1;
+
+    for (let i = 0; i < 40; i++) {
+      const t = (lower + upper) / 2;
+
+      if (bezier(t, x1, x2) < x) {
+        lower = t;
+      } else {
+        upper = t;
+      }
+    }
+
+    return bezier((lower + upper) / 2, y1, y2);
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Minimal cross platform event emitter.
+ */
+class EventEmitter {
+  #listeners = {};
+
+  /**
+   * Register a listener for the specified event.
+   *
+   * @param {String} event - the name of the event.
+   * @param {Function} listener - function to call when the event is emitted.
+   * @returns this, for chaining.
+   */
+  on (event, listener) {
+    if (!(listener instanceof Function)) {
+      throw new Error(`Invalid listener: ${listener}`);
+    }
+
+    if (!this.#listeners[event]) {
+      this.#listeners[event] = [];
+    }
+
+    this.#listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener for the specified event.
+   *
+   * @param {String} event - the name of the event.
+   * @param {Function} listener - the listener to remove.
+   * @returns this, for chaining.
+   */
+  off (event, listener) {
+    const listeners = this.#listeners[event] || [];
+    const index = listeners.findIndex((l) => l === listener || l.listener === listener);
+
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after the first time the event is emitted.
+   *
+   * @param {String} event - the name of the event.
+   * @param {Function} listener - function to call when the event is emitted.
+   * @returns this, for chaining.
+   */
+  once (event, listener) {
+    if (!(listener instanceof Function)) {
+      throw new Error(`Invalid listener: ${listener}`);
+    }
+
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.call(this, ...args);
+    };
+
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Call all listeners of the specified event with the arguments passed.
+   *
+   * @param {String} event - the name of the event.
+   * @param {...*} args - arguments to pass to the listeners.
+   * @returns {Boolean} true if the event had listeners.
+   */
+  emit (event, ...args) {
+    const listeners = [...(this.#listeners[event] || [])];
+
+    listeners.forEach((listener) => listener.call(this, ...args));
+
+    return listeners.length > 0;
+  }
+}
+
+export default EventEmitter;
@@ -0,0 +1,255 @@
+/* eslint-disable max-classes-per-file */
+import Ayva from '../ayva.js';
+import VirtualTimer from './virtual-timer.js';
+import { validNumber } from './util.js';
+import { FUNSCRIPT_AXES } from './funscript.js';
+
+/**
+ * Virtual timer that calls onEnd() once the clock reaches the end of the render.
+ */
+class RenderTimer extends VirtualTimer {
+  #end;
+
+  #onEnd;
+
+  constructor (end, onEnd) {
+    super();
+    this.#end = end;
+    this.#onEnd = onEnd;
+  }
+
+  get ended () {
+    return this.now() >= this.#end;
+  }
+
+  sleep (seconds) {
+    const result = super.sleep(seconds);
+
+    if (this.ended) {
+      this.#onEnd();
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Renders behaviors offline into funscripts (one per axis). The behavior is performed by an
+ * instance of Ayva with a simulated clock, so no device is needed and no real time passes.
+ *
+ * Positions are taken from the TCode that Ayva outputs, so the result is exactly what would have been sent to a device.
+ * Interval and speed commands (see {@link Ayva#outputMode}) are rendered as the movement the device would interpolate.
+ */
+class FunscriptRenderer {
+  #config;
+
+  #duration;
+
+  #tolerance;
+
+  /**
+   * Create a new FunscriptRenderer.
+   *
+   * @example
+   * const renderer = new FunscriptRenderer({ duration: 60 });
+   * const scripts = await renderer.render(new TempestStroke('orbit-grind'));
+   *
+   * // { L0: { version: '1.0', inverted: false, range: 100, actions: [...] }, L1: { ... }, ... }
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.duration=60] - maximum number of seconds to render.
+   * @param {Object} [options.config=Ayva.defaultConfiguration] - the configuration to render with (see {@link Ayva}).
+   * @param {Number} [options.tolerance=1] - how far (in funscript positions) the shape may deviate from the rendered motion.
+   */
+  constructor ({ duration = 60, config = Ayva.defaultConfiguration, tolerance = 1 } = {}) {
+    if (!validNumber(duration) || duration <= 0) {
+      throw new Error(`Invalid duration: ${duration}`);
+    }
+
+    if (!validNumber(tolerance, 0)) {
+      throw new Error(`Invalid tolerance: ${tolerance}`);
+    }
+
+    this.#duration = duration;
+    this.#config = config;
+    this.#tolerance = tolerance;
+  }
+
+  /**
+   * Perform the specified behavior until it completes or the duration elapses, and return the result as funscripts
+   * keyed by axis name. Only axes that the behavior moves are included. Actions are simplified so that only
+   * the points needed to stay within the tolerance of the rendered motion are kept.
+   *
+   * Note: rendering performs the behavior, so any state the behavior has (such as the angle of a TempestStroke) will change.
+   *
+   * @param {AyvaBehavior} behavior - the behavior to render.
+   * @returns {Promise} a promise that resolves with the funscripts.
+   */
+  async render (behavior) {
+    const actions = {};
+    const ayva = new Ayva(this.#config);
+    const timer = new RenderTimer(this.#duration, () => ayva.stop());
+    const axes = ayva.getAxes();
+
+    ayva.setTimer(timer);
+
+    ayva.addOutputDevice({
+      write: (command) => {
+        if (timer.ended) {
+          return;
+        }
+
+        const at = Math.round(timer.now() * 1000);
+
+        command.trim().split(/\s+/).forEach((tcode) => {
+          const match = /^([A-Za-z]\d)(\d+)(?:([IS])(\d+))?$/i.exec(tcode);
+
+          if (!match) {
+            // Device commands (i.e. DSTOP) do not move an axis.
+            return;
+          }
+
+          const [, name, digits, extension, extensionValue] = match;
+
+          if (!actions[name]) {
+            // Start each axis at its initial position.
+            const { value, min, max } = axes.find((axis) => axis.name === name);
+            actions[name] = [{ at: 0, pos: this.#pos(Number(value), min, max) }];
+          }
+
+          this.#interrupt(actions[name], at);
+
+          const pos = this.#pos(Number(digits) / (10 ** digits.length));
+          const last = actions[name][actions[name].length - 1];
+          const moveTime = this.#moveTime(extension, Number(extensionValue), Math.abs(pos - last.pos), digits.length);
+
+          if (moveTime) {
+            // The device interpolates from where it is to the position.
+            if (at > last.at) {
+              actions[name].push({ at, pos: last.pos });
+            }
+
+            actions[name].push({ at: at + moveTime, pos });
+            return;
+          }
+
+          const holdEnd = at - Math.round(ayva.period * 1000);
+
+          if (holdEnd > last.at) {
+            // Nothing was sent for a while, so the axis held its position until the previous step.
+            actions[name].push({ at: holdEnd, pos: last.pos });
+          }
+
+          if (last.at === at) {
+            last.pos = pos;
+          } else {
+            actions[name].push({ at, pos });
+          }
+        });
+      },
+    });
+
+    await ayva.do(behavior);
+
+    // Leave out axes that never moved from their initial position.
+    const movedAxes = Object.keys(actions).filter((name) => actions[name].some(({ pos }) => pos !== actions[name][0].pos));
+
+    return movedAxes.sort().reduce((scripts, name) => {
+      scripts[name] = {
+        version: '1.0',
+        inverted: false,
+        range: 100,
+        actions: this.#simplify(actions[name]).map(({ at, pos }) => ({ at, pos: Math.round(pos) })),
+      };
+
+      return scripts;
+    }, {});
+  }
+
+  /**
+   * The file name for the funscript of an axis (i.e. R0 -> video.twist.funscript).
+   *
+   * @param {String} axis - the name of the axis.
+   * @param {String} [basename='script'] - the name of the file without extension.
+   * @returns {String} the file name.
+   */
+  static filename (axis, basename = 'script') {
+    const suffix = Object.keys(FUNSCRIPT_AXES).find((key) => FUNSCRIPT_AXES[key] === axis) || axis;
+
+    return suffix === 'stroke' ? `${basename}.funscript` : `${basename}.${suffix}.funscript`;
+  }
+
+  #pos (value, min = 0, max = 1) {
+    return ((max - min) * value + min) * 100;
+  }
+
+  /**
+   * How many milliseconds a device takes to move the specified distance (in funscript positions) for a command,
+   * or zero for a live command. Speeds are in units (at the precision of the command) per 100 milliseconds.
+   */
+  #moveTime (extension, amount, distance, precision) {
+    if (!amount) {
+      return 0;
+    }
+
+    if (extension.toUpperCase() === 'I') {
+      return amount;
+    }
+
+    return Math.round((100 * (distance / 100) * (10 ** precision)) / amount);
+  }
+
+  /**
+   * A new command stops a movement that the device is still interpolating, so end it where the device got to.
+   */
+  #interrupt (actions, at) {
+    const last = actions[actions.length - 1];
+
+    if (last.at > at) {
+      actions[actions.length - 1] = { at, pos: this.#interpolate(actions[actions.length - 2], last, at) };
+    }
+  }
+
+  #interpolate (from, to, at) {
+    return from.pos + ((to.pos - from.pos) * (at - from.at)) / (to.at - from.at);
+  }
+
+  /**
+   * Keep the first and last actions, and repeatedly the action that deviates the most from a straight line between
+   * the kept actions around it while it deviates by more than the tolerance (Ramer-Douglas-Peucker, measuring the
+   * deviation in position). Ranges are kept on a stack so that long renders neither recurse deeply nor copy the actions.
+   */
+  #simplify (actions) {
+    if (actions.length <= 2) {
+      return actions;
+    }
+
+    const kept = actions.map((action, index) => index === 0 || index === actions.length - 1);
+    const ranges = [[0, actions.length - 1]];
+
+    while (ranges.length) {
+      const [start, end] = ranges.pop();
+      let maxDeviation = 0;
+      let maxIndex = -1;
+
+      for (let index = start + 1; index < end; index++) {
+        const { at, pos } = actions[index];
+        const deviation = Math.abs(pos - this.#interpolate(actions[start], actions[end], at));
+
+        if (deviation > maxDeviation) {
+          maxDeviation = deviation;
+          maxIndex = index;
+        }
+      }
+
+      if (maxDeviation > this.#tolerance) {
+        kept[maxIndex] = true;
+        ranges.push([start, maxIndex], [maxIndex, end]);
+      }
+    }
+
+    return actions.filter((action, index) => kept[index]);
+  }
+}
+
+export default FunscriptRenderer;
@@ -0,0 +1,93 @@
+/**
+ * Funscript helpers.
+ *
+ * @module
+ * @ignore
+ */
+import { fail, validNumber } from './util.js';
+
+/**
+ * The axes that multi-axis funscript bundles drive, keyed by file name suffix (i.e. video.twist.funscript).
+ * A funscript without a known suffix drives the stroke axis.
+ */
+export const FUNSCRIPT_AXES = {
+  stroke: 'L0',
+  surge: 'L1',
+  sway: 'L2',
+  twist: 'R0',
+  roll: 'R1',
+  pitch: 'R2',
+  valve: 'A0',
+  suck: 'A1',
+  lube: 'A2',
+  vib: 'V0',
+};
+
+/**
+ * Parse a funscript (JSON string or object) into a list of actions sorted by time.
+ * Inverted scripts are normalized so that a pos of 100 is always the top.
+ */
+export function parseFunscript (script) {
+  const parsed = typeof script === 'string' ? JSON.parse(script) : script;
+
+  if (!parsed || typeof parsed !== 'object' || !(parsed.actions instanceof Array)) {
+    fail(`Invalid funscript: ${script}`);
+  }
+
+  if (!parsed.actions.length) {
+    fail('Funscript does not contain any actions.');
+  }
+
+  return parsed.actions.map((action) => {
+    if (!action || !validNumber(action.at, 0) || !validNumber(action.pos, 0, 100)) {
+      fail(`Invalid funscript action: ${JSON.stringify(action)}`);
+    }
+
+    return {
+      at: action.at,
+      pos: parsed.inverted ? 100 - action.pos : action.pos,
+    };
+  }).sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Determine the axis a funscript drives from its file name (i.e. video.roll.funscript -> R1).
+ * Machine names may also be used as the suffix (i.e. video.L1.funscript -> L1). Any other suffix is part of the
+ * base name (i.e. Scene.2021.funscript), so the funscript drives the stroke axis.
+ */
+export function axisFromFilename (filename) {
+  const match = /(?:\.([^.]+))?\.funscript$/i.exec(filename);
+
+  if (!match) {
+    fail(`Invalid funscript file name: ${filename}`);
+  }
+
+  const suffix = match[1] || '';
+
+  if (/^[a-z]\d$/i.test(suffix)) {
+    return suffix.toUpperCase();
+  }
+
+  return FUNSCRIPT_AXES[suffix.toLowerCase()] || FUNSCRIPT_AXES.stroke;
+}
+
+/**
+ * Compute the position (0 - 100) of a sorted list of actions at the specified time (in milliseconds)
+ * by interpolating linearly between the surrounding actions.
+ */
+export function positionAt (actions, at) {
+  const nextIndex = actions.findIndex((action) => action.at >= at);
+
+  if (nextIndex === -1) {
+    return actions[actions.length - 1].pos;
+  }
+
+  const next = actions[nextIndex];
+
+  if (nextIndex === 0 || next.at === at) {
+    return next.pos;
+  }
+
+  const previous = actions[nextIndex - 1];
+  return previous.pos + ((next.pos - previous.pos) * (at - previous.at)) / (next.at - previous.at);
+}
@@ -1,8 +1,19 @@
+import validator from './validator.js';
+
+/**
+ * Targets may be numbers or relative and percentage targets (i.e. '+=0.1', '-=10%', '25%').
+ */
+const isTarget = (arg) => typeof arg === 'number' || validator.parseTarget(arg) !== null;
+
 class MoveBuilder {
   #ayva;
 
   #moves = [];
 
+  #timelines = {};
+
+  #segment = 0;
+
   /**
    * Construct a new move builder for the specified instance of Ayva.
    * @ignore
@@ -11,64 +22,99 @@ class MoveBuilder {
     this.#ayva = ayva;
 
     Object.values(ayva.axes).forEach((axis) => {
-      this[axis.name] = this.#createBuilderFunction(axis.name);
+      this[axis.name] = this.#createBuilderFunction(axis.name, axis.name);
 
       if (axis.alias) {
-        this[axis.alias] = this.#createBuilderFunction(axis.alias);
+        this[axis.alias] = this.#createBuilderFunction(axis.alias, axis.name);
       }
     });
   }
 
+  /**
+   * Start a new segment. Axes that already have a movement continue with the movements that follow, so that each
+   * axis performs its segments back to back within a single move (with no stops or queueing in between).
+   *
+   * @example
+   * // Stroke up for one second and then down for half a second, while twisting over the whole move.
+   * ayva.$.stroke(1, 1).twist(Ayva.tempestMotion(0, 1), 1.5)
+   *   .segment().stroke(0.3, 0.5)
+   *   .execute();
+   */
+  segment () {
+    this.#segment++;
+    return this;
+  }
+
   execute () {
-    return this.#ayva.move(...this.#moves);
+    return this.#ayva.move(...this.#moves.map(({ axis, segments }) => (segments.length === 1
+      ? { ...segments[0], axis }
+      : { axis, segments })));
+  }
+
+  /**
+   * Add a movement to the timeline of its axis if it was started in an earlier segment.
+   */
+  #add (name, { axis, ...movement }) {
+    const timeline = this.#timelines[name];
+
+    if (timeline && timeline.segment < this.#segment) {
+      timeline.segments.push(movement);
+      timeline.segment = this.#segment;
+      return;
+    }
+
+    // Movements of the same axis in the same segment remain separate (and are rejected as duplicates).
+    const entry = { axis, segments: [movement], segment: this.#segment };
+    this.#moves.push(entry);
+    this.#timelines[name] = timeline || entry;
   }
 
-  #createBuilderFunction (axis) {
+  #createBuilderFunction (axis, name) {
     return (...args) => {
-      if (args.length === 3 && typeof args[0] === 'number' && typeof args[1] === 'number' && typeof args[2] === 'function') {
+      if (args.length === 3 && isTarget(args[0]) && typeof args[1] === 'number' && typeof args[2] === 'function') {
         // <to, speed, value>
-        this.#moves.push({
+        this.#add(name, {
           axis,
           to: args[0],
           speed: args[1],
           value: args[2],
         });
-      } else if (args.length === 2 && typeof args[0] === 'number' && typeof args[1] === 'number') {
+      } else if (args.length === 2 && isTarget(args[0]) && typeof args[1] === 'number') {
         // <to, speed>
-        this.#moves.push({
+        this.#add(name, {
           axis,
           to: args[0],
           speed: args[1],
         });
-      } else if (args.length === 2 && typeof args[0] === 'number' && typeof args[1] === 'function') {
+      } else if (args.length === 2 && isTarget(args[0]) && typeof args[1] === 'function') {
         // <to, value>
-        this.#moves.push({
+        this.#add(name, {
           axis,
           to: args[0],
           value: args[1],
         });
-      } else if (args.length === 1 && typeof args[0] === 'number') {
+      } else if (args.length === 1 && isTarget(args[0])) {
         // <to>
-        this.#moves.push({
+        this.#add(name, {
           axis,
           to: args[0],
         });
       } else if (args.length === 2 && typeof args[0] === 'function' && typeof args[1] === 'number') {
         // <value, duration>
-        this.#moves.push({
+        this.#add(name, {
           axis,
           value: args[0],
           duration: args[1],
         });
       } else if (args.length === 1 && typeof args[0] === 'function') {
         // <value>
-        this.#moves.push({
+        this.#add(name, {
           axis,
           value: args[0],
         });
       } else if (args.length === 1 && typeof args[0] === 'object') {
         // <object>
-        this.#moves.push({
+        this.#add(name, {
           ...args[0],
           axis,
         });
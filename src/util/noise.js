@@ -0,0 +1,29 @@
+/**
+ * Seedable one-dimensional Perlin noise.
+ *
+ * @module
+ * @ignore
+ */
+import { createRandom } from './random.js';
+
+const SIZE = 256;
+
+/**
+ * Create a smooth noise function of time with values in the range [-1, 1]. The noise is zero at whole numbers,
+ * and noise functions created with the same seed produce the same values.
+ */
+export default function createNoise (seed) {
+  const random = createRandom(seed);
+  const gradients = Array.from({ length: SIZE }, () => random() * 2 - 1);
+
+  return (t) => {
+    const i = Math.floor(t);
+    const f = t - i;
+    const fade = f * f * f * (f * (f * 6 - 15) + 10);
+    const start = gradients[((i % SIZE) + SIZE) % SIZE] * f;
+    const end = gradients[(((i + 1) % SIZE) + SIZE) % SIZE] * (f - 1);
+
+    // The interpolated gradients stay within [-0.5, 0.5].
+    return 2 * (start + fade * (end - start));
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Seedable random number generation.
+ *
+ * @module
+ * @ignore
+ */
+/* eslint-disable no-bitwise */
+import { fail, validNumber } from './util.js';
+
+/**
+ * Create a random number generator (mulberry32) that returns numbers in the range [0, 1) like Math.random().
+ * Generators created with the same seed produce the same sequence of numbers.
+ */
+export function createRandom (seed) {
+  if (!validNumber(seed)) {
+    fail(`Invalid seed: ${seed}`);
+  }
+
+  let state = seed >>> 0;
+
+  return function random () {
+    state = (state + 0x6D2B79F5) >>> 0;
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates) using the specified random number generator.
+ */
+export function shuffle (array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+
+  return array;
+}
@@ -0,0 +1,78 @@
+/**
+ * Cubic Hermite interpolation of keyframes.
+ *
+ * @module
+ * @ignore
+ */
+
+/**
+ * The slopes of the straight lines between consecutive keyframes.
+ */
+function secants (times, values) {
+  return times.slice(1).map((time, k) => (values[k + 1] - values[k]) / (time - times[k]));
+}
+
+/**
+ * Catmull-Rom tangents (the slope between the neighboring keyframes).
+ */
+function catmullRomTangents (times, values) {
+  return times.map((time, k) => {
+    if (k === 0 || k === times.length - 1) {
+      return 0;
+    }
+
+    return (values[k + 1] - values[k - 1]) / (times[k + 1] - times[k - 1]);
+  });
+}
+
+/**
+ * Tangents that never overshoot between keyframes (Fritsch-Butland). Keyframes that are local extremes get a flat tangent.
+ */
+function monotoneTangents (times, values) {
+  const slopes = secants(times, values);
+
+  return times.map((time, k) => {
+    if (k === 0 || k === times.length - 1 || slopes[k - 1] * slopes[k] <= 0) {
+      return 0;
+    }
+
+    const h0 = time - times[k - 1];
+    const h1 = times[k + 1] - time;
+
+    return (3 * (h0 + h1)) / (((2 * h1 + h0) / slopes[k - 1]) + ((h1 + 2 * h0) / slopes[k]));
+  });
+}
+
+/**
+ * Create a function of time that interpolates the specified keyframes ([{ time, value }] sorted by time, starting at
+ * time zero) with a cubic Hermite spline. The type of spline is either 'catmull-rom' or 'monotone'.
+ * The curve starts and ends at rest, and holds the value of the last keyframe after it.
+ */
+export default function createSpline (keyframes, type) {
+  const times = keyframes.map(({ time }) => time);
+  const values = keyframes.map(({ value }) => value);
+  const tangents = type === 'monotone' ? monotoneTangents(times, values) : catmullRomTangents(times, values);
+  const last = keyframes.length - 1;
+
+  return (time) => {
+    if (time >= times[last]) {
+      return values[last];
+    }
+
+    let k = 0;
+
+    while (time >= times[k + 1]) {
+      k++;
+    }
+
+    const h = times[k + 1] - times[k];
+    const s = (time - times[k]) / h;
+    const s2 = s * s;
+    const s3 = s2 * s;
+
+    return (2 * s3 - 3 * s2 + 1) * values[k]
+      + (s3 - 2 * s2 + s) * h * tangents[k]
+      + (-2 * s3 + 3 * s2) * values[k + 1]
+      + (s3 - s2) * h * tangents[k + 1];
+  };
+}
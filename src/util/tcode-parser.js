@@ -0,0 +1,137 @@
+import Ayva from '../ayva.js';
+import { clamp, round } from './util.js';
+
+/**
+ * Parses TCode (i.e. from third-party players) into commands for an instance of Ayva, so that it
+ * can be routed through Ayva's axis limits and aliases. Supported commands are:
+ *
+ * <pre>
+ * L05000      Live command: move to the position immediately.
+ * L05000I500  Interval command: move to the position over the specified number of milliseconds.
+ * L05000S500  Speed command: move to the position at the specified number of units per 100 milliseconds.
+ * DSTOP       Stop all movement.
+ * </pre>
+ *
+ * The digits after the axis are a decimal fraction of the axis range where all nines is the top of the range (the inverse of how
+ * Ayva writes TCode), so L05, L050, and L05000 are all about the middle of the range. Speeds are in units of the precision of
+ * the command per 100 milliseconds (i.e. L05000S500 and L050S50 both cross about half of the range per second).
+ * Multiple commands may be sent on one line separated by spaces. Commands for axes that are not configured are ignored,
+ * as are device commands (i.e. D0, D1, D2) and settings commands (i.e. $L0-0000-9999).
+ */
+class TCodeParser {
+  #ayva;
+
+  /**
+   * Create a new TCodeParser.
+   *
+   * @example
+   * const parser = new TCodeParser(ayva);
+   *
+   * parser.parse('L0500I1000 R0200\nDSTOP');
+   * // [
+   * //   { type: 'move', movements: [{ axis: 'L0', to: 0.5, duration: 1 }, { axis: 'R0', to: 0.2, duration: 0.02 }] },
+   * //   { type: 'stop' },
+   * // ]
+   *
+   * @param {Ayva} ayva - the instance of Ayva whose axes the commands are for.
+   */
+  constructor (ayva) {
+    if (!(ayva && ayva.getAxis instanceof Function)) {
+      throw new Error(`Invalid instance of Ayva: ${ayva}`);
+    }
+
+    this.#ayva = ayva;
+  }
+
+  /**
+   * Parse one or more lines of TCode into commands. Each line with movements becomes a move command whose movements
+   * can be passed directly to ayva.move(). A DSTOP becomes a stop command. Positions are mapped back through the
+   * limits of each axis (see {@link Ayva#updateLimits}) and clamped to the range [0, 1], so parsing the TCode that Ayva
+   * writes gives back the values of its axes.
+   *
+   * @param {String} tcode - the TCode to parse.
+   * @returns {Object[]} the commands.
+   */
+  parse (tcode) {
+    return String(tcode).split('\n').flatMap((line) => this.#parseLine(line));
+  }
+
+  #parseLine (line) {
+    const commands = [];
+    let movements = {};
+
+    const flushMovements = () => {
+      if (Object.keys(movements).length) {
+        commands.push({ type: 'move', movements: Object.values(movements) });
+        movements = {};
+      }
+    };
+
+    line.trim().split(/\s+/).filter((token) => token).forEach((token) => {
+      if (/^DSTOP$/i.test(token)) {
+        flushMovements();
+        commands.push({ type: 'stop' });
+        return;
+      }
+
+      if (/^(D\d+|\$.*)$/i.test(token)) {
+        return;
+      }
+
+      const match = /^([A-Z]\d)(\d+)(?:([IS])(\d+))?$/i.exec(token);
+
+      if (!match) {
+        throw new Error(`Invalid TCode command: ${token}`);
+      }
+
+      const movement = this.#createMovement(match);
+
+      if (movement) {
+        // The last command for an axis on a line wins.
+        movements[movement.axis] = movement;
+      }
+    });
+
+    flushMovements();
+
+    return commands;
+  }
+
+  #createMovement ([, name, digits, extension, extensionValue]) {
+    const axis = this.#ayva.getAxis(name.toUpperCase());
+
+    if (!axis) {
+      return null;
+    }
+
+    const scale = 10 ** digits.length;
+    const position = Number(digits) / scale;
+
+    if (axis.type === 'boolean') {
+      return { axis: axis.name, to: position >= 0.5 };
+    }
+
+    // Invert the scaling Ayva applies when it writes TCode (from the range [0, 1] to [0, 0.999...]).
+    const range = (axis.max - axis.min) * ((scale - 1) / scale);
+    const movement = {
+      axis: axis.name,
+      to: clamp(round((position - axis.min) / range, Ayva.precision), 0, 1),
+    };
+
+    const type = extension ? extension.toUpperCase() : null;
+    const amount = Number(extensionValue);
+
+    if (type === 'S' && amount > 0) {
+      // Units per 100 milliseconds to fractions of the axis range per second.
+      movement.speed = round((amount * 10) / scale / range, Ayva.precision);
+    } else if (type === 'I' && amount > 0) {
+      movement.duration = amount / 1000;
+    } else {
+      movement.duration = this.#ayva.period;
+    }
+
+    return movement;
+  }
+}
+
+export default TCodeParser;
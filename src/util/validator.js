@@ -1,12 +1,23 @@
 import {
-  has, fail, validNumber
+  has, fail, validNumber, clamp, round
 } from './util.js';
 
+/**
+ * Decimals to round resolved targets to (the same as Ayva's internal values).
+ */
+const PRECISION = 10;
+
+/**
+ * Relative targets ('+=0.1', '-=10%') and percentages of the range of an axis ('25%').
+ */
+const TARGET_PATTERN = /^([+-]=)?(\d+(?:\.\d+)?|\.\d+)(%?)$/;
+
 export default {
   /**
    * All the validation on movement descriptors :O
    *
    * @param {Array} movements
+   * @returns {Object[]} the relative targets that fall out of range (resolved against the current values of the axes).
    */
   validateMovements (movements, axes, defaultAxis) {
     const movementMap = {};
@@ -24,9 +35,12 @@ export default {
 
       const invalidValue = (name) => fail(`Invalid value for parameter '${name}': ${movement[name]}`);
       const hasTo = has(movement, 'to');
+      const hasBy = has(movement, 'by');
       const hasSpeed = has(movement, 'speed');
       const hasDuration = has(movement, 'duration');
       const hasValue = has(movement, 'value');
+      const hasValueDuration = hasValue && !!movement.value && validNumber(movement.value.duration) && movement.value.duration > 0;
+      const hasSegments = has(movement, 'segments');
       const axis = movement.axis || defaultAxis;
 
       if (!axis) {
@@ -39,19 +53,33 @@ export default {
         }
       }
 
+      if (hasSegments) {
+        this.validateSegments(movement, axes, axis);
+        atLeastOneDuration = true;
+      }
+
       if (hasTo) {
         let invalidTo = false;
 
         if (axes[axis].type === 'boolean') {
           invalidTo = typeof movement.to !== 'boolean';
         } else {
-          invalidTo = !Number.isFinite(movement.to) || (movement.to < 0 || movement.to > 1);
+          const target = this.parseTarget(movement.to);
+          invalidTo = !target || (!target.relative && !validNumber(target.amount, 0, 1));
         }
 
         if (invalidTo) {
           invalidValue('to');
         }
-      } else if (!hasValue) {
+
+        if (hasBy) {
+          fail('Cannot supply both to and by.');
+        }
+      } else if (hasBy) {
+        if (axes[axis].type === 'boolean' || !validNumber(movement.by)) {
+          invalidValue('by');
+        }
+      } else if (!hasValue && !hasSegments) {
         fail('Must provide a \'to\' property or \'value\' function.');
       }
 
@@ -59,6 +87,10 @@ export default {
         fail('Cannot supply both speed and duration.');
       }
 
+      if (hasValueDuration && !has(movement, 'sync')) {
+        atLeastOneDuration = true;
+      }
+
       if (hasSpeed || hasDuration) {
         atLeastOneDuration = true;
 
@@ -69,7 +101,7 @@ export default {
         }
       }
 
-      if (hasSpeed && !hasTo) {
+      if (hasSpeed && !hasTo && !hasBy) {
         fail('Must provide a target position when specifying speed.');
       }
 
@@ -131,6 +163,31 @@ export default {
     if (!atLeastOneDuration && atLeastOneNonBoolean) {
       fail('At least one movement must have a speed or duration.');
     }
+
+    return this.outOfRangeTargets(movements, axes, defaultAxis);
+  },
+
+  /**
+   * Resolve the relative targets of valid movements against the current values of the axes, and report those that
+   * fall out of range. Segments are resolved against the target of the previous segment.
+   */
+  outOfRangeTargets (movements, axes, defaultAxis) {
+    return movements.flatMap((movement) => {
+      const axis = axes[movement.axis || defaultAxis];
+      let from = axis.value;
+
+      return (movement.segments || [movement]).flatMap((segment) => {
+        const start = from;
+        const target = has(segment, 'to') || has(segment, 'by') ? this.resolveTarget(segment, start) : null;
+
+        // Where a segment without a target ends is unknown until it is performed.
+        from = validNumber(target) ? clamp(target, 0, 1) : null;
+
+        return validNumber(target) && target !== from ? [{
+          axis: axis.name, from: start, target, clampedTarget: from,
+        }] : [];
+      });
+    });
   },
 
   /**
@@ -225,6 +282,86 @@ export default {
     return resultConfig;
   },
 
+  /**
+   * Segments are validated as movements of their own (along the axis of the movement).
+   */
+  validateSegments (movement, axes, axis) {
+    const { segments } = movement;
+
+    ['to', 'by', 'speed', 'duration', 'value', 'sync'].forEach((property) => {
+      if (has(movement, property)) {
+        fail(`Cannot specify '${property}' with segments.`);
+      }
+    });
+
+    if (axes[axis].type === 'boolean') {
+      fail(`Cannot specify segments for boolean axes: ${axis}`);
+    }
+
+    if (!(segments instanceof Array) || !segments.length) {
+      fail(`Invalid segments: ${segments}`);
+    }
+
+    segments.forEach((segment, index) => {
+      if (!segment || typeof segment !== 'object' || has(segment, 'axis') || has(segment, 'segments')) {
+        fail(`Invalid segment: ${JSON.stringify(segment)}`);
+      }
+
+      this.validateMovements([{ ...segment, axis }], axes);
+
+      if (has(segment, 'speed') && index > 0 && !has(segments[index - 1], 'to') && !has(segments[index - 1], 'by')) {
+        fail('Cannot specify speed for a segment that follows a segment without a target.');
+      }
+    });
+  },
+
+  /**
+   * Parse a target: a number, a position relative to the value of the axis at the start of the move ('+=0.1', '-=10%'),
+   * or a percentage of the range of the axis ('25%').
+   *
+   * @param {Number|String} to
+   * @returns {Object} the amount and whether it is relative (or null if the target is invalid).
+   */
+  parseTarget (to) {
+    if (typeof to === 'number') {
+      return Number.isFinite(to) ? { amount: to, relative: false } : null;
+    }
+
+    const match = typeof to === 'string' ? to.trim().match(TARGET_PATTERN) : null;
+
+    if (!match || (!match[1] && !match[3])) {
+      // Plain numeric strings are not targets.
+      return null;
+    }
+
+    const [, operator, number, percent] = match;
+    const magnitude = Number(number) / (percent ? 100 : 1);
+
+    return { amount: operator === '-=' ? -magnitude : magnitude, relative: !!operator };
+  },
+
+  /**
+   * Resolve the target of a valid movement against the value of the axis at the start of the movement. The result
+   * may fall out of range.
+   *
+   * @param {Object} movement
+   * @param {Number} from - the value of the axis at the start of the movement (null if unknown).
+   * @returns {Number|Boolean} the target (or null if the target is relative to an unknown value).
+   */
+  resolveTarget ({ to, by }, from) {
+    if (typeof to === 'boolean') {
+      return to;
+    }
+
+    const { amount, relative } = by !== undefined ? { amount: by, relative: true } : this.parseTarget(to);
+
+    if (!relative) {
+      return amount;
+    }
+
+    return from === null ? null : round(from + amount, PRECISION);
+  },
+
   validateTempestParameters (from, to, phase, ecc, bpm, shift) {
     const valid = validNumber(from, 0, 1)
       && validNumber(to, 0, 1)
@@ -237,4 +374,24 @@ export default {
       throw new Error(`One or more stroke parameters are invalid (${from}, ${to}, ${phase}, ${ecc}, ${bpm}, ${shift})`);
     }
   },
+
+  validateKeyframes (keyframes, type) {
+    if (!(keyframes instanceof Array) || !keyframes.length) {
+      fail(`Invalid keyframes: ${keyframes}`);
+    }
+
+    keyframes.forEach((keyframe, index) => {
+      if (!keyframe || !validNumber(keyframe.time, 0) || !validNumber(keyframe.value, 0, 1)) {
+        fail(`Invalid keyframe: ${JSON.stringify(keyframe)}`);
+      }
+
+      if (index > 0 && keyframe.time <= keyframes[index - 1].time) {
+        fail('Keyframe times must be strictly increasing.');
+      }
+    });
+
+    if (type !== 'catmull-rom' && type !== 'monotone') {
+      fail(`Invalid spline type: ${type}`);
+    }
+  },
 };
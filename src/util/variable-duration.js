@@ -1,9 +1,24 @@
 import { clamp, validNumber } from './util.js';
 
+/**
+ * The default clock (in seconds).
+ */
+const PERFORMANCE_CLOCK = {
+  now: () => performance.now() / 1000,
+};
+
 /**
  * A variable duration is a timer that completes within some variable time range.
  */
 class VariableDuration {
+  #from;
+
+  #to;
+
+  #random;
+
+  #clock;
+
   #startTime;
 
   #targetElapsed;
@@ -15,6 +30,10 @@ class VariableDuration {
    * // Create a duration that will be somewhere between 10 and 20 seconds.
    * const duration = new VariableDuration(10, 20);
    *
+   * // Draw from the seeded source of random numbers of an instance of Ayva, and run on its clock
+   * // (which stands still while paused and follows the speed multiplier).
+   * const seeded = new VariableDuration(10, 20, ayva.random, ayva);
+   *
    * // ...
    *
    * if (!duration.complete) {
@@ -22,21 +41,29 @@ class VariableDuration {
    * }
    * @param {Number} from - start of the duration range in seconds.
    * @param {Number} [to] - end of the duration range in seconds.
+   * @param {Function} [random=Math.random] - source of random numbers (i.e. {@link Ayva#random}).
+   * @param {Object} [clock] - an object with a now() method that returns the current time in seconds (i.e. an instance of Ayva,
+   * see {@link Ayva#now}). Defaults to performance.now().
    */
-  constructor (from, to) {
-    if (validNumber(from, 0) && to === undefined) {
-      // Allow specifying only a single time unit duration.
-      this.#targetElapsed = from * 1000;
-    } else if (!(validNumber(from, 0) && validNumber(to, 0) && from < to)) {
+  constructor (from, to, random = Math.random, clock = PERFORMANCE_CLOCK) {
+    if (!(validNumber(from, 0) && (to === undefined || (validNumber(to, 0) && from < to)))) {
       throw new Error(`Invalid duration range: (${from}, ${to})`);
-    } else {
-      // Pick a random time within the specified range to complete.
-      this.#targetElapsed = (Math.random() * (to - from) + from) * 1000;
+    } else if (!(random instanceof Function)) {
+      throw new Error(`Invalid random: ${random}`);
+    } else if (!(clock && clock.now instanceof Function)) {
+      throw new Error(`Invalid clock: ${clock}`);
     }
 
-    this.#startTime = performance.now();
+    this.#from = from;
+    this.#to = to;
+    this.#random = random;
+    this.#clock = clock;
+    this.restart();
   }
 
+  /**
+   * The target time in milliseconds.
+   */
   get targetElapsed () {
     return this.#targetElapsed;
   }
@@ -45,14 +72,41 @@ class VariableDuration {
    * True if this duration's target time has been reached.
    */
   get complete () {
-    return performance.now() - this.#startTime >= this.#targetElapsed;
+    return this.#elapsed() >= this.#targetElapsed;
   }
 
   /**
    * Returns the percent complete of this duration.
    */
   get percentage () {
-    return clamp((performance.now() - this.#startTime) / this.#targetElapsed, 0, 1);
+    return clamp(this.#elapsed() / this.#targetElapsed, 0, 1);
+  }
+
+  /**
+   * Start over with a new random target time within the range.
+   */
+  restart () {
+    this.#targetElapsed = this.pickLength() * 1000;
+    this.#startTime = this.#clock.now();
+  }
+
+  /**
+   * Pick a random length within the range (without starting over).
+   *
+   * @param {Function} [random] - source of random numbers. Defaults to the source of this duration.
+   * @returns {Number} the length in seconds.
+   */
+  pickLength (random = this.#random) {
+    if (this.#to === undefined) {
+      // Allow specifying only a single time unit duration.
+      return this.#from;
+    }
+
+    return random() * (this.#to - this.#from) + this.#from;
+  }
+
+  #elapsed () {
+    return (this.#clock.now() - this.#startTime) * 1000;
   }
 }
 
@@ -0,0 +1,44 @@
+/**
+ * A timer with a simulated clock. Sleeping advances the clock instantly instead of waiting in real time,
+ * so movements and behaviors can be simulated much faster than they would actually run.
+ *
+ * @example
+ * const ayva = new Ayva({ ...Ayva.defaultConfiguration, timer: new VirtualTimer() });
+ */
+class VirtualTimer {
+  #time;
+
+  /**
+   * Create a new VirtualTimer.
+   *
+   * @param {Number} [startTime=0] - the initial time of the clock in seconds.
+   */
+  constructor (startTime = 0) {
+    this.#time = startTime;
+  }
+
+  /**
+   * Advance the clock by the specified number of seconds. Resolves immediately.
+   *
+   * @param {Number} seconds - delay in seconds
+   * @returns {Promise}
+   */
+  sleep (seconds) {
+    if (seconds > 0) {
+      this.#time += seconds;
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the current simulated time in seconds.
+   *
+   * @returns - the current time in seconds.
+   */
+  now () {
+    return this.#time;
+  }
+}
+
+export default VirtualTimer;
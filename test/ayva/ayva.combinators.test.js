@@ -0,0 +1,273 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import ClassicStroke from '../../src/behaviors/classic-stroke.js';
+import { createTestAyva, writtenCommands } from '../test-helpers.js';
+
+/**
+ * Contains all tests for value provider combinators.
+ */
+describe('Combinator Tests', function () {
+  /**
+   * The parameters of the specified step of a one second move from 0 to 1 (frequency 50).
+   */
+  const step = (index, from = 0, to = 1) => ({
+    from, to, index, time: index * 0.02, period: 0.02, frequency: 50, duration: 1, x: (index + 1) / 50,
+  });
+
+  /**
+   * A value provider that returns the parameters it was called with (rounded x, index, and time).
+   */
+  const probe = ({ x, index, time }) => [x, index, time].map((value) => Math.round(value * 1e6) / 1e6);
+
+  const linear = (parameters) => Ayva.RAMP_LINEAR(parameters);
+
+  it('should throw an error for invalid value providers', function () {
+    const combinators = [
+      (provider) => Ayva.sequence([provider]),
+      (provider) => Ayva.reverse(provider),
+      (provider) => Ayva.mirror(provider),
+      (provider) => Ayva.timeScale(provider, 2),
+      (provider) => Ayva.amplitudeScale(provider, 2),
+      (provider) => Ayva.offset(provider, 0.1),
+      (provider) => Ayva.addNoise(provider, Ayva.perlinNoise(1)),
+      (provider) => Ayva.clamp(provider),
+    ];
+
+    combinators.forEach((combinator) => {
+      [null, undefined, 1, 'easeInNothing', 'toString'].forEach((provider) => {
+        (function () {
+          combinator(provider);
+        }).should.throw(`Invalid value provider: ${provider}`);
+      });
+    });
+  });
+
+  it('should throw an error for invalid parameters', function () {
+    const test = (fn, message) => fn.should.throw(message);
+
+    [null, [], 'providers'].forEach((providers) => {
+      test(() => Ayva.sequence(providers), `Invalid providers: ${providers}`);
+    });
+
+    [[1], [1, 0], [1, -1], [1, NaN], 'fractions'].forEach((fractions) => {
+      test(() => Ayva.sequence([linear, linear], fractions), `Invalid fractions: ${fractions}`);
+    });
+
+    [0, -1, NaN, null].forEach((factor) => {
+      test(() => Ayva.timeScale(linear, factor), `Invalid factor: ${factor}`);
+    });
+
+    [NaN, null, '2'].forEach((factor) => {
+      test(() => Ayva.amplitudeScale(linear, factor), `Invalid factor: ${factor}`);
+    });
+
+    [-0.1, 1.1, NaN].forEach((center) => {
+      test(() => Ayva.amplitudeScale(linear, 2, center), `Invalid center: ${center}`);
+    });
+
+    [NaN, null, '0.1'].forEach((amount) => {
+      test(() => Ayva.offset(linear, amount), `Invalid amount: ${amount}`);
+    });
+
+    [null, 1].forEach((noise) => {
+      test(() => Ayva.addNoise(linear, noise), `Invalid noise source: ${noise}`);
+    });
+
+    [-0.1, NaN].forEach((amplitude) => {
+      test(() => Ayva.addNoise(linear, Ayva.perlinNoise(1), amplitude), `Invalid amplitude: ${amplitude}`);
+    });
+
+    [0, NaN].forEach((frequency) => {
+      test(() => Ayva.addNoise(linear, Ayva.perlinNoise(1), 0.1, frequency), `Invalid frequency: ${frequency}`);
+    });
+
+    [[-0.1, 1], [0.5, 0.4], [0, 1.1], [null, 1]].forEach(([min, max]) => {
+      test(() => Ayva.clamp(linear, min, max), `Invalid range: (${min}, ${max})`);
+    });
+  });
+
+  it('should accept easing names', function () {
+    Ayva.reverse('easeInQuad')(step(24)).should.be.closeTo(0.25, 0.000001);
+  });
+
+  describe('#sequence', function () {
+    it('should perform providers over equal fractions of the move', function () {
+      const sequence = Ayva.sequence([probe, Ayva.RAMP_LINEAR]);
+
+      // Each provider sees a whole move of its own.
+      sequence(step(0)).should.deep.equal([0.04, 1, 0.02]);
+      sequence(step(24)).should.deep.equal([1, 49, 0.98]);
+      sequence(step(25)).should.be.closeTo(0.04, 0.000001);
+      sequence(step(49)).should.equal(1);
+    });
+
+    it('should perform providers over the specified fractions of the move', function () {
+      const sequence = Ayva.sequence([Ayva.RAMP_LINEAR, probe, 'easeInQuad'], [2, 1, 1]);
+
+      sequence(step(24)).should.equal(1);
+      sequence(step(29)).should.deep.equal([0.4, 19, 0.38]);
+      sequence(step(36)).should.deep.equal([0.96, 47, 0.94]);
+      sequence(step(49)).should.equal(1);
+    });
+
+    it('should only change the progress of moves without a duration', function () {
+      Ayva.sequence([probe, probe])({ x: 0.75 }).should.deep.equal([0.5, NaN, NaN]);
+    });
+  });
+
+  describe('#reverse', function () {
+    it('should play a provider backwards', function () {
+      const reversed = Ayva.reverse(probe);
+
+      reversed(step(0)).should.deep.equal([0.98, 48, 0.96]);
+      reversed(step(49)).should.deep.equal([0, -1, -0.02]);
+
+      Ayva.reverse(Ayva.RAMP_LINEAR)(step(49, 0.2, 0.8)).should.equal(0.2);
+    });
+  });
+
+  describe('#mirror', function () {
+    it('should flip moves across their middle', function () {
+      const mirrored = Ayva.mirror(Ayva.RAMP_PARABOLIC);
+
+      mirrored(step(24, 0.2, 0.8)).should.be.closeTo(0.8 - 0.6 * 0.25, 0.000001);
+      mirrored(step(49, 0.2, 0.8)).should.be.closeTo(0.2, 0.000001);
+    });
+
+    it('should flip other providers across the middle of the axis', function () {
+      Ayva.mirror(() => 0.2)({ from: 0.5 }).should.equal(0.8);
+    });
+
+    it('should turn an ease in into an ease out together with reverse', function () {
+      const easeOut = Ayva.mirror(Ayva.reverse('easeInCubic'));
+
+      [0, 10, 24, 40, 49].forEach((index) => {
+        easeOut(step(index, 1, 0.5)).should.be.closeTo(Ayva.easings.easeOutCubic(step(index, 1, 0.5)), 0.000001);
+      });
+    });
+  });
+
+  describe('#timeScale', function () {
+    it('should play a provider faster and hold the end', function () {
+      const fast = Ayva.timeScale(probe, 2);
+
+      fast(step(9)).should.deep.equal([0.4, 19, 0.38]);
+      fast(step(24)).should.deep.equal([1, 49, 0.98]);
+      fast(step(40)).should.deep.equal([1, 49, 0.98]);
+    });
+
+    it('should play a provider slower', function () {
+      Ayva.timeScale(Ayva.RAMP_LINEAR, 0.5)(step(49)).should.equal(0.5);
+    });
+  });
+
+  describe('#amplitudeScale', function () {
+    it('should scale values around the start of the move', function () {
+      const half = Ayva.amplitudeScale(Ayva.RAMP_LINEAR, 0.5);
+
+      half(step(49, 0.2, 0.8)).should.be.closeTo(0.5, 0.000001);
+      half(step(24, 0.8, 0.2)).should.be.closeTo(0.65, 0.000001);
+    });
+
+    it('should scale values around the specified center', function () {
+      Ayva.amplitudeScale(() => 0.7, 2, 0.5)(step(0)).should.be.closeTo(0.9, 0.000001);
+      Ayva.amplitudeScale(() => 0.7, -1, 0.5)(step(0)).should.be.closeTo(0.3, 0.000001);
+    });
+  });
+
+  describe('#offset', function () {
+    it('should shift values', function () {
+      Ayva.offset(Ayva.RAMP_LINEAR, -0.25)(step(49)).should.equal(0.75);
+    });
+  });
+
+  describe('#clamp', function () {
+    it('should keep values within the range', function () {
+      const clamped = Ayva.clamp(Ayva.RAMP_LINEAR, 0.25, 0.75);
+
+      [[0, 0.25], [24, 0.5], [49, 0.75]].forEach(([index, expected]) => {
+        clamped(step(index)).should.equal(expected);
+      });
+
+      Ayva.clamp(Ayva.offset(Ayva.RAMP_LINEAR, 0.5))(step(49)).should.equal(1);
+    });
+  });
+
+  describe('#addNoise', function () {
+    it('should add smooth seeded noise', function () {
+      const noise = Ayva.perlinNoise(7);
+      const noisy = Ayva.addNoise(() => 0.5, noise, 0.1, 2);
+      const values = Array.from({ length: 100 }, (_, index) => noisy({ index, frequency: 50 }));
+
+      values[24].should.equal(0.5); // At a whole number of noise cycles.
+      values[9].should.equal(0.5 + 0.1 * noise(0.4));
+      values.every((value) => value >= 0.4 && value <= 0.6).should.be.true;
+      values.some((value) => value !== 0.5).should.be.true;
+
+      const again = Ayva.addNoise(() => 0.5, Ayva.perlinNoise(7), 0.1, 2);
+      values.should.deep.equal(values.map((value, index) => again({ index, frequency: 50 })));
+    });
+
+    it('should use default amplitude and frequency', function () {
+      const noise = Ayva.perlinNoise(7);
+
+      Ayva.addNoise(() => 0.5, noise)({ index: 9, frequency: 50 }).should.equal(0.5 + 0.05 * noise(0.2));
+      Ayva.perlinNoise()(0.5).should.be.within(-1, 1);
+    });
+  });
+
+  it('should leave values that indicate no movement alone', function () {
+    const noMovement = () => undefined;
+    const noise = Ayva.perlinNoise(1);
+
+    [Ayva.mirror, Ayva.clamp, (p) => Ayva.offset(p, 1), (p) => Ayva.amplitudeScale(p, 2), (p) => Ayva.addNoise(p, noise)]
+      .forEach((combinator) => {
+        expect(combinator(noMovement)(step(0))).to.be.undefined;
+      });
+
+    expect(Ayva.mirror(() => null)(step(0))).to.be.null;
+  });
+
+  describe('with the Motion API', function () {
+    let ayva;
+    let device;
+
+    const output = () => writtenCommands(device);
+
+    beforeEach(function () {
+      ({ ayva, device } = createTestAyva());
+    });
+
+    afterEach(function () {
+      sinon.restore();
+    });
+
+    it('should perform combined providers as moves', async function () {
+      const there = Ayva.sequence(['easeInOutSine', Ayva.reverse(Ayva.RAMP_COS)]);
+
+      await ayva.move({ to: 1, duration: 1, value: there });
+
+      output().should.have.length(50);
+      output()[24].should.equal('L09999\n');
+      output()[49].should.equal('L05000\n');
+
+      const wave = Ayva.clamp(Ayva.amplitudeScale(Ayva.tempestMotion(1, 0), 0.5, 0.5), 0.3, 0.7);
+      await ayva.$.stroke(Ayva.timeScale(wave, 2), 1).execute();
+
+      output().should.have.length(100);
+      output().slice(50).every((command) => command >= 'L02999\n' && command <= 'L06999\n').should.be.true;
+    });
+
+    it('should allow combined providers as ClassicStroke shapes', async function () {
+      const shape = Ayva.mirror(Ayva.reverse('easeInQuad'));
+      const stroke = new ClassicStroke({ shape: [shape, Ayva.sequence([Ayva.RAMP_LINEAR, 'easeOutBounce'], [1, 3])] });
+
+      await stroke.perform(ayva);
+      await stroke.perform(ayva);
+
+      ayva.$.stroke.value.should.equal(0);
+    });
+  });
+});
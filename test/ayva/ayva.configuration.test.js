@@ -380,4 +380,39 @@ describe('Configuration Tests', function () {
       expect(ayva.getTimer() instanceof WorkerTimer).to.be.false;
     });
   });
+
+  describe('#random', function () {
+    it('should default to Math.random', function () {
+      sinon.replace(Math, 'random', sinon.fake.returns(0.25));
+
+      new Ayva(TEST_CONFIG).random().should.equal(0.25);
+
+      sinon.restore();
+    });
+
+    it('should create a seeded source of random numbers', function () {
+      const values = (ayva) => [ayva.random(), ayva.random(), ayva.random()];
+      const first = values(new Ayva({ ...TEST_CONFIG, seed: 42 }));
+
+      first.should.deep.equal(values(new Ayva({ ...TEST_CONFIG, seed: 42 })));
+      first.should.not.deep.equal(values(new Ayva({ ...TEST_CONFIG, seed: 43 })));
+      first.every((value) => value >= 0 && value < 1).should.be.true;
+
+      (function () {
+        new Ayva({ ...TEST_CONFIG, seed: 'seed' }); // eslint-disable-line no-new
+      }).should.throw('Invalid seed: seed');
+    });
+
+    it('should allow setting the source of random numbers', function () {
+      const ayva = new Ayva(TEST_CONFIG);
+      const random = () => 0.5;
+
+      ayva.random = random;
+      ayva.random.should.equal(random);
+
+      (function () {
+        ayva.random = 0.5;
+      }).should.throw('Invalid random: 0.5');
+    });
+  });
 });
@@ -1,7 +1,7 @@
 import '../setup-chai.js';
 import sinon from 'sinon';
 import Ayva from '../../src/ayva.js';
-import { createFunctionBinder } from '../test-helpers.js';
+import { createFunctionBinder, createTestConfig } from '../test-helpers.js';
 
 /**
  * Contains all tests for Ayva's Device API.
@@ -60,4 +60,230 @@ describe('Device Protocols', function () {
     devices.length.should.equal(1);
     devices[0].should.equal(device2);
   });
+
+  describe('#configureOutputDevice', function () {
+    let legacyDevice;
+    let highResolutionDevice;
+
+    beforeEach(function () {
+      ayva = new Ayva(createTestConfig());
+      sinon.replace(ayva, 'sleep', sinon.fake.returns(Promise.resolve()));
+      legacyDevice = { write: sinon.fake() };
+      highResolutionDevice = { write: sinon.fake() };
+      ayva.addOutputDevice(legacyDevice, highResolutionDevice);
+    });
+
+    const output = (device) => device.write.args.map(([command]) => command);
+
+    it('should throw an error when the device has not been added', function () {
+      (function () {
+        ayva.configureOutputDevice({ write () {} }, { precision: 3 });
+      }).should.throw('Unknown output device: [object Object]');
+    });
+
+    it('should throw an error when given an invalid precision', function () {
+      [0, 11, 2.5, '3', null, NaN].forEach((precision) => {
+        (function () {
+          ayva.configureOutputDevice(legacyDevice, { precision });
+        }).should.throw(`Invalid precision: ${precision}`);
+      });
+    });
+
+    it('should write commands to each device at its own precision', async function () {
+      ayva.configureOutputDevice(legacyDevice, { precision: 3 });
+      ayva.configureOutputDevice(highResolutionDevice, { precision: 6 });
+
+      await ayva.move({ to: 0, duration: 0.02 }, { axis: 'twist', to: 1 }, { axis: 'B1', to: true });
+      ayva.$.forward.value = 0.12345;
+
+      output(legacyDevice).should.deep.equal(['B1999\n', 'L0000 R0999\n', 'L1123\n']);
+      output(highResolutionDevice).should.deep.equal(['B1999999\n', 'L0000000 R0999999\n', 'L1123450\n']);
+    });
+
+    it('should apply axis limits at each precision', function () {
+      ayva.updateLimits('stroke', 0.25, 0.75);
+      ayva.configureOutputDevice(legacyDevice, { precision: 2 });
+
+      ayva.$.stroke.value = 1;
+      ayva.$.stroke.value = 0;
+
+      output(legacyDevice).should.deep.equal(['L075\n', 'L025\n']);
+      output(highResolutionDevice).should.deep.equal(['L07500\n', 'L02500\n']);
+    });
+
+    it('should apply precision to interval and speed commands', async function () {
+      ayva.configureOutputDevice(legacyDevice, { precision: 3 });
+      ayva.defaultRamp = Ayva.RAMP_LINEAR;
+
+      ayva.outputMode = 'interval';
+      await ayva.move({ to: 0, duration: 0.5 });
+      ayva.outputMode = 'speed';
+      await ayva.move({ to: 1, speed: 0.5 });
+
+      output(legacyDevice).should.deep.equal(['L0000I500\n', 'L0999S50\n']);
+      output(highResolutionDevice).should.deep.equal(['L00000I500\n', 'L09999S500\n']);
+    });
+
+    it('should send speeds that ramp over the duration of the move at each precision', async function () {
+      ayva.configureOutputDevice(legacyDevice, { precision: 3 });
+      ayva.defaultRamp = Ayva.RAMP_LINEAR;
+      ayva.outputMode = 'speed';
+
+      await ayva.move({ to: 0.2, duration: 0.6 });
+
+      // Devices ramp over 100 * |delta| / S milliseconds (i.e. 100 * 300 / 50 = 600).
+      output(legacyDevice).should.deep.equal(['L0200S50\n']);
+      output(highResolutionDevice).should.deep.equal(['L02000S500\n']);
+    });
+
+    it('should default to four digits of precision', function () {
+      ayva.configureOutputDevice(legacyDevice, { precision: 3 });
+      ayva.configureOutputDevice(legacyDevice);
+
+      ayva.$.stroke.value = 0.25;
+
+      output(legacyDevice).should.deep.equal(['L02500\n']);
+    });
+
+    it('should throw an error when given invalid axis options', function () {
+      const testAxes = (axes) => function () {
+        ayva.configureOutputDevice(legacyDevice, { axes });
+      };
+
+      testAxes(null).should.throw('Invalid axis options: null');
+      testAxes('L0').should.throw('Invalid axis options: L0');
+      testAxes({ X0: false }).should.throw('Invalid axis: X0');
+      testAxes({ twist: true }).should.throw('Invalid options for axis R0: true');
+      testAxes({ twist: null }).should.throw('Invalid options for axis R0: null');
+      testAxes({ twist: { name: 'twist' } }).should.throw('Invalid axis name: twist');
+      testAxes({ twist: { name: 5 } }).should.throw('Invalid axis name: 5');
+      testAxes({ twist: { invert: 'yes' } }).should.throw('Invalid invert: yes');
+      testAxes({ twist: { min: -1 } }).should.throw('Invalid limits: min = -1, max = 1');
+      testAxes({ twist: { max: 2 } }).should.throw('Invalid limits: min = 0, max = 2');
+      testAxes({ twist: { min: 0.5, max: 0.5 } }).should.throw('Invalid limits: min = 0.5, max = 0.5');
+    });
+
+    it('should rename axes per device', async function () {
+      ayva.configureOutputDevice(legacyDevice, { axes: { forward: { name: 'l2' }, R0: { name: 'R1' } } });
+
+      await ayva.move({ axis: 'forward', to: 0, duration: 0.02 }, { axis: 'twist', to: 1 });
+
+      output(legacyDevice).should.deep.equal(['L20000 R19999\n']);
+      output(highResolutionDevice).should.deep.equal(['L10000 R09999\n']);
+    });
+
+    it('should invert axes per device', async function () {
+      ayva.configureOutputDevice(legacyDevice, { axes: { twist: { invert: true }, B1: { invert: true } } });
+      ayva.updateLimits('twist', 0.2, 0.6);
+
+      await ayva.move({ axis: 'twist', to: 1, duration: 0.02 }, { axis: 'B1', to: true });
+      ayva.$.twist.value = 0;
+      ayva.$.twist.value = 0.5;
+
+      output(legacyDevice).should.deep.equal(['B10000\n', 'R03999\n', 'R07999\n', 'R05999\n']);
+      output(highResolutionDevice).should.deep.equal(['B19999\n', 'R06000\n', 'R02000\n', 'R04000\n']);
+    });
+
+    it('should apply device limits after axis limits', async function () {
+      ayva.configureOutputDevice(legacyDevice, { axes: { stroke: { min: 0.8, max: 0.4 } } });
+      ayva.updateLimits('stroke', 0, 0.5);
+      ayva.defaultRamp = Ayva.RAMP_LINEAR;
+
+      ayva.$.stroke.value = 1;
+      ayva.outputMode = 'speed';
+      await ayva.move({ to: 0, speed: 1 });
+
+      output(legacyDevice).should.deep.equal(['L06000\n', 'L04000S200\n']);
+      output(highResolutionDevice).should.deep.equal(['L05000\n', 'L00000S500\n']);
+    });
+
+    it('should exclude axes per device', async function () {
+      ayva.configureOutputDevice(legacyDevice, { axes: { left: false, R0: false } });
+
+      await ayva.move({ to: 0, duration: 0.02 }, { axis: 'left', to: 1 });
+      ayva.$.twist.value = 0;
+
+      output(legacyDevice).should.deep.equal(['L00000\n']);
+      output(highResolutionDevice).should.deep.equal(['L00000 L29999\n', 'R00000\n']);
+    });
+
+    it('should transform axes with interval commands and precision', async function () {
+      ayva.configureOutputDevice(legacyDevice, { precision: 3, axes: { stroke: { name: 'L1', invert: true } } });
+      ayva.defaultRamp = Ayva.RAMP_LINEAR;
+      ayva.outputMode = 'interval';
+
+      await ayva.move({ to: 0.25, duration: 0.5 });
+
+      output(legacyDevice).should.deep.equal(['L1749I500\n']);
+      output(highResolutionDevice).should.deep.equal(['L02500I500\n']);
+    });
+
+    it('should forget the options of removed devices', function () {
+      ayva.configureOutputDevice(legacyDevice, { precision: 3 });
+      ayva.removeOutputDevice(legacyDevice);
+      ayva.addOutputDevice(legacyDevice);
+
+      ayva.$.stroke.value = 0.25;
+
+      output(legacyDevice).should.deep.equal(['L02500\n']);
+    });
+  });
+
+  describe('#configureFromDevice', function () {
+    const createDevice = (axes) => ({
+      write () {},
+      queryInfo: sinon.fake.resolves({ firmware: 'OSR2 v1.0', version: 'TCode v0.3', axes }),
+    });
+
+    it('should reject devices that do not support queries', async function () {
+      await ayva.configureFromDevice({ write () {} }).should.be.rejectedWith('Device does not support queries: [object Object]');
+      await ayva.configureFromDevice(null).should.be.rejectedWith('Device does not support queries: null');
+    });
+
+    it('should reject when the device does not report any axes', async function () {
+      await ayva.configureFromDevice(createDevice([])).should.be.rejectedWith('Device did not report any axes.');
+    });
+
+    it('should configure axes from the device', async function () {
+      const info = await ayva.configureFromDevice(createDevice([
+        { name: 'L0', min: 0, max: 1 },
+        { name: 'R0', min: 0.2, max: 0.8 },
+        { name: 'V0', min: 0, max: 1 },
+        { name: 'X1', min: 0.5, max: 0.5 },
+      ]));
+
+      info.firmware.should.equal('OSR2 v1.0');
+      ayva.defaultAxis.should.equal('L0');
+
+      ayva.getAxes().should.deep.equal([
+        {
+          name: 'L0', alias: 'stroke', type: 'linear', defaultValue: 0.5, max: 1, min: 0, value: 0.5, lastValue: 0.5, resetOnStop: undefined,
+        },
+        {
+          name: 'R0', alias: 'twist', type: 'rotation', defaultValue: 0.5, max: 0.8, min: 0.2, value: 0.5, lastValue: 0.5, resetOnStop: undefined,
+        },
+        {
+          name: 'V0', alias: 'vibe0', type: 'auxiliary', defaultValue: 0, max: 1, min: 0, value: 0, lastValue: 0, resetOnStop: true,
+        },
+        {
+          name: 'X1', alias: undefined, type: 'auxiliary', defaultValue: 0, max: 1, min: 0, value: 0, lastValue: 0, resetOnStop: undefined,
+        },
+      ]);
+    });
+
+    it('should keep an existing default axis', async function () {
+      ayva = new Ayva().defaultConfiguration();
+      ayva.defaultAxis = 'R0';
+
+      await ayva.configureFromDevice(createDevice([{ name: 'L0', min: 0, max: 1 }]));
+
+      ayva.defaultAxis.should.equal('R0');
+    });
+
+    it('should not set a default axis when the device has no L0', async function () {
+      await ayva.configureFromDevice(createDevice([{ name: 'R0', min: 0, max: 1 }]));
+
+      expect(ayva.defaultAxis).to.equal(undefined);
+    });
+  });
 });
@@ -0,0 +1,119 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import Ayva from '../../src/ayva.js';
+import { createTestAyva } from '../test-helpers.js';
+
+/**
+ * Contains all tests for easings.
+ */
+describe('Easing Tests', function () {
+  const families = ['Quad', 'Cubic', 'Quart', 'Expo', 'Sine', 'Circ', 'Back', 'Elastic', 'Bounce'];
+
+  /**
+   * Evaluate a ramp from 0 to 1 at the specified progress.
+   */
+  const ease = (provider, x, from = 0, to = 1) => provider({ from, to, x });
+
+  describe('#easings', function () {
+    it('should provide in, out, and inOut forms of each family', function () {
+      const names = families.flatMap((family) => [`easeIn${family}`, `easeOut${family}`, `easeInOut${family}`]);
+
+      Object.keys(Ayva.easings).should.have.members(names);
+      Ayva.easings.should.equal(Ayva.easings);
+      Object.isFrozen(Ayva.easings).should.be.true;
+    });
+
+    it('should start at the start and end at the target', function () {
+      Object.values(Ayva.easings).forEach((provider) => {
+        ease(provider, 0, 0.2, 0.8).should.be.closeTo(0.2, 0.000001);
+        ease(provider, 1, 0.2, 0.8).should.be.closeTo(0.8, 0.000001);
+      });
+    });
+
+    it('should follow the standard curves', function () {
+      const { easings } = Ayva;
+
+      ease(easings.easeInQuad, 0.5).should.equal(0.25);
+      ease(easings.easeOutQuad, 0.25).should.equal(0.4375);
+      ease(easings.easeInOutCubic, 0.25).should.equal(0.0625);
+      ease(easings.easeInOutCubic, 0.75).should.equal(0.9375);
+      ease(easings.easeInQuart, 0.5).should.equal(0.0625);
+      ease(easings.easeInExpo, 0.5).should.equal(0.03125);
+      ease(easings.easeInOutSine, 0.5).should.be.closeTo(0.5, 0.000001);
+      ease(easings.easeOutCirc, 0.5).should.be.closeTo(Math.sqrt(0.75), 0.000001);
+      ease(easings.easeOutBounce, 0.5).should.be.closeTo(0.765625, 0.000001);
+      ease(easings.easeInBounce, 0.5).should.be.closeTo(0.234375, 0.000001);
+      ease(easings.easeOutBounce, 0.9).should.be.closeTo(0.988125, 0.000001);
+      ease(easings.easeOutBounce, 0.1).should.be.closeTo(0.075625, 0.000001);
+      ease(easings.easeInOutElastic, 0.5).should.be.closeTo(0.5, 0.000001);
+    });
+
+    it('should ease down as well as up', function () {
+      ease(Ayva.easings.easeInQuad, 0.5, 1, 0).should.equal(0.75);
+    });
+
+    it('should clamp curves that overshoot the range', function () {
+      const { easeInBack, easeOutElastic } = Ayva.easings;
+
+      // Overshooting within the range is allowed.
+      ease(easeInBack, 0.2, 0.5, 1).should.be.lessThan(0.5);
+
+      ease(easeInBack, 0.2).should.equal(0);
+      ease(easeOutElastic, 0.2, 0.5, 1).should.equal(1);
+      ease(easeOutElastic, 0.2, 0.5, 0).should.equal(0);
+    });
+  });
+
+  describe('#cubicBezier', function () {
+    it('should throw an error for invalid control points', function () {
+      [[-0.1, 0, 1, 1], [0, 0, 1.1, 1], [0, NaN, 1, 1], [0, 0, 1, null], ['0', 0, 1, 1]].forEach((points) => {
+        (function () {
+          Ayva.cubicBezier(...points);
+        }).should.throw(`Invalid cubic bézier parameters: (${points.map(String).join(', ')})`);
+      });
+    });
+
+    it('should expose its control points', function () {
+      const provider = Ayva.cubicBezier(0.25, 0.1, 0.25, 1);
+
+      provider.x1.should.equal(0.25);
+      provider.y1.should.equal(0.1);
+      provider.x2.should.equal(0.25);
+      provider.y2.should.equal(1);
+    });
+
+    it('should follow the curve', function () {
+      const linear = Ayva.cubicBezier(0, 0, 1, 1);
+      const cssEase = Ayva.cubicBezier(0.25, 0.1, 0.25, 1);
+
+      [0, 0.1, 0.5, 0.9, 1].forEach((x) => {
+        linear({ from: 0, to: 1, x }).should.be.closeTo(x, 0.000001);
+      });
+
+      cssEase({ from: 0, to: 1, x: 0 }).should.be.closeTo(0, 0.000001);
+      cssEase({ from: 0, to: 1, x: 0.5 }).should.be.closeTo(0.8024034, 0.000001);
+      cssEase({ from: 0, to: 1, x: 1 }).should.be.closeTo(1, 0.000001);
+      cssEase({ from: 1, to: 0.5, x: 0.5 }).should.be.closeTo(0.5987983, 0.000001);
+    });
+
+    it('should clamp curves that overshoot the range', function () {
+      const overshoot = Ayva.cubicBezier(0.5, -1, 0.5, 2);
+
+      overshoot({ from: 0, to: 1, x: 0.1 }).should.equal(0);
+      overshoot({ from: 0, to: 1, x: 0.9 }).should.equal(1);
+    });
+  });
+
+  it('should perform moves with easings', async function () {
+    const { ayva, device } = createTestAyva();
+
+    await ayva.move({ to: 0, duration: 1, value: Ayva.easings.easeOutElastic });
+    ayva.$.stroke.value.should.equal(0);
+
+    await ayva.move({ to: 0.5, duration: 1, value: Ayva.cubicBezier(0.25, 0.1, 0.25, 1) });
+    ayva.$.stroke.value.should.equal(0.5);
+
+    device.write.callCount.should.equal(100);
+    device.write.args[0][0].should.match(/^L0\d{4}\n$/);
+  });
+});
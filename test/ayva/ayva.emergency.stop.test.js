@@ -0,0 +1,120 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import ClassicStroke from '../../src/behaviors/classic-stroke.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+/**
+ * Contains all tests for Ayva's emergency stop.
+ */
+describe('Emergency Stop Tests', function () {
+  let ayva;
+  let device;
+  let device2;
+
+  const output = (d = device) => d.write.args.map(([command]) => command);
+
+  beforeEach(function () {
+    ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer() });
+    device = { write: sinon.fake() };
+    device2 = { write: sinon.fake() };
+    ayva.addOutputDevice(device, device2);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should send DSTOP to every device and zero auxiliary axes', function () {
+    ayva.$.valve.value = 0.5;
+    device.write.resetHistory();
+
+    ayva.emergencyStop();
+
+    ayva.emergencyStopped.should.be.true;
+    output().should.deep.equal(['DSTOP\n', 'A00000 A10000\n']);
+    output(device2).should.deep.equal(['A05000\n', 'DSTOP\n', 'A00000 A10000\n']);
+    ayva.$.valve.value.should.equal(0);
+    ayva.$.valve.lastValue.should.equal(0.5);
+  });
+
+  it('should allow configuring the safe state command', function () {
+    ayva.safeStateCommand = 'L05000I2000';
+
+    ayva.emergencyStop();
+
+    output()[0].should.equal('L05000I2000\n');
+  });
+
+  it('should zero auxiliary axes configured with resetOnStop only once', function () {
+    ayva.configureAxis({
+      name: 'V0', type: 'auxiliary', alias: 'vibe0', resetOnStop: true, defaultValue: 0.2,
+    });
+
+    ayva.emergencyStop();
+
+    output().should.deep.equal(['DSTOP\n', 'A00000 A10000 V00000\n']);
+    ayva.$.vibe0.value.should.equal(0);
+  });
+
+  it('should not reset other axes configured with resetOnStop', async function () {
+    ayva.configureAxis({
+      name: 'L0', type: 'linear', alias: 'stroke', resetOnStop: true, defaultValue: 0.5,
+    });
+
+    await ayva.move({ to: 0.2, duration: 0.02 });
+    device.write.resetHistory();
+
+    const stop = sinon.fake();
+    ayva.on('stop', stop);
+    ayva.emergencyStop();
+
+    output().should.deep.equal(['DSTOP\n', 'A00000 A10000\n']);
+    ayva.$.stroke.value.should.equal(0.2);
+    stop.callCount.should.equal(1);
+  });
+
+  it('should not write axis commands when there are no auxiliary axes', function () {
+    ayva = new Ayva({ ...createTestConfig(), axes: [{ name: 'L0', type: 'linear', alias: 'stroke' }] });
+    ayva.addOutputDevice(device);
+
+    ayva.emergencyStop();
+
+    output().should.deep.equal(['DSTOP\n']);
+  });
+
+  it('should cancel pending moves and behaviors', async function () {
+    const move = ayva.move({ to: 0, duration: 1 });
+    const pending = ayva.move({ to: 1, duration: 1 });
+
+    ayva.emergencyStop();
+
+    (await move).should.be.false;
+    (await pending).should.be.false;
+    output().slice(1).should.deep.equal(['DSTOP\n', 'A00000 A10000\n']);
+
+    ayva.resume();
+    const behavior = ayva.do(new ClassicStroke());
+    await ayva.sleep(0.5);
+    ayva.emergencyStop();
+
+    (await behavior).should.be.false;
+    ayva.performing.should.be.false;
+  });
+
+  it('should refuse moves and behaviors until resume() is called', async function () {
+    ayva.emergencyStop();
+
+    await ayva.move({ to: 0, duration: 1 }).should.be.rejectedWith('Emergency stop is active. Call resume() to allow movement.');
+    await ayva.do(new ClassicStroke()).should.be.rejectedWith('Emergency stop is active. Call resume() to allow movement.');
+    await ayva.home().should.be.rejectedWith('Emergency stop is active. Call resume() to allow movement.');
+
+    ayva.resume();
+    ayva.emergencyStopped.should.be.false;
+
+    (await ayva.move({ to: 0, duration: 0.1 })).should.be.true;
+    ayva.$.stroke.value.should.equal(0);
+  });
+});
@@ -0,0 +1,179 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import AyvaBehavior from '../../src/behaviors/ayva-behavior.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+/**
+ * Contains all tests for the events Ayva emits.
+ */
+describe('Event Tests', function () {
+  let ayva;
+  let device;
+
+  /**
+   * Behavior that performs the specified number of moves.
+   */
+  class CountedBehavior extends AyvaBehavior {
+    #moves;
+
+    constructor (moves) {
+      super();
+      this.#moves = moves;
+    }
+
+    generateActions () {
+      if (this.#moves-- > 0) {
+        this.queueMove({ to: this.#moves % 2, duration: 0.1 });
+      } else {
+        this.queueComplete();
+      }
+    }
+  }
+
+  /**
+   * Register a fake listener for the specified event.
+   */
+  const listen = (event) => {
+    const listener = sinon.fake();
+    ayva.on(event, listener);
+    return listener;
+  };
+
+  beforeEach(function () {
+    ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer() });
+    device = { write: sinon.fake() };
+    ayva.addOutputDevice(device);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should support on(), off(), and once()', function () {
+    const listener = sinon.fake();
+    const onceListener = sinon.fake();
+
+    ayva.on('stop', listener).once('stop', onceListener).should.equal(ayva);
+
+    ayva.stop();
+    ayva.stop();
+    ayva.off('stop', listener);
+    ayva.stop();
+
+    listener.callCount.should.equal(2);
+    onceListener.callCount.should.equal(1);
+  });
+
+  it('should emit move:start and move:end', async function () {
+    const start = listen('move:start');
+    const end = listen('move:end');
+    const movements = [{ to: 0, duration: 0.1 }, { axis: 'twist', to: 1 }];
+
+    const promise = ayva.move(...movements);
+    start.callCount.should.equal(1);
+    start.args[0].should.deep.equal([movements]);
+    end.callCount.should.equal(0);
+
+    await promise;
+    end.callCount.should.equal(1);
+    end.args[0].should.deep.equal([movements, true]);
+  });
+
+  it('should emit move:end with false when a move is cancelled', async function () {
+    const start = listen('move:start');
+    const end = listen('move:end');
+
+    const promise = ayva.move({ to: 0, duration: 1 });
+    const pending = ayva.move({ to: 1, duration: 1 });
+    ayva.stop();
+
+    (await promise).should.be.false;
+    (await pending).should.be.false;
+
+    start.callCount.should.equal(1);
+    end.callCount.should.equal(1);
+    end.args[0].should.deep.equal([[{ to: 0, duration: 1 }], false]);
+  });
+
+  it('should emit behavior:start and behavior:complete', async function () {
+    const start = listen('behavior:start');
+    const complete = listen('behavior:complete');
+    const stopped = listen('behavior:stopped');
+    const behavior = new CountedBehavior(2);
+
+    await ayva.do(behavior);
+
+    start.args.should.deep.equal([[behavior]]);
+    complete.args.should.deep.equal([[behavior]]);
+    stopped.callCount.should.equal(0);
+  });
+
+  it('should emit behavior:stopped when a behavior is stopped', async function () {
+    const complete = listen('behavior:complete');
+    const stopped = listen('behavior:stopped');
+    const behavior = new CountedBehavior(10);
+    const nextBehavior = new CountedBehavior(1);
+
+    const promise = ayva.do(behavior);
+    await ayva.sleep(0.25);
+    await Promise.all([promise, ayva.do(nextBehavior)]);
+
+    stopped.args.should.deep.equal([[behavior]]);
+    complete.args.should.deep.equal([[nextBehavior]]);
+  });
+
+  it('should emit write for each command written to each device', async function () {
+    const write = listen('write');
+    const device2 = { write: sinon.fake() };
+    ayva.addOutputDevice(device2);
+    ayva.configureOutputDevice(device2, { precision: 3 });
+
+    await ayva.move({ to: 0, duration: 0.02 });
+    ayva.emergencyStop();
+
+    write.args.should.deep.equal([
+      ['L00000\n', device],
+      ['L0000\n', device2],
+      ['DSTOP\n', device],
+      ['DSTOP\n', device2],
+      ['A00000 A10000\n', device],
+      ['A0000 A1000\n', device2],
+    ]);
+  });
+
+  it('should emit stop', function () {
+    const stop = listen('stop');
+
+    ayva.stop();
+
+    stop.callCount.should.equal(1);
+    stop.args[0].should.deep.equal([]);
+  });
+
+  it('should emit axis:value when the value of an axis changes', async function () {
+    const axisValue = listen('axis:value');
+
+    await ayva.move({ to: 0.4, duration: 0.04, value: Ayva.RAMP_LINEAR }, { axis: 'twist', to: 0.5 });
+    ayva.$.twist.value = 0.25;
+    ayva.$.B1.value = true;
+    ayva.$.B1.value = true;
+
+    axisValue.args.map(([event]) => event).should.deep.equal([
+      {
+        axis: 'L0', alias: 'stroke', value: 0.45, lastValue: 0.5,
+      },
+      {
+        axis: 'L0', alias: 'stroke', value: 0.4, lastValue: 0.45,
+      },
+      {
+        axis: 'R0', alias: 'twist', value: 0.25, lastValue: 0.5,
+      },
+      {
+        axis: 'B1', alias: 'test-boolean-axis', value: true, lastValue: false,
+      },
+    ]);
+  });
+});
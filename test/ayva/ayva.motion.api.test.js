@@ -1037,4 +1037,116 @@ describe('Motion API Tests', function () {
       ayva.getAxis('V0').value.should.equal(0);
     });
   });
+
+  describe('#outputMode', function () {
+    it('should default to live', function () {
+      ayva.outputMode.should.equal('live');
+    });
+
+    it('should throw an error when setting an invalid output mode', function () {
+      [null, undefined, '', 'LIVE', 'fast', 1].forEach((mode) => {
+        (function () {
+          ayva.outputMode = mode;
+        }).should.throw(`Invalid output mode: ${mode}`);
+      });
+
+      ayva.outputMode.should.equal('live');
+    });
+
+    it('should send linear movements as a single interval command', async function () {
+      ayva.outputMode = 'interval';
+
+      await ayva.move({ to: 0, duration: 1 });
+
+      validateWriteOutput('L00000I1000');
+      ayva.sleep.callCount.should.equal(50);
+      ayva.$.stroke.value.should.equal(0);
+    });
+
+    it('should send linear movements as a single speed command', async function () {
+      ayva.outputMode = 'speed';
+
+      await ayva.move({ to: 0, speed: 0.25 });
+      ayva.updateLimits('stroke', 0.2, 0.6);
+      await ayva.move({ to: 1, speed: 0.5 }, { axis: 'twist', to: 0.5005, duration: 0.1 });
+
+      validateWriteOutput('L00000S250', 'L06000S200 R05004S4');
+      ayva.$.stroke.value.should.equal(1);
+    });
+
+    it('should track values internally while the device interpolates', async function () {
+      ayva.outputMode = 'interval';
+      const values = [];
+      sinon.restore();
+      sinon.replace(ayva, 'sleep', sinon.fake(() => {
+        values.push(ayva.$.stroke.value);
+        return Promise.resolve();
+      }));
+
+      await ayva.move({ to: 0, duration: 0.1 });
+
+      values.should.deep.equal([0.4, 0.3, 0.2, 0.1, 0]);
+    });
+
+    it('should send the current value when a move that the device interpolates is cancelled', async function () {
+      ayva.outputMode = 'interval';
+      sinon.restore();
+      sinon.replace(ayva, 'sleep', sinon.fake(() => {
+        if (ayva.sleep.callCount === 3) {
+          ayva.stop();
+        }
+
+        return Promise.resolve();
+      }));
+
+      const result = await ayva.move({ to: 0, duration: 0.1 });
+
+      expect(result).to.be.false;
+      validateWriteOutput('L00000I100', 'L02000');
+      ayva.$.stroke.value.should.equal(0.2);
+    });
+
+    it('should not send the current value after an emergency stop', async function () {
+      ayva.outputMode = 'speed';
+      sinon.restore();
+      sinon.replace(ayva, 'sleep', sinon.fake(() => {
+        if (ayva.sleep.callCount === 3) {
+          ayva.emergencyStop();
+        }
+
+        return Promise.resolve();
+      }));
+
+      await ayva.move({ to: 0, speed: 0.5 });
+
+      validateWriteOutput('L00000S500', 'DSTOP', 'A00000 A10000');
+    });
+
+    it('should stream non-linear movements', async function () {
+      ayva.outputMode = 'interval';
+      ayva.defaultRamp = Ayva.RAMP_COS;
+
+      await ayva.move({ to: 0, duration: 0.1, value: Ayva.RAMP_LINEAR }, { axis: 'twist', to: 0, sync: 'stroke' });
+
+      validateWriteOutput('L00000I100 R04522', 'R03272', 'R01727', 'R00477', 'R00000');
+    });
+
+    it('should stream movements without a target', async function () {
+      ayva.outputMode = 'speed';
+
+      await ayva.move({ value: ({ x }) => 0.5 - x / 2, duration: 0.04 }, { axis: 'B1', to: true });
+
+      validateWriteOutput('B19999', 'L02500', 'L00000');
+    });
+
+    it('should stream live commands after switching back to live mode', async function () {
+      ayva.outputMode = 'interval';
+      await ayva.move({ to: 0, duration: 0.04 });
+
+      ayva.outputMode = 'live';
+      await ayva.move({ to: 1, duration: 0.04 });
+
+      validateWriteOutput('L00000I40', 'L05000', 'L09999');
+    });
+  });
 });
@@ -156,6 +156,23 @@ describe('Move Builder Tests', function () {
       });
     });
 
+    it('should call ayva.move() with relative and percentage targets', function () {
+      const value = function () { };
+      ayva.$.stroke('-=0.2', 1).twist('+=10%', value).roll('25%').pitch('+=0.1', 1, value)
+        .execute();
+
+      ayva.move.callCount.should.equal(1);
+
+      expect(ayva.move.args[0]).to.deep.equal([
+        { axis: 'stroke', to: '-=0.2', speed: 1 },
+        { axis: 'twist', to: '+=10%', value },
+        { axis: 'roll', to: '25%' },
+        {
+          axis: 'pitch', to: '+=0.1', speed: 1, value,
+        },
+      ]);
+    });
+
     it('should throw error when invalid arguments', function () {
       let testInvalid = function () {
         ayva.$.stroke('invalid').execute();
@@ -268,6 +285,46 @@ describe('Move Builder Tests', function () {
     });
   });
 
+  describe('#segment()', function () {
+    it('should continue the timelines of axes across segments', function () {
+      const value = function () { };
+
+      ayva.$.stroke(1, 1).twist(value, 1.5)
+        .segment()
+        .L0({ to: 0.3, duration: 0.5 })
+        .roll(0)
+        .segment()
+        .segment()
+        .stroke({ to: 0.5, duration: 0.25 })
+        .execute();
+
+      expect(ayva.move.args[0]).to.deep.equal([{
+        axis: 'stroke',
+        segments: [{ to: 1, speed: 1 }, { to: 0.3, duration: 0.5 }, { to: 0.5, duration: 0.25 }],
+      }, {
+        axis: 'twist',
+        value,
+        duration: 1.5,
+      }, {
+        axis: 'roll',
+        to: 0,
+      }]);
+    });
+
+    it('should keep duplicate movements within a segment separate', function () {
+      ayva.$.stroke(1).segment().stroke(0).stroke(0.5)
+        .execute();
+
+      expect(ayva.move.args[0]).to.deep.equal([{
+        axis: 'stroke',
+        segments: [{ to: 1 }, { to: 0 }],
+      }, {
+        axis: 'stroke',
+        to: 0.5,
+      }]);
+    });
+  });
+
   describe('#convenienceMethods', function () {
     function testConvenienceMethod (axis) {
       ayva[axis](0, 1);
@@ -0,0 +1,350 @@
+/* eslint-disable no-unused-expressions, no-await-in-loop */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import TempestStroke from '../../src/behaviors/tempest-stroke.js';
+import { createTestAyva, settle, writtenCommands } from '../test-helpers.js';
+
+/**
+ * Contains all tests for pausing and resuming.
+ */
+describe('Pause Tests', function () {
+  let ayva;
+  let device;
+
+  const output = () => writtenCommands(device);
+
+  /**
+   * Pause after the specified number of writes.
+   */
+  const pauseAfter = (count) => {
+    let writes = 0;
+
+    const listener = () => {
+      if (++writes === count) {
+        ayva.pause();
+        ayva.off('write', listener);
+      }
+    };
+
+    ayva.on('write', listener);
+  };
+
+  beforeEach(function () {
+    ({ ayva, device } = createTestAyva());
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should freeze a move and continue from the same step on resume', async function () {
+    pauseAfter(10);
+    const move = ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+    const resolved = sinon.fake();
+    move.then(resolved);
+
+    await settle();
+
+    ayva.paused.should.be.true;
+    resolved.called.should.be.false;
+    output().should.have.length(10);
+    ayva.$.stroke.value.should.equal(0.4);
+
+    await ayva.resume();
+
+    ayva.paused.should.be.false;
+    (await move).should.be.true;
+    output().should.have.length(50);
+    output()[10].should.equal('L03900\n');
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should not catch up on the time spent paused', async function () {
+    pauseAfter(10);
+    const timer = ayva.getTimer();
+    const move = ayva.move({ to: 0, duration: 1 });
+    await settle();
+
+    const pauseTime = timer.now();
+    await timer.sleep(5);
+    await ayva.resume();
+    (await move).should.be.true;
+
+    output().should.have.length(50);
+    (timer.now() - pauseTime).should.be.closeTo(5.82, 0.000001);
+  });
+
+  it('should freeze the remaining time of pending sleeps', async function () {
+    let time = 0;
+    const timerSleeps = [];
+
+    ayva.setTimer({
+      now: () => time,
+      sleep: (seconds) => new Promise((resolve) => {
+        timerSleeps.push({ seconds, resolve });
+      }),
+    });
+
+    const sleep = ayva.sleep(1);
+    const resolved = sinon.fake();
+    sleep.then(resolved);
+
+    time = 0.4;
+    ayva.pause();
+    await settle();
+
+    timerSleeps.map(({ seconds }) => seconds).should.deep.equal([1]);
+
+    // The original timeout elapsing while paused has no effect.
+    time = 5;
+    timerSleeps[0].resolve();
+    await settle();
+    resolved.called.should.be.false;
+
+    await ayva.resume();
+    await settle();
+
+    timerSleeps.map(({ seconds }) => seconds).should.deep.equal([1, 0.6]);
+    resolved.called.should.be.false;
+
+    timerSleeps[1].resolve();
+    (await sleep).should.be.true;
+
+    // Sleeps without a duration resume with no time remaining.
+    const tick = ayva.sleep();
+    ayva.pause();
+    await ayva.resume();
+    await settle();
+
+    timerSleeps.map(({ seconds }) => seconds).should.deep.equal([1, 0.6, undefined, 0]);
+    timerSleeps[3].resolve();
+    (await tick).should.be.true;
+  });
+
+  it('should preserve the state of behaviors', async function () {
+    const render = async function (pauseAt) {
+      ({ ayva, device } = createTestAyva());
+
+      pauseAfter(pauseAt);
+      ayva.do(new TempestStroke('orbit-grind'));
+      await settle();
+
+      output().should.have.length(pauseAt);
+
+      if (pauseAt < 200) {
+        pauseAfter(200 - pauseAt);
+        await ayva.resume();
+        await settle();
+      }
+
+      ayva.stop();
+      return output();
+    };
+
+    const expected = await render(200);
+
+    (await render(75)).should.deep.equal(expected);
+  });
+
+  it('should hold moves that start while paused', async function () {
+    ayva.pause();
+    const move = ayva.move({ to: 0, duration: 0.1 });
+
+    await settle();
+    output().should.have.length(0);
+
+    await ayva.resume();
+    (await move).should.be.true;
+    output().should.have.length(5);
+  });
+
+  it('should ramp back to the paused position before continuing', async function () {
+    pauseAfter(10);
+    const move = ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR }, {
+      axis: 'twist', to: 0, duration: 1, value: Ayva.RAMP_LINEAR,
+    });
+    await settle();
+
+    ayva.$.stroke.value = 0.8;
+    device.write.resetHistory();
+
+    const onResume = sinon.fake(() => output().length);
+    ayva.on('resume', onResume);
+    await ayva.resume({ ramp: 0.5 });
+
+    // Only axes that changed are ramped.
+    output().should.have.length(25);
+    output().every((command) => /^L0\d+\n$/.test(command)).should.be.true;
+    output()[24].should.equal('L04000\n');
+    onResume.returnValues.should.deep.equal([25]);
+
+    (await move).should.be.true;
+    output()[25].should.equal('L03900 R03900\n');
+  });
+
+  it('should not catch up on the time spent ramping', async function () {
+    const timer = ayva.getTimer();
+    const times = [];
+    ayva.on('write', () => times.push(timer.now()));
+
+    pauseAfter(50);
+    const move = ayva.move({ to: 0, duration: 4, value: Ayva.RAMP_LINEAR });
+    await settle();
+
+    await timer.sleep(2);
+    ayva.$.stroke.value = 0.8;
+    await ayva.resume({ ramp: 1 });
+
+    const rampEnd = timer.now();
+    const rampWrites = times.length;
+    (await move).should.be.true;
+
+    // The rest of the move is written a step at a time after the ramp (as if it had been paused for the ramp too).
+    const steps = times.slice(rampWrites);
+    steps.should.have.length(150);
+    steps[0].should.be.closeTo(rampEnd + 0.02, 0.000001);
+    steps.slice(1).forEach((time, index) => (time - steps[index]).should.be.closeTo(0.02, 0.000001));
+    timer.now().should.be.closeTo(7, 0.000001);
+  });
+
+  [
+    ['interval', ['L09999I10000\n', 'L05999\n', 'L09999I8000\n']],
+    ['speed', ['L09999S50\n', 'L05999\n', 'L09999S50\n']],
+  ].forEach(([mode, commands]) => {
+    it(`should halt moves that devices interpolate and send the rest of the move on resume (${mode})`, async function () {
+      ayva.outputMode = mode;
+
+      let steps = 0;
+      ayva.on('axis:value', () => {
+        if (++steps === 100) {
+          ayva.pause();
+        }
+      });
+
+      const move = ayva.move({ to: 1, duration: 10, value: Ayva.RAMP_LINEAR });
+      await settle();
+
+      ayva.$.stroke.value.should.equal(0.6);
+      output().should.deep.equal(commands.slice(0, 2));
+
+      await ayva.getTimer().sleep(5);
+      await ayva.resume();
+      (await move).should.be.true;
+
+      output().should.deep.equal(commands);
+    });
+  });
+
+  it('should not ramp when nothing changed', async function () {
+    pauseAfter(10);
+    const move = ayva.move({ to: 0, duration: 1 });
+    await settle();
+
+    const resume = ayva.resume({ ramp: 1 });
+    output().should.have.length(10);
+    await resume;
+
+    (await move).should.be.true;
+    output().should.have.length(50);
+  });
+
+  it('should stay paused when paused again during the ramp', async function () {
+    pauseAfter(10);
+    const move = ayva.move({ to: 0, duration: 1 });
+    await settle();
+
+    ayva.$.stroke.value = 0.8;
+    pauseAfter(5);
+    const resume = ayva.resume({ ramp: 0.5 });
+    await settle();
+
+    ayva.paused.should.be.true;
+    output().should.have.length(16);
+
+    await ayva.resume();
+    await resume;
+    (await move).should.be.true;
+    ayva.paused.should.be.false;
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should cancel everything when stopped while paused', async function () {
+    pauseAfter(10);
+    const move = ayva.move({ to: 0, duration: 1 });
+    const pending = ayva.move({ to: 1, duration: 1 });
+    await settle();
+    const sleep = ayva.sleep(1);
+
+    ayva.stop();
+
+    ayva.paused.should.be.false;
+    (await move).should.be.false;
+    (await pending).should.be.false;
+    (await sleep).should.be.false;
+    output().should.have.length(10);
+  });
+
+  it('should cancel a move that starts while paused when stopped', async function () {
+    ayva.pause();
+    const move = ayva.move({ to: 0, duration: 1 });
+    await settle();
+
+    ayva.stop();
+    ayva.pause();
+    await ayva.resume();
+
+    (await move).should.be.false;
+    output().should.have.length(0);
+  });
+
+  it('should cancel the ramp when stopped', async function () {
+    pauseAfter(10);
+    const move = ayva.move({ to: 0, duration: 1 });
+    await settle();
+
+    ayva.$.stroke.value = 0.8;
+    pauseAfter(6);
+    const resume = ayva.resume({ ramp: 0.5 });
+    await settle();
+    ayva.stop();
+
+    await resume;
+    (await move).should.be.false;
+    ayva.paused.should.be.false;
+  });
+
+  it('should emit pause and resume events', async function () {
+    const onPause = sinon.fake();
+    const onResume = sinon.fake();
+    ayva.on('pause', onPause);
+    ayva.on('resume', onResume);
+
+    await ayva.resume();
+    onResume.callCount.should.equal(0);
+
+    ayva.pause();
+    ayva.pause();
+    onPause.callCount.should.equal(1);
+
+    await ayva.resume();
+    onResume.callCount.should.equal(1);
+  });
+
+  it('should resume after an emergency stop', async function () {
+    ayva.pause();
+    ayva.emergencyStop();
+
+    ayva.paused.should.be.false;
+    ayva.emergencyStopped.should.be.true;
+
+    await ayva.resume({ ramp: 1 });
+    ayva.emergencyStopped.should.be.false;
+  });
+
+  it('should throw an error for an invalid ramp', async function () {
+    for (const ramp of [-1, null, 'ramp', NaN]) {
+      await ayva.resume({ ramp }).should.be.rejectedWith(`Invalid ramp: ${ramp}`);
+    }
+  });
+});
@@ -0,0 +1,272 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import {
+  createTestAyva, writtenCommands, writtenValues, settle,
+} from '../test-helpers.js';
+
+/**
+ * Contains all tests for output ranges.
+ */
+describe('Range Tests', function () {
+  let ayva;
+  let device;
+  let timer;
+
+  const output = () => writtenCommands(device);
+  const strokeOutput = () => writtenValues(device);
+
+  beforeEach(function () {
+    ({ ayva, device, timer } = createTestAyva());
+    ayva.rangeRamp = 0;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error for invalid ranges', function () {
+    const testRange = (axis, range) => function () {
+      ayva.setRange(axis, range);
+    };
+
+    testRange('X0', {}).should.throw('Invalid axis: X0');
+    testRange('test-boolean-axis', {}).should.throw('Cannot set range on a boolean axis: test-boolean-axis');
+
+    [-0.1, 1.1, null, '0.5', NaN].forEach((value) => {
+      testRange('stroke', { center: value }).should.throw(`Invalid center: ${value}`);
+      testRange('stroke', { scale: value }).should.throw(`Invalid scale: ${value}`);
+    });
+
+    [-1, null, 'ramp'].forEach((ramp) => {
+      ayva.rangeRamp = ramp;
+      testRange('stroke', { scale: 0.5 }).should.throw(`Invalid range ramp: ${ramp}`);
+    });
+  });
+
+  it('should get the range of an axis', function () {
+    ayva.getRange('stroke').should.deep.equal({ center: 0.5, scale: 1 });
+    expect(ayva.getRange('X0')).to.be.undefined;
+    expect(ayva.getRange('B1')).to.be.undefined;
+
+    ayva.setRange('stroke', { scale: 0.5 });
+    ayva.getRange('L0').should.deep.equal({ center: 0.5, scale: 0.5 });
+
+    // Unspecified properties keep their values.
+    ayva.setRange('stroke', { center: 0.25 });
+    ayva.getRange('stroke').should.deep.equal({ center: 0.25, scale: 0.5 });
+
+    ayva.getRange('stroke').center = 1;
+    ayva.getRange('stroke').center.should.equal(0.25);
+
+    ayva.setRange('stroke', null);
+    ayva.getRange('stroke').should.deep.equal({ center: 0.5, scale: 1 });
+  });
+
+  it('should transform output without affecting axis values', async function () {
+    const onValue = sinon.fake();
+    ayva.on('axis:value', onValue);
+    ayva.setRange('stroke', { center: 0.75, scale: 0.5 });
+
+    ayva.$.stroke.value = 0;
+    ayva.$.stroke.value = 1;
+    ayva.$.stroke.value = 0.5;
+    ayva.$.twist.value = 0;
+
+    output().should.deep.equal(['L05000\n', 'L09999\n', 'L07499\n', 'R00000\n']);
+    ayva.$.stroke.value.should.equal(0.5);
+    onValue.args.map(([{ value }]) => value).should.deep.equal([0, 1, 0.5, 0]);
+  });
+
+  it('should transform moves', async function () {
+    ayva.setRange('stroke', { center: 0.5, scale: 0.5 });
+
+    await ayva.move({ to: 0, duration: 0.1, value: Ayva.RAMP_LINEAR });
+
+    output().should.deep.equal(['L04500\n', 'L04000\n', 'L03500\n', 'L03000\n', 'L02500\n']);
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should clamp transformed values', function () {
+    ayva.setRange('stroke', { center: 0.9 });
+
+    ayva.$.stroke.value = 0.2;
+    ayva.$.stroke.value = 0.8;
+
+    output().should.deep.equal(['L05999\n', 'L09999\n']);
+  });
+
+  it('should ease between ranges', async function () {
+    ayva.rangeRamp = 1;
+    ayva.$.stroke.value = 1;
+    ayva.setRange('stroke', { scale: 0 });
+
+    await settle();
+
+    const values = strokeOutput();
+    values.should.have.length(51);
+    values[0].should.equal(0.9999);
+    values[25].should.equal(0.7499);
+    values[50].should.equal(0.5);
+    timer.now().should.be.closeTo(1, 1e-9);
+    ayva.$.stroke.value.should.equal(1);
+  });
+
+  it('should change direction while easing between ranges', async function () {
+    ayva.rangeRamp = 1;
+    ayva.$.stroke.value = 1;
+    ayva.setRange('stroke', { scale: 0 });
+
+    ayva.on('write', () => {
+      if (strokeOutput().length === 26) {
+        // Change direction halfway through.
+        ayva.setRange('stroke', { scale: 1 });
+      }
+    });
+
+    await settle();
+
+    const values = strokeOutput();
+    values.should.have.length(76);
+    values[25].should.equal(0.7499);
+    values[50].should.equal(0.8749);
+    values[75].should.equal(0.9999);
+  });
+
+  it('should move idle axes to their new output values', async function () {
+    ayva.$.stroke.value = 0.5;
+    ayva.$.twist.value = 0.5;
+    ayva.setRange('stroke', { center: 0.25, scale: 0.5 });
+    ayva.setRange('twist', { scale: 0.5 });
+
+    await settle();
+
+    // The twist output is already where it needs to be.
+    output().should.deep.equal(['L05000\n', 'R05000\n', 'L02500\n']);
+    ayva.$.stroke.value.should.equal(0.5);
+  });
+
+  it('should not move axes while paused', async function () {
+    ayva.$.stroke.value = 0.5;
+    ayva.pause();
+    ayva.setRange('stroke', { center: 0.25 });
+
+    await settle();
+    output().should.deep.equal(['L05000\n']);
+
+    ayva.resume();
+    await settle();
+    output().should.deep.equal(['L05000\n', 'L02500\n']);
+  });
+
+  it('should stop moving idle axes when stopped', async function () {
+    ayva.rangeRamp = 1;
+    ayva.$.stroke.value = 0.5;
+    ayva.setRange('stroke', { center: 0 });
+
+    ayva.on('write', () => {
+      if (output().length === 11) {
+        ayva.stop();
+      }
+    });
+
+    await settle();
+    strokeOutput().should.have.length(11);
+
+    ayva.emergencyStop();
+    ayva.setRange('stroke', { center: 0.5 });
+    await settle();
+    output().slice(11).should.deep.equal(['DSTOP\n', 'A00000 A10000\n']);
+  });
+
+  it('should apply the range before the safety limits', async function () {
+    const onLimit = sinon.fake();
+    ayva.on('limit', onLimit);
+    ayva.setSafetyLimits('stroke', { velocity: 1 });
+
+    // Idle axis.
+    ayva.$.stroke.value = 0.5;
+    ayva.setRange('stroke', { center: 0.9, scale: 0.2 });
+    await settle();
+
+    let values = strokeOutput();
+    values.should.have.length(21);
+    values[1].should.be.closeTo(0.52, 1e-4);
+    values[20].should.equal(0.8999);
+    onLimit.callCount.should.equal(19);
+    ayva.$.stroke.value.should.equal(0.5);
+
+    // Moving axis.
+    device.write.resetHistory();
+    ayva.setSafetyLimits('stroke', { velocity: 2 });
+    ayva.on('write', () => {
+      if (strokeOutput().length === 10) {
+        ayva.setRange('stroke', { center: 0.1, scale: 0.2 });
+      }
+    });
+
+    await ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+
+    values = strokeOutput();
+    values.should.have.length(50);
+    values.slice(1).forEach((value, i) => Math.abs(value - values[i]).should.be.at.most(0.04 + 1e-9));
+    values[49].should.equal(0);
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should keep the values of axes that are limited in a range with no size', async function () {
+    ayva.setSafetyLimits('stroke', { velocity: 1 });
+    ayva.$.stroke.value = 0;
+    ayva.setRange('stroke', { scale: 0 });
+    ayva.stop();
+
+    await ayva.move({ to: 1, duration: 0.1, value: Ayva.RAMP_LINEAR });
+
+    strokeOutput().should.deep.equal([0, 0.02, 0.04, 0.06, 0.08, 0.1, 0.12]);
+    ayva.$.stroke.value.should.equal(1);
+  });
+
+  it('should stop moving idle axes when the safety limits reject the movement', async function () {
+    ayva.setSafetyLimits('stroke', { velocity: 1, mode: 'reject' });
+    ayva.$.stroke.value = 0.5;
+    ayva.setRange('stroke', { center: 0.9 });
+
+    await settle();
+
+    output().should.deep.equal(['L05000\n']);
+  });
+
+  it('should apply before device options', function () {
+    ayva.configureOutputDevice(device, { axes: { stroke: { invert: true } } });
+    ayva.setRange('stroke', { center: 0.75, scale: 0.5 });
+
+    ayva.$.stroke.value = 1;
+
+    output().should.deep.equal(['L00000\n']);
+  });
+
+  it('should scale moves that devices interpolate', async function () {
+    ayva.setRange('stroke', { center: 0.5, scale: 0.5 });
+
+    ayva.outputMode = 'interval';
+    await ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+
+    ayva.outputMode = 'speed';
+    await ayva.move({ to: 1, speed: 0.5, value: Ayva.RAMP_LINEAR });
+
+    // A range with no size leaves the device nothing to move.
+    ayva.setRange('stroke', { scale: 0 });
+    await ayva.move({ to: 0, speed: 0.5, value: Ayva.RAMP_LINEAR });
+
+    output().should.deep.equal(['L02500I1000\n', 'L07499S250\n', 'L05000\n', 'L05000S1\n']);
+  });
+
+  it('should not transform the emergency stop', function () {
+    ayva.setRange('valve', { center: 0.5, scale: 0.5 });
+
+    ayva.emergencyStop();
+
+    output().should.deep.equal(['DSTOP\n', 'A00000 A10000\n']);
+  });
+});
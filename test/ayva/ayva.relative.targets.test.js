@@ -0,0 +1,145 @@
+/* eslint-disable no-unused-expressions, no-await-in-loop */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import validator from '../../src/util/validator.js';
+import { createTestAyva, writtenCommands } from '../test-helpers.js';
+
+/**
+ * Contains all tests for relative and percentage targets.
+ */
+describe('Relative Target Tests', function () {
+  let ayva;
+  let device;
+  let timer;
+
+  const output = () => writtenCommands(device);
+
+  beforeEach(function () {
+    ({ ayva, device, timer } = createTestAyva());
+    ayva.defaultRamp = Ayva.RAMP_LINEAR;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error for invalid targets', async function () {
+    const testMove = (movement, message) => ayva.move(movement).should.be.rejectedWith(message);
+
+    for (const to of ['0.5', '+0.1', '=0.1', '+=', '+=-0.1', '*=0.1', '50 %', '+=0.1%%', '101%', '-5%']) {
+      await testMove({ to, duration: 1 }, `Invalid value for parameter 'to': ${to}`);
+    }
+
+    for (const by of [null, '0.1', NaN, Infinity]) {
+      await testMove({ by, duration: 1 }, `Invalid value for parameter 'by': ${by}`);
+    }
+
+    await testMove({ axis: 'test-boolean-axis', by: 0.1 }, 'Invalid value for parameter \'by\': 0.1');
+    await testMove({ axis: 'test-boolean-axis', to: '+=0.1' }, 'Invalid value for parameter \'to\': +=0.1');
+    await testMove({ to: 0.5, by: 0.1, duration: 1 }, 'Cannot supply both to and by.');
+    await testMove({ segments: [{ to: 1, duration: 1 }], by: 0.1 }, 'Cannot specify \'by\' with segments.');
+
+    await testMove(
+      { segments: [{ value: () => 0, duration: 1 }, { by: 0.1, speed: 1 }] },
+      'Cannot specify speed for a segment that follows a segment without a target.'
+    );
+
+    output().should.have.length(0);
+  });
+
+  it('should move relative to the value of the axis at the start of the move', async function () {
+    const move = ayva.move({ to: 0.8, duration: 0.2 });
+    ayva.move({ by: -0.2, speed: 1 }, { axis: 'twist', to: '+=0.25', duration: 0.2 });
+    await move;
+
+    // The target is resolved when the move starts (not when it is queued).
+    ayva.$.stroke.value.should.equal(0.8);
+    await ayva.move({ to: '-=0.3', duration: 0.2 });
+
+    ayva.$.stroke.value.should.equal(0.3);
+    ayva.$.twist.value.should.equal(0.75);
+    output().should.have.length(30);
+    output()[19].should.equal('L05999 R07499\n');
+  });
+
+  it('should move to a percentage of the range of the axis', async function () {
+    ayva.updateLimits('stroke', 0.2, 0.6);
+
+    await ayva.move({ to: '25%', duration: 0.2 });
+    ayva.$.stroke.value.should.equal(0.25);
+    output()[9].should.equal('L03000\n');
+
+    await ayva.move({ to: '+=50%', duration: 0.2 }, { axis: 'twist', to: ' .5% ', duration: 0.2 });
+    ayva.$.stroke.value.should.equal(0.75);
+    ayva.$.twist.value.should.equal(0.005);
+    output()[19].should.equal('L05000 R00050\n');
+  });
+
+  it('should report relative targets that fall out of range from the validator', function () {
+    const validate = (...movements) => validator.validateMovements(movements, ayva.axes, ayva.defaultAxis);
+
+    validate({ to: '+=0.5', duration: 1 }, { axis: 'twist', by: -0.5 }).should.deep.equal([]);
+    validate({ by: 0.7, speed: 1 }, { axis: 'twist', to: '-=60%' }).should.deep.equal([
+      {
+        axis: 'L0', from: 0.5, target: 1.2, clampedTarget: 1,
+      },
+      {
+        axis: 'R0', from: 0.5, target: -0.1, clampedTarget: 0,
+      },
+    ]);
+
+    // Segments are resolved against the target of the previous segment (if it has one).
+    validate({
+      segments: [{ to: 0.9, duration: 1 }, { by: 0.2, duration: 1 }, { value: () => 0, duration: 1 }, { to: '-=0.2', duration: 1 }],
+    }).should.deep.equal([{
+      axis: 'L0', from: 0.9, target: 1.1, clampedTarget: 1,
+    }]);
+  });
+
+  it('should clamp relative targets that fall out of range', async function () {
+    const onClamped = sinon.fake();
+    ayva.on('target:clamped', onClamped);
+
+    await ayva.move({ by: 0.7, speed: 1 });
+
+    ayva.$.stroke.value.should.equal(1);
+    onClamped.callCount.should.equal(1);
+    onClamped.args[0][0].should.deep.equal({
+      axis: 'L0', from: 0.5, target: 1.2, clampedTarget: 1,
+    });
+
+    // The speed applies to the distance actually travelled.
+    timer.now().should.be.closeTo(0.5, 0.000001);
+
+    // Targets are reported against the value of the axis when the move starts (not when it is queued).
+    const move = ayva.move({ to: 0.2, duration: 0.2 });
+    ayva.move({ to: '-=150%', duration: 0.2 });
+    await move;
+    await ayva.move({ to: '+=90%', duration: 0.2 });
+
+    ayva.$.stroke.value.should.equal(0.9);
+    onClamped.callCount.should.equal(2);
+    onClamped.args[1][0].should.deep.equal({
+      axis: 'L0', from: 0.2, target: -1.3, clampedTarget: 0,
+    });
+  });
+
+  it('should resolve relative segments against the target of the previous segment', async function () {
+    await ayva.move({
+      segments: [{ to: 0.2, duration: 0.2 }, { by: 0.3, speed: 1 }, { value: () => 0.6, duration: 0.2 }, { to: '+=0.1', duration: 0.2 }],
+    });
+
+    timer.now().should.be.closeTo(0.9, 0.000001);
+    ayva.$.stroke.value.should.equal(0.7);
+    output()[24].should.equal('L05000\n');
+  });
+
+  it('should perform relative targets from a move builder', async function () {
+    await ayva.$.stroke('-=0.25', 1).twist({ by: 0.25 }).execute();
+
+    ayva.$.stroke.value.should.equal(0.25);
+    ayva.$.twist.value.should.equal(0.75);
+    output().should.have.length(13);
+  });
+});
@@ -0,0 +1,147 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+/**
+ * Contains all tests for Ayva's safety limits.
+ */
+describe('Safety Limit Tests', function () {
+  let ayva;
+  let device;
+  let limit;
+
+  const output = () => device.write.args.map(([command]) => command.trim());
+
+  beforeEach(function () {
+    ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer() });
+    ayva.defaultRamp = Ayva.RAMP_LINEAR;
+    device = { write: sinon.fake() };
+    ayva.addOutputDevice(device);
+
+    limit = sinon.fake();
+    ayva.on('limit', limit);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error when given invalid limits', function () {
+    const testLimits = (axis, limits) => function () {
+      ayva.setSafetyLimits(axis, limits);
+    };
+
+    testLimits('X0', { velocity: 1 }).should.throw('Invalid axis: X0');
+    testLimits('B1', { velocity: 1 }).should.throw('Cannot set safety limits on a boolean axis: B1');
+    testLimits('stroke', undefined).should.throw('Must specify a velocity or acceleration.');
+    testLimits('stroke', {}).should.throw('Must specify a velocity or acceleration.');
+
+    [0, -1, NaN, Infinity, '1', null].forEach((value) => {
+      testLimits('stroke', { velocity: value }).should.throw(`Invalid velocity: ${value}`);
+      testLimits('stroke', { acceleration: value }).should.throw(`Invalid acceleration: ${value}`);
+    });
+
+    testLimits('stroke', { velocity: 1, mode: 'ignore' }).should.throw('Invalid limit mode: ignore');
+    expect(ayva.getSafetyLimits('stroke')).to.be.undefined;
+  });
+
+  it('should get and remove safety limits', function () {
+    ayva.setSafetyLimits('stroke', { velocity: 2 });
+    ayva.setSafetyLimits('R0', { acceleration: 10, mode: 'reject' });
+
+    ayva.getSafetyLimits('L0').should.deep.equal({
+      velocity: 2, acceleration: undefined, mode: 'clamp', hits: 0,
+    });
+
+    ayva.getSafetyLimits('twist').should.deep.equal({
+      velocity: undefined, acceleration: 10, mode: 'reject', hits: 0,
+    });
+
+    ayva.setSafetyLimits('stroke', null);
+    expect(ayva.getSafetyLimits('stroke')).to.be.undefined;
+    expect(ayva.getSafetyLimits('X0')).to.be.undefined;
+  });
+
+  it('should clamp the velocity of an axis', async function () {
+    ayva.setSafetyLimits('stroke', { velocity: 5 });
+
+    const result = await ayva.move({ value: () => 0, duration: 0.1 }, { axis: 'twist', value: () => 0 });
+
+    result.should.be.true;
+    output().should.deep.equal([
+      'L04000 R00000', 'L03000 R00000', 'L02000 R00000', 'L01000 R00000', 'L00000 R00000',
+    ]);
+
+    ayva.getSafetyLimits('stroke').hits.should.equal(4);
+    limit.callCount.should.equal(4);
+    limit.args[0][0].should.deep.equal({
+      axis: 'L0', mode: 'clamp', value: 0, velocity: -25, acceleration: -1250,
+    });
+  });
+
+  it('should clamp the acceleration of an axis', async function () {
+    ayva.setSafetyLimits('stroke', { acceleration: 50 });
+
+    await ayva.move({ to: 0, duration: 0.1 });
+
+    output().should.deep.equal(['L04800', 'L04400', 'L03800', 'L03000', 'L02000']);
+    ayva.$.stroke.value.should.equal(0.2);
+    ayva.getSafetyLimits('stroke').hits.should.equal(5);
+  });
+
+  it('should not limit movements within the limits', async function () {
+    ayva.setSafetyLimits('stroke', { velocity: 5, acceleration: 500 });
+
+    await ayva.move({ to: 0, duration: 0.1 });
+    await ayva.move({ to: 0.5, duration: 0.1 });
+
+    ayva.$.stroke.value.should.equal(0.5);
+    ayva.getSafetyLimits('stroke').hits.should.equal(0);
+    limit.callCount.should.equal(0);
+  });
+
+  it('should consider an axis at rest after it stops moving', async function () {
+    ayva.setSafetyLimits('stroke', { acceleration: 250 });
+
+    // Reversing direction immediately exceeds the acceleration limit.
+    await ayva.move({ to: 0.4, duration: 0.02 });
+    await ayva.move({ to: 0.5, duration: 0.02 });
+    ayva.getSafetyLimits('stroke').hits.should.equal(1);
+    ayva.$.stroke.value.should.equal(0.4);
+
+    await ayva.sleep(1);
+    await ayva.move({ to: 0.5, duration: 0.02 });
+    ayva.getSafetyLimits('stroke').hits.should.equal(1);
+    ayva.$.stroke.value.should.equal(0.5);
+  });
+
+  it('should cancel movements that exceed the limits in reject mode', async function () {
+    ayva.setSafetyLimits('stroke', { velocity: 5, mode: 'reject' });
+
+    const result = await ayva.move({ to: 0, duration: 0.1, value: ({ index }) => (index < 2 ? 0.4 : 0) });
+
+    result.should.be.false;
+    output().should.deep.equal(['L04000', 'L04000']);
+    ayva.$.stroke.value.should.equal(0.4);
+    ayva.getSafetyLimits('stroke').hits.should.equal(1);
+    limit.callCount.should.equal(1);
+    limit.args[0][0].should.deep.equal({
+      axis: 'L0', mode: 'reject', value: 0, velocity: -20, acceleration: -1000,
+    });
+
+    (await ayva.move({ to: 0.3, duration: 0.1 })).should.be.true;
+    ayva.$.stroke.value.should.equal(0.3);
+  });
+
+  it('should stream linear movements on limited axes in interval mode', async function () {
+    ayva.outputMode = 'interval';
+    ayva.setSafetyLimits('stroke', { velocity: 10 });
+
+    await ayva.move({ to: 0.4, duration: 0.04 }, { axis: 'twist', to: 0 });
+
+    output().should.deep.equal(['L04500 R00000I40', 'L04000']);
+  });
+});
@@ -0,0 +1,173 @@
+/* eslint-disable no-unused-expressions, no-await-in-loop */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import { createTestAyva, writtenCommands, writtenValues } from '../test-helpers.js';
+
+/**
+ * Contains all tests for movements with segments.
+ */
+describe('Segment Tests', function () {
+  let ayva;
+  let device;
+  let timer;
+
+  const output = () => writtenCommands(device);
+
+  const strokeOutput = () => writtenValues(device);
+
+  beforeEach(function () {
+    ({ ayva, device, timer } = createTestAyva());
+    ayva.defaultRamp = Ayva.RAMP_LINEAR;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error for invalid segments', async function () {
+    const testMove = (movement, message) => ayva.move(movement).should.be.rejectedWith(message);
+    const segments = [{ to: 0, duration: 1 }];
+
+    for (const property of ['to', 'speed', 'duration', 'value', 'sync']) {
+      await testMove({ segments, [property]: 1 }, `Cannot specify '${property}' with segments.`);
+    }
+
+    await testMove({ axis: 'test-boolean-axis', segments }, 'Cannot specify segments for boolean axes: test-boolean-axis');
+
+    for (const invalidSegments of [null, [], 'segments']) {
+      await testMove({ segments: invalidSegments }, `Invalid segments: ${invalidSegments}`);
+    }
+
+    for (const segment of [null, 1, { axis: 'twist', to: 0 }, { segments }]) {
+      await testMove({ segments: [segment] }, `Invalid segment: ${JSON.stringify(segment)}`);
+    }
+
+    await testMove({ segments: [{ to: 2, duration: 1 }] }, 'Invalid value for parameter \'to\': 2');
+    await testMove({ segments: [{ to: 1 }] }, 'At least one movement must have a speed or duration.');
+    await testMove({ segments: [{ to: 1, speed: 1, duration: 1 }] }, 'Cannot supply both speed and duration.');
+
+    await testMove(
+      { segments: [{ value: () => 0, duration: 1 }, { to: 1, speed: 1 }] },
+      'Cannot specify speed for a segment that follows a segment without a target.'
+    );
+
+    output().should.have.length(0);
+  });
+
+  it('should perform segments back to back as one move', async function () {
+    const onMoveStart = sinon.fake();
+    ayva.on('move:start', onMoveStart);
+
+    (await ayva.move({
+      segments: [{ to: 1, duration: 1 }, { to: 0.3, duration: 0.5 }],
+    })).should.be.true;
+
+    onMoveStart.callCount.should.equal(1);
+    timer.now().should.be.closeTo(1.5, 0.000001);
+    output().should.have.length(75);
+
+    const values = strokeOutput();
+    values[0].should.equal(0.5099);
+    values[49].should.equal(0.9999);
+    values[50].should.equal(0.9719);
+    ayva.$.stroke.value.should.equal(0.3);
+  });
+
+  it('should give each segment the parameters of a movement of its own', async function () {
+    const provider = sinon.fake(Ayva.RAMP_LINEAR);
+
+    await ayva.move({
+      segments: [{ to: 1, speed: 1 }, {
+        to: 0, speed: 2, value: provider, custom: true,
+      }],
+    });
+
+    output().should.have.length(50);
+    provider.callCount.should.equal(25);
+
+    const [parameters] = provider.args[0];
+    parameters.should.include({
+      axis: 'L0', from: 1, to: 0, speed: 2, duration: 0.5, stepCount: 25, direction: -1, custom: true, frequency: 50, currentValue: 1,
+    });
+    parameters.x.should.be.closeTo(0.04, 0.000001);
+    parameters.index.should.be.closeTo(0, 0.000001);
+    parameters.time.should.be.closeTo(0, 0.000001);
+    provider.args[24][0].x.should.equal(1);
+  });
+
+  it('should start segments after value providers where the previous segment ended', async function () {
+    await ayva.move({
+      segments: [{ value: () => 0.2, duration: 0.2 }, { to: 1, duration: 0.2 }],
+    });
+
+    const values = strokeOutput();
+    values.should.have.length(20);
+    values[9].should.equal(0.2);
+    values[10].should.equal(0.28);
+    values[19].should.equal(0.9999);
+  });
+
+  it('should continue segments smoothly between steps', async function () {
+    await ayva.move({
+      segments: [{ to: 1, duration: 0.01 }, { to: 0, duration: 0.5 }],
+    });
+
+    // The first segment is over before the first step.
+    const values = strokeOutput();
+    values.should.have.length(26);
+    values[0].should.equal(0.9799);
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should allow value providers with a duration of their own', async function () {
+    await ayva.move({
+      segments: [{ value: Ayva.splineMotion([{ time: 0.5, value: 0 }]) }, { to: 1, duration: 0.5 }],
+    });
+
+    const values = strokeOutput();
+    values.should.have.length(50);
+    values[24].should.equal(0);
+    values[49].should.equal(0.9999);
+
+    await ayva.move({
+      segments: [{ value: () => 0.2, duration: 0.2 }, { value: Ayva.splineMotion([{ time: 0, value: 0.2 }, { time: 0.2, value: 0.6 }]) }],
+    });
+
+    strokeOutput().should.have.length(70);
+    ayva.$.stroke.value.should.equal(0.6);
+  });
+
+  it('should sync other axes to the whole move', async function () {
+    await ayva.move({
+      segments: [{ to: 1, duration: 1 }, { to: 0, duration: 0.5 }],
+    }, {
+      axis: 'twist',
+      to: 0,
+    }, {
+      axis: 'roll',
+      to: 0,
+      sync: 'stroke',
+    });
+
+    output().should.have.length(75);
+    output()[74].should.equal('L00000 R00000 R10000\n');
+  });
+
+  it('should hold segments that do not move', async function () {
+    await ayva.move({ segments: [{ to: 0.5, duration: 0.2 }, { to: 0, duration: 0.2 }] }, { axis: 'twist', to: 0 });
+
+    output().should.have.length(20);
+    output()[9].should.match(/^R0\d{4}\n$/);
+    output()[10].should.match(/^L04500 R0\d{4}\n$/);
+  });
+
+  it('should perform segments from a move builder', async function () {
+    await ayva.$.stroke(1, 1).twist(0).segment().stroke({ to: 0.25, duration: 0.5 })
+      .execute();
+
+    output().should.have.length(50);
+    output()[24].should.match(/^L09999 R0\d{4}\n$/);
+    output()[49].should.equal('L02500 R00000\n');
+  });
+});
@@ -0,0 +1,256 @@
+/* eslint-disable no-unused-expressions, no-await-in-loop */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import TempestStroke from '../../src/behaviors/tempest-stroke.js';
+import {
+  createTestAyva, settle, writtenCommands, writtenValues,
+} from '../test-helpers.js';
+
+/**
+ * Contains all tests for the speed multiplier.
+ */
+describe('Speed Multiplier Tests', function () {
+  let ayva;
+  let device;
+  let timer;
+
+  const output = () => writtenCommands(device);
+
+  const strokeOutput = () => writtenValues(device);
+
+  /**
+   * Call the specified function after the specified number of writes.
+   */
+  const afterWrites = (count, fn) => {
+    let writes = 0;
+
+    const listener = () => {
+      if (++writes === count) {
+        ayva.off('write', listener);
+        fn();
+      }
+    };
+
+    ayva.on('write', listener);
+  };
+
+  beforeEach(function () {
+    ({ ayva, device, timer } = createTestAyva());
+    ayva.speedMultiplierRamp = 0;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should default to one', function () {
+    new Ayva().speedMultiplier.should.equal(1);
+    new Ayva().speedMultiplierRamp.should.equal(1);
+  });
+
+  it('should clamp the speed multiplier', function () {
+    [[0, 0.1], [-1, 0.1], [0.5, 0.5], [3.5, 3.5], [10, 4]].forEach(([multiplier, expected]) => {
+      ayva.speedMultiplier = multiplier;
+      ayva.speedMultiplier.should.equal(expected);
+    });
+  });
+
+  it('should throw an error for invalid values', function () {
+    [null, undefined, '2', NaN, Infinity].forEach((multiplier) => {
+      (function () {
+        ayva.speedMultiplier = multiplier;
+      }).should.throw(`Invalid speed multiplier: ${multiplier}`);
+    });
+
+    [-1, null, 'ramp'].forEach((ramp) => {
+      ayva.speedMultiplierRamp = ramp;
+
+      (function () {
+        ayva.speedMultiplier = 2;
+      }).should.throw(`Invalid speed multiplier ramp: ${ramp}`);
+    });
+  });
+
+  it('should scale the duration of moves', async function () {
+    ayva.speedMultiplier = 2;
+    await ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+
+    // Every other step is skipped.
+    timer.now().should.be.closeTo(0.5, 0.000001);
+    output().should.have.length(26);
+    output()[1].should.equal('L04700\n');
+    output()[25].should.equal('L00000\n');
+
+    ayva.speedMultiplier = 0.5;
+    await ayva.move({ to: 1, duration: 1 });
+
+    timer.now().should.be.closeTo(2.5, 0.000001);
+    output().should.have.length(125);
+  });
+
+  it('should keep writing at the frequency of Ayva', async function () {
+    const intervals = async (multiplier) => {
+      const times = [];
+      const listener = () => times.push(timer.now());
+      ayva.speedMultiplier = multiplier;
+      ayva.on('write', listener);
+
+      await ayva.move({ to: ayva.$.stroke.value > 0.5 ? 0 : 1, duration: 1, value: Ayva.RAMP_LINEAR });
+      ayva.off('write', listener);
+
+      return times.slice(1).map((time, index) => time - times[index]);
+    };
+
+    const slow = await intervals(0.25);
+    slow.should.have.length(196);
+    slow.every((interval) => Math.abs(interval - 0.02) < 0.000001).should.be.true;
+
+    const fast = await intervals(4);
+    fast.should.have.length(13);
+    fast.every((interval) => Math.abs(interval - 0.02) < 0.000001).should.be.true;
+  });
+
+  it('should scale sleeps', async function () {
+    ayva.speedMultiplier = 0.25;
+    (await ayva.sleep(1)).should.be.true;
+
+    timer.now().should.equal(4);
+  });
+
+  it('should take effect in the middle of a move', async function () {
+    afterWrites(25, () => {
+      ayva.speedMultiplier = 2;
+    });
+
+    await ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+
+    // The first 25 steps at normal speed, and the rest at double speed.
+    timer.now().should.be.closeTo(0.74, 0.000001);
+    output().should.have.length(38);
+    output()[25].should.equal('L02300\n');
+  });
+
+  it('should ease between multipliers', async function () {
+    const times = [];
+    ayva.on('write', () => times.push(timer.now()));
+    ayva.speedMultiplierRamp = 1;
+    ayva.speedMultiplier = 2;
+
+    await ayva.move({ to: 0, duration: 4, value: Ayva.RAMP_LINEAR });
+
+    // 1.5 seconds of the move happen during the first second, and the remaining 2.5 seconds take 1.25 seconds.
+    timer.now().should.be.closeTo(2.25, 0.02);
+
+    // Steps are written at the same rate throughout, but cover more of the move as the multiplier eases up.
+    // (The last step may be partial.)
+    const values = strokeOutput();
+    const steps = values.slice(1, -1).map((value, index) => values[index] - value);
+    steps.every((step, index) => index === 0 || step >= steps[index - 1] - 0.0002).should.be.true;
+    steps[0].should.be.closeTo(0.0025, 0.0002);
+    steps[steps.length - 1].should.be.closeTo(0.005, 0.0002);
+  });
+
+  it('should ease down to a lower multiplier', async function () {
+    ayva.speedMultiplier = 2;
+    ayva.speedMultiplierRamp = 1;
+    ayva.speedMultiplier = 1;
+
+    (await ayva.sleep(2)).should.be.true;
+
+    // 1.5 seconds pass during the first second, and the remaining 0.5 seconds take 0.5 seconds.
+    timer.now().should.be.closeTo(1.5, 0.02);
+  });
+
+  it('should recompute pending sleeps when the multiplier changes', async function () {
+    let time = 0;
+    const timerSleeps = [];
+
+    ayva.setTimer({
+      now: () => time,
+      sleep: (seconds) => new Promise((resolve) => {
+        timerSleeps.push({ seconds, resolve });
+      }),
+    });
+
+    const sleep = ayva.sleep(1);
+    time = 0.5;
+    ayva.speedMultiplier = 2;
+    await settle();
+
+    timerSleeps.map(({ seconds }) => seconds).should.deep.equal([1, 0.25]);
+
+    timerSleeps[1].resolve();
+    (await sleep).should.be.true;
+  });
+
+  it('should not advance the multiplier easing while paused', async function () {
+    ayva.speedMultiplierRamp = 1;
+    ayva.speedMultiplier = 3;
+
+    ayva.pause();
+    await timer.sleep(10);
+    await ayva.resume();
+
+    // The easing continues where it left off.
+    const start = timer.now();
+    await ayva.sleep(2);
+    (timer.now() - start).should.be.closeTo(1, 0.02);
+  });
+
+  it('should speed up behaviors without restarting them', async function () {
+    const render = async function (multiplier) {
+      ({ ayva, device, timer } = createTestAyva());
+      ayva.speedMultiplierRamp = 0;
+
+      const times = [];
+      ayva.on('write', () => times.push(timer.now()));
+
+      afterWrites(100, () => {
+        ayva.speedMultiplier = multiplier;
+      });
+
+      afterWrites(200, () => ayva.pause());
+
+      ayva.do(new TempestStroke('orbit-grind', 60));
+      await settle();
+      ayva.stop();
+
+      return { commands: output(), times };
+    };
+
+    const normal = await render(1);
+    const fast = await render(2);
+
+    // The same motion, but the second half takes half as long.
+    fast.commands.should.deep.equal(normal.commands);
+    (fast.times[199] - fast.times[100]).should.be.closeTo((normal.times[199] - normal.times[100]) / 2, 0.000001);
+  });
+
+  it('should apply safety limits in real time', async function () {
+    const onLimit = sinon.fake();
+    ayva.on('limit', onLimit);
+    ayva.setSafetyLimits('stroke', { velocity: 1 });
+
+    await ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+    onLimit.called.should.be.false;
+
+    ayva.speedMultiplier = 4;
+    await ayva.move({ to: 0.5, duration: 1, value: Ayva.RAMP_LINEAR });
+
+    onLimit.called.should.be.true;
+    onLimit.args[0][0].velocity.should.be.closeTo(2, 0.000001);
+  });
+
+  it('should scale moves that devices interpolate', async function () {
+    ayva.speedMultiplier = 2;
+
+    ayva.outputMode = 'interval';
+    await ayva.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+
+    ayva.outputMode = 'speed';
+    await ayva.move({ to: 1, speed: 0.5, value: Ayva.RAMP_LINEAR });
+
+    output().should.deep.equal(['L00000I500\n', 'L09999S1000\n']);
+  });
+});
@@ -0,0 +1,186 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import { createTestAyva, writtenCommands, writtenValues } from '../test-helpers.js';
+
+/**
+ * Contains all tests for spline motion.
+ */
+describe('Spline Motion Tests', function () {
+  let ayva;
+  let device;
+  let timer;
+
+  const output = () => writtenCommands(device);
+
+  const strokeOutput = () => writtenValues(device);
+
+  /**
+   * Sample the values of a provider at the specified number of steps (frequency 50).
+   */
+  const sample = (provider, steps, from = 0.5) => Array.from({ length: steps }, (_, index) => provider({
+    index, frequency: 50, from,
+  }));
+
+  const increasing = (values) => values.every((value, index) => index === 0 || value >= values[index - 1]);
+
+  beforeEach(function () {
+    ({ ayva, device, timer } = createTestAyva());
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error for invalid keyframes', function () {
+    [undefined, null, [], 'keyframes'].forEach((keyframes) => {
+      (function () {
+        Ayva.splineMotion(keyframes);
+      }).should.throw(`Invalid keyframes: ${keyframes}`);
+    });
+
+    [null, {}, { time: -1, value: 0 }, { time: 1, value: 1.1 }, { time: '1', value: 0 }, { time: 1 }].forEach((keyframe) => {
+      (function () {
+        Ayva.splineMotion([{ time: 0, value: 0 }, keyframe]);
+      }).should.throw(`Invalid keyframe: ${JSON.stringify(keyframe)}`);
+    });
+
+    (function () {
+      Ayva.splineMotion([{ time: 0, value: 0 }, { time: 1, value: 1 }, { time: 1, value: 0 }]);
+    }).should.throw('Keyframe times must be strictly increasing.');
+
+    [null, 'linear'].forEach((type) => {
+      (function () {
+        Ayva.splineMotion([{ time: 1, value: 1 }], type);
+      }).should.throw(`Invalid spline type: ${type}`);
+    });
+  });
+
+  it('should expose its parameters', function () {
+    const keyframes = [{ time: 0, value: 0.5 }, { time: 2.5, value: 1, extra: true }];
+    const provider = Ayva.splineMotion(keyframes, 'monotone');
+
+    provider.keyframes.should.deep.equal([{ time: 0, value: 0.5 }, { time: 2.5, value: 1 }]);
+    provider.type.should.equal('monotone');
+    provider.duration.should.equal(2.5);
+    Ayva.splineMotion(keyframes).type.should.equal('catmull-rom');
+  });
+
+  it('should pass through keyframes and hold the last value', function () {
+    ['catmull-rom', 'monotone'].forEach((type) => {
+      const values = sample(Ayva.splineMotion([
+        { time: 0, value: 0.5 },
+        { time: 0.5, value: 0 },
+        { time: 0.6, value: 0.2 },
+        { time: 1, value: 1 },
+      ], type), 60);
+
+      values[24].should.equal(0);
+      values[29].should.be.closeTo(0.2, 0.000001);
+      values[49].should.equal(1);
+      values.slice(50).every((value) => value === 1).should.be.true;
+    });
+  });
+
+  it('should flow through keyframes without stopping', function () {
+    const values = sample(Ayva.splineMotion([
+      { time: 0, value: 0 },
+      { time: 0.5, value: 0.5 },
+      { time: 1, value: 1 },
+    ]), 50);
+
+    // Constant velocity through the middle keyframe, starting and ending at rest.
+    (values[25] - values[24]).should.be.closeTo(values[24] - values[23], 0.000001);
+    (values[1] - values[0]).should.be.lessThan(values[25] - values[24]);
+    (values[49] - values[48]).should.be.lessThan(values[25] - values[24]);
+  });
+
+  it('should not overshoot keyframes with monotone splines', function () {
+    const keyframes = [
+      { time: 0, value: 0.3 },
+      { time: 0.5, value: 0.4 },
+      { time: 0.6, value: 0.9 },
+      { time: 1, value: 0.95 },
+    ];
+
+    const catmullRom = sample(Ayva.splineMotion(keyframes), 50);
+    const monotone = sample(Ayva.splineMotion(keyframes, 'monotone'), 50);
+
+    Math.min(...catmullRom).should.be.lessThan(0.3);
+    increasing(catmullRom).should.be.false;
+    increasing(monotone).should.be.true;
+    monotone[49].should.equal(0.95);
+  });
+
+  it('should clamp values that overshoot the range', function () {
+    const values = sample(Ayva.splineMotion([
+      { time: 0, value: 0 },
+      { time: 0.5, value: 0.05 },
+      { time: 0.6, value: 1 },
+      { time: 1, value: 1 },
+    ]), 50);
+
+    values.every((value) => value >= 0 && value <= 1).should.be.true;
+    values.some((value) => value === 0).should.be.true;
+  });
+
+  it('should run the whole path as one move', async function () {
+    const spline = Ayva.splineMotion([
+      { time: 0.4, value: 0 },
+      { time: 0.6, value: 0.5 },
+      { time: 1, value: 0.2 },
+    ]);
+
+    (await ayva.$.stroke(spline).execute()).should.be.true;
+
+    timer.now().should.be.closeTo(1, 0.000001);
+    output().should.have.length(50);
+    output()[19].should.equal('L00000\n');
+    output()[49].should.equal('L02000\n');
+
+    // The path starts from the current position.
+    strokeOutput()[0].should.be.within(0.49, 0.5);
+  });
+
+  it('should start from the current position of each move', async function () {
+    const spline = Ayva.splineMotion([{ time: 0.5, value: 1 }], 'monotone');
+
+    await ayva.move({ value: spline });
+    ayva.$.stroke.value = 0;
+    device.write.resetHistory();
+    await ayva.move({ value: spline });
+
+    const values = strokeOutput();
+    values.should.have.length(25);
+    values[0].should.be.within(0, 0.01);
+    increasing(values).should.be.true;
+    values[24].should.equal(0.9999);
+  });
+
+  it('should allow an explicit duration', async function () {
+    const spline = Ayva.splineMotion([{ time: 0, value: 0.5 }, { time: 1, value: 0 }]);
+
+    await ayva.$.stroke(spline, 2).execute();
+    output().should.have.length(100);
+    strokeOutput().slice(49).every((value) => value === 0).should.be.true;
+
+    // A target with no duration or speed also uses the duration of the spline.
+    await ayva.move({ to: 1, value: Ayva.splineMotion([{ time: 0.5, value: 1 }]) });
+    output().should.have.length(125);
+  });
+
+  it('should sync other axes to the duration of the path', async function () {
+    const spline = Ayva.splineMotion([{ time: 0, value: 0.5 }, { time: 0.5, value: 1 }, { time: 1, value: 0 }]);
+
+    await ayva.$.stroke(spline).twist(0).execute();
+
+    output().should.have.length(50);
+    output()[49].should.equal('L00000 R00000\n');
+  });
+
+  it('should require a duration when the path has no length', function () {
+    return ayva.move({ value: Ayva.splineMotion([{ time: 0, value: 0 }]) })
+      .should.be.rejectedWith('At least one movement must have a speed or duration.');
+  });
+});
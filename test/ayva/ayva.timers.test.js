@@ -1,9 +1,11 @@
-/* eslint-disable no-unused-expressions */
+/* eslint-disable no-unused-expressions, no-await-in-loop */
 import '../setup-chai.js';
 import sinon from 'sinon';
 import { Blob } from 'buffer';
 import Ayva from '../../src/ayva.js';
 import WorkerTimer from '../../src/util/worker-timer.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import TempestStroke from '../../src/behaviors/tempest-stroke.js';
 import { createTestConfig } from '../test-helpers.js';
 
 describe('Timer Tests', function () {
@@ -43,4 +45,71 @@ describe('Timer Tests', function () {
 
     ayva.$.stroke.value.should.equal(0);
   });
+
+  describe('#setTimer', function () {
+    it('should throw an error for invalid timers', function () {
+      [undefined, null, {}, { sleep () {} }, { now () {} }, { sleep: 1, now () {} }].forEach((timer) => {
+        (function () {
+          ayva.setTimer(timer);
+        }).should.throw(`Invalid timer: ${timer}`);
+      });
+    });
+
+    it('should allow injecting a timer with setTimer() or the constructor', function () {
+      const timer = new VirtualTimer();
+      ayva.setTimer(timer);
+      ayva.getTimer().should.equal(timer);
+
+      const otherTimer = new VirtualTimer();
+      new Ayva({ ...createTestConfig(), timer: otherTimer }).getTimer().should.equal(otherTimer);
+    });
+
+    it('should simulate a long behavior without waiting in real time', async function () {
+      sinon.restore();
+      delete global.Worker;
+
+      const timer = new VirtualTimer();
+      const write = sinon.fake();
+
+      ayva = new Ayva({ ...createTestConfig(), timer });
+      ayva.addOutputDevice({ write });
+
+      const start = performance.now();
+      const behavior = new TempestStroke('orbit-grind');
+
+      // One minute of movement.
+      while (timer.now() < 60) {
+        await behavior.perform(ayva);
+      }
+
+      (performance.now() - start).should.be.below(2000);
+      write.callCount.should.be.at.least(60 * ayva.frequency);
+    });
+
+    it('should produce the same output as a real time run', async function () {
+      sinon.restore();
+      delete global.Worker;
+
+      const run = async (timer) => {
+        const write = sinon.fake();
+        const instance = new Ayva(createTestConfig());
+        instance.addOutputDevice({ write });
+
+        if (timer) {
+          instance.setTimer(timer);
+        }
+
+        await instance.move({ to: 0, duration: 0.2 }, { axis: 'twist', value: Ayva.tempestMotion(0, 1) });
+        await instance.$.stroke(1, 2).execute();
+
+        return write.args.map(([command]) => command);
+      };
+
+      const virtualOutput = await run(new VirtualTimer());
+      const realOutput = await run();
+
+      virtualOutput.length.should.equal(35);
+      virtualOutput.should.deep.equal(realOutput);
+    });
+  });
 });
@@ -127,6 +127,25 @@ describe('Behavior API Tests', function () {
       });
     });
 
+    it('should restart', async function () {
+      behavior.generateActions = () => {
+        behavior.queueSleep(1);
+        behavior.queueComplete();
+      };
+
+      await behavior.perform(ayva);
+      await behavior.perform(ayva);
+      behavior.complete.should.equal(true);
+
+      behavior.queueSleep(2);
+      behavior.restart();
+      behavior.complete.should.equal(false);
+
+      // Queued actions are cleared.
+      await behavior.perform(ayva);
+      ayva.sleep.args.should.deep.equal([[1], [1]]);
+    });
+
     it('should accept a move builder', async function () {
       const builder = ayva.$.stroke(0, 1);
       sinon.replace(builder, 'execute', sinon.fake());
@@ -179,6 +179,17 @@ describe('Classic Stroke Tests', function () {
       await testStrokes(stroke, expectedStrokes);
     });
 
+    it('should allow providing shapes by easing name', async function () {
+      await verifyStroke(new ClassicStroke(0, 1, 1, 'easeInOutBack'), 0, 1, 1, Ayva.easings.easeInOutBack, 2);
+
+      const stroke = new ClassicStroke({ shape: ['easeOutBounce', Ayva.RAMP_LINEAR] });
+
+      await testStrokes(stroke, [
+        { to: 0, speed: 1, value: Ayva.RAMP_LINEAR },
+        { to: 1, speed: 1, value: Ayva.easings.easeOutBounce },
+      ], 4);
+    });
+
     it('should allow providing relative speeds with an array', async function () {
       const relativeSpeeds = [0.125, 0.25, 0.5, 0.75];
 
@@ -512,6 +523,9 @@ describe('Classic Stroke Tests', function () {
       ['', NaN, Infinity, true, false, {}].forEach((value) => {
         testCreateStroke(0, 1, 1, [value, value]).should.throw(`Invalid stroke shape: ${value}`);
       });
+
+      testCreateStroke(0, 1, 1, 'easeInNothing').should.throw('Invalid stroke shape: easeInNothing');
+      testCreateStroke(0, 1, 1, ['easeInQuad', 'toString']).should.throw('Invalid stroke shape: toString');
     });
 
     it('should throw an error if relative speeds are invalid', function () {
@@ -0,0 +1,215 @@
+/* eslint-disable no-new, no-await-in-loop, no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import FunscriptBehavior from '../../src/behaviors/funscript-behavior.js';
+import { axisFromFilename, positionAt } from '../../src/util/funscript.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('Funscript Behavior Tests', function () {
+  let ayva;
+
+  const script = {
+    version: '1.0',
+    inverted: false,
+    range: 100,
+    actions: [
+      { at: 0, pos: 50 },
+      { at: 500, pos: 100 },
+      { at: 1500, pos: 0 },
+    ],
+  };
+
+  /**
+   * Perform the behavior until it completes and return the moves that were made.
+   */
+  const performAll = async function (behavior) {
+    while (!behavior.complete) {
+      await behavior.perform(ayva);
+    }
+
+    return ayva.move.args;
+  };
+
+  beforeEach(function () {
+    ayva = new Ayva(createTestConfig());
+    ayva.addOutputDevice({ write: sinon.fake() });
+    sinon.replace(ayva, 'sleep', sinon.fake.returns(Promise.resolve()));
+    sinon.replace(ayva, 'move', sinon.fake(ayva.move));
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error for invalid funscripts', function () {
+    [null, 42, {}, { actions: 'bad' }, '{ "actions": null }'].forEach((value) => {
+      (function () {
+        new FunscriptBehavior(value);
+      }).should.throw(`Invalid funscript: ${value}`);
+    });
+
+    (function () {
+      new FunscriptBehavior({ actions: [] });
+    }).should.throw('Funscript does not contain any actions.');
+
+    [{ at: -1, pos: 50 }, { at: 0, pos: 101 }, { at: 0 }, null].forEach((action) => {
+      (function () {
+        new FunscriptBehavior({ actions: [action] });
+      }).should.throw(`Invalid funscript action: ${JSON.stringify(action)}`);
+    });
+
+    (function () {
+      new FunscriptBehavior(script, { shape: 'bad' });
+    }).should.throw('Invalid shape: bad');
+  });
+
+  it('should fail to perform moves on unknown axes', async function () {
+    const behavior = new FunscriptBehavior({ 'video.funscript': script, 'video.txt': script });
+
+    await behavior.perform(ayva).should.be.rejectedWith('Invalid value for parameter \'axis\': video.txt');
+  });
+
+  it('should move to the action at time zero and then between actions with durations that match the gaps', async function () {
+    const behavior = new FunscriptBehavior(script);
+    behavior.duration.should.equal(1.5);
+
+    const moves = await performAll(behavior);
+
+    moves.should.deep.equal([
+      [{
+        axis: 'stroke', to: 0.5, speed: 0.5, value: Ayva.RAMP_LINEAR,
+      }],
+      [{
+        axis: 'stroke', to: 1, duration: 0.5, value: Ayva.RAMP_LINEAR,
+      }],
+      [{
+        axis: 'stroke', to: 0, duration: 1, value: Ayva.RAMP_LINEAR,
+      }],
+    ]);
+
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should restart from the first action', async function () {
+    const behavior = new FunscriptBehavior(script);
+    const moves = await performAll(behavior);
+
+    behavior.restart();
+    behavior.complete.should.be.false;
+
+    ayva.move.resetHistory();
+    (await performAll(behavior)).should.deep.equal(moves);
+  });
+
+  it('should allow parsing JSON, inverted scripts, another axis, and a custom shape', async function () {
+    const json = JSON.stringify({ ...script, inverted: true });
+    const moves = await performAll(new FunscriptBehavior(json, { axis: 'twist', shape: Ayva.RAMP_COS }));
+
+    moves.should.deep.equal([
+      [{
+        axis: 'twist', to: 0.5, speed: 0.5, value: Ayva.RAMP_COS,
+      }],
+      [{
+        axis: 'twist', to: 0, duration: 0.5, value: Ayva.RAMP_COS,
+      }],
+      [{
+        axis: 'twist', to: 1, duration: 1, value: Ayva.RAMP_COS,
+      }],
+    ]);
+
+    ayva.move.resetHistory();
+    const shorthandMoves = await performAll(new FunscriptBehavior(script, 'roll'));
+    shorthandMoves.map(([move]) => move.axis).should.deep.equal(['roll', 'roll', 'roll']);
+  });
+
+  it('should line up multi-axis bundles by timestamp', async function () {
+    const twist = {
+      actions: [
+        { at: 1000, pos: 0 },
+        { at: 2000, pos: 100 },
+      ],
+    };
+
+    const behavior = new FunscriptBehavior({
+      'video.funscript': script,
+      'video.twist.funscript': twist,
+    });
+
+    behavior.duration.should.equal(2);
+
+    const moves = await performAll(behavior);
+    const targets = moves.slice(1).map((args) => args.map(({ axis, to, duration }) => ({ axis, to, duration })));
+
+    // Only the stroke script has an action at time zero.
+    moves[0].should.deep.equal([{
+      axis: 'L0', to: 0.5, speed: 0.5, value: Ayva.RAMP_LINEAR,
+    }]);
+
+    targets.should.deep.equal([
+      [{ axis: 'L0', to: 1, duration: 0.5 }, { axis: 'R0', to: 0, duration: 0.5 }],
+      [{ axis: 'L0', to: 0.5, duration: 0.5 }, { axis: 'R0', to: 0, duration: 0.5 }],
+      [{ axis: 'L0', to: 0, duration: 0.5 }, { axis: 'R0', to: 0.5, duration: 0.5 }],
+      [{ axis: 'L0', to: 0, duration: 0.5 }, { axis: 'R0', to: 1, duration: 0.5 }],
+    ]);
+  });
+
+  it('should allow bundles keyed by axis', async function () {
+    const moves = await performAll(new FunscriptBehavior({ stroke: script, pitch: script }));
+    moves[0].map(({ axis }) => axis).should.deep.equal(['stroke', 'pitch']);
+  });
+
+  it('should only move to the start when all actions are at time zero', async function () {
+    const behavior = new FunscriptBehavior({ actions: [{ at: 0, pos: 0 }] });
+    behavior.duration.should.equal(0);
+
+    (await performAll(behavior)).should.deep.equal([[{
+      axis: 'stroke', to: 0, speed: 0.5, value: Ayva.RAMP_LINEAR,
+    }]]);
+  });
+
+  it('should not move to the start when no actions are at time zero', async function () {
+    const moves = await performAll(new FunscriptBehavior({ actions: [{ at: 500, pos: 0 }] }));
+
+    moves.should.deep.equal([[{
+      axis: 'stroke', to: 0, duration: 0.5, value: Ayva.RAMP_LINEAR,
+    }]]);
+  });
+
+  it('should map file names to axes', function () {
+    axisFromFilename('video.funscript').should.equal('L0');
+    axisFromFilename('video.surge.funscript').should.equal('L1');
+    axisFromFilename('video.sway.funscript').should.equal('L2');
+    axisFromFilename('video.twist.funscript').should.equal('R0');
+    axisFromFilename('video.Roll.funscript').should.equal('R1');
+    axisFromFilename('video.pitch.funscript').should.equal('R2');
+    axisFromFilename('video.vib.funscript').should.equal('V0');
+    axisFromFilename('video.suck.funscript').should.equal('A1');
+    axisFromFilename('video.l2.funscript').should.equal('L2');
+
+    (function () {
+      axisFromFilename('video.json');
+    }).should.throw('Invalid funscript file name: video.json');
+  });
+
+  it('should treat unknown suffixes as part of the base name', function () {
+    axisFromFilename('my.video.funscript').should.equal('L0');
+    axisFromFilename('Scene.2021.funscript').should.equal('L0');
+    axisFromFilename('Scene.2021.twist.funscript').should.equal('R0');
+
+    (function () {
+      new FunscriptBehavior({ 'video.left.funscript': script, 'video.right.funscript': script });
+    }).should.throw('Funscripts \'video.left.funscript\' and \'video.right.funscript\' both drive axis: L0');
+  });
+
+  it('should interpolate positions between actions', function () {
+    const { actions } = script;
+
+    positionAt(actions, 0).should.equal(50);
+    positionAt(actions, 250).should.equal(75);
+    positionAt(actions, 500).should.equal(100);
+    positionAt(actions, 1000).should.equal(50);
+    positionAt(actions, 2000).should.equal(0);
+    positionAt([{ at: 100, pos: 20 }], 0).should.equal(20);
+  });
+});
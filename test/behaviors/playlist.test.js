@@ -0,0 +1,392 @@
+/* eslint-disable no-new, no-await-in-loop, no-unused-expressions, max-classes-per-file */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import AyvaBehavior from '../../src/behaviors/ayva-behavior.js';
+import FunscriptBehavior from '../../src/behaviors/funscript-behavior.js';
+import Playlist from '../../src/behaviors/playlist.js';
+import TempestStroke from '../../src/behaviors/tempest-stroke.js';
+import VariableDuration from '../../src/util/variable-duration.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('Playlist Tests', function () {
+  let ayva;
+  let log;
+
+  /**
+   * Behavior that logs its name and moves for a quarter second each iteration.
+   * Completes after the specified number of iterations (if any).
+   */
+  class NamedBehavior extends AyvaBehavior {
+    #name;
+
+    #remaining;
+
+    constructor (name, iterations = Infinity) {
+      super();
+      this.#name = name;
+      this.#remaining = iterations;
+    }
+
+    generateActions () {
+      if (this.#remaining-- <= 0) {
+        this.queueComplete();
+        return;
+      }
+
+      this.queueFunction(() => log.push(this.#name));
+      this.queueMove({ to: log.length % 2, duration: 0.25 });
+    }
+  }
+
+  const a = () => new NamedBehavior('a');
+  const b = () => new NamedBehavior('b');
+  const c = () => new NamedBehavior('c');
+
+  /**
+   * Perform the playlist for the specified number of actions.
+   */
+  const performActions = async function (playlist, count) {
+    for (let i = 0; i < count && !playlist.complete; i++) {
+      await playlist.perform(ayva);
+    }
+  };
+
+  /**
+   * Perform the playlist until the specified number of iterations have been logged.
+   */
+  const performIterations = async function (playlist, count) {
+    while (log.length < count && !playlist.complete) {
+      await playlist.perform(ayva);
+    }
+  };
+
+  beforeEach(function () {
+    ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer() });
+    ayva.addOutputDevice({ write: sinon.fake() });
+    log = [];
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error when given invalid entries', function () {
+    const testEntries = (entries, options) => function () {
+      new Playlist(entries, options);
+    };
+
+    testEntries(undefined).should.throw('Invalid playlist entries: undefined');
+    testEntries([]).should.throw('Invalid playlist entries: ');
+    testEntries([null]).should.throw('Invalid playlist entry: null');
+    testEntries([{ behavior: {} }]).should.throw('Invalid playlist entry: [object Object]');
+    testEntries([{ behavior: a(), duration: 1, iterations: 1 }]).should.throw('Cannot specify both a duration and iterations.');
+    testEntries([{ behavior: a(), duration: -1 }]).should.throw('Invalid duration: -1');
+    testEntries([{ behavior: a(), duration: '1' }]).should.throw('Invalid duration: 1');
+    testEntries([{ behavior: a(), iterations: 0 }]).should.throw('Invalid iterations: 0');
+    testEntries([{ behavior: a(), iterations: 1.5 }]).should.throw('Invalid iterations: 1.5');
+    testEntries([{ behavior: a() }], { transitionDuration: -1 }).should.throw('Invalid transition duration: -1');
+  });
+
+  it('should play entries for a number of iterations', async function () {
+    const playlist = new Playlist([{ behavior: a(), iterations: 2 }, { behavior: b(), iterations: 3 }]);
+
+    (await ayva.do(playlist)).should.be.true;
+
+    log.should.deep.equal(['a', 'a', 'b', 'b', 'b']);
+    playlist.complete.should.be.true;
+  });
+
+  it('should play entries for a duration', async function () {
+    const playlist = new Playlist([
+      { behavior: a(), duration: 1 },
+      { behavior: b(), duration: new VariableDuration(0.5) },
+      { behavior: c(), duration: 0 },
+    ]);
+
+    await ayva.do(playlist);
+
+    log.should.deep.equal(['a', 'a', 'a', 'a', 'b', 'b', 'c']);
+  });
+
+  it('should not count time spent paused towards the duration of an entry', async function () {
+    const playlist = new Playlist([{ behavior: a(), duration: 1 }, { behavior: b(), iterations: 1 }]);
+    let writes = 0;
+
+    ayva.on('write', () => {
+      if (++writes === 20) {
+        ayva.pause();
+      }
+    });
+
+    const done = ayva.do(playlist);
+    await new Promise((resolve) => {
+      ayva.once('pause', resolve);
+    });
+
+    await ayva.getTimer().sleep(300);
+    playlist.position.elapsed.should.be.closeTo(0.37, 0.000001);
+    await ayva.resume();
+    await done;
+
+    log.should.deep.equal(['a', 'a', 'a', 'a', 'b']);
+  });
+
+  it('should pick a new length for variable durations on each loop', async function () {
+    const random = sinon.fake(() => (log.length ? 0.75 : 0));
+    const playlist = new Playlist([
+      { behavior: a(), duration: new VariableDuration(0.5, 1.5) },
+      { behavior: b(), iterations: 1 },
+    ], { loop: true, random });
+
+    await performIterations(playlist, 9);
+
+    log.should.deep.equal(['a', 'a', 'b', 'a', 'a', 'a', 'a', 'a', 'b']);
+  });
+
+  it('should pick the lengths of variable durations from the seed of Ayva', async function () {
+    // Runs with the same seed play the same even though Math.random() differs.
+    const run = async function (mathRandom) {
+      sinon.restore();
+      sinon.replace(Math, 'random', () => mathRandom);
+      ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer(), seed: 42 });
+      ayva.addOutputDevice({ write: sinon.fake() });
+      log = [];
+
+      const playlist = new Playlist([
+        { behavior: a(), duration: new VariableDuration(0.5, 2.5) },
+        { behavior: b(), duration: new VariableDuration(0.5, 2.5) },
+      ], { loop: true });
+
+      await performIterations(playlist, 40);
+      return log.join('');
+    };
+
+    const played = await run(0);
+    (await run(0.99)).should.equal(played);
+  });
+
+  it('should play entries without a length until they complete', async function () {
+    const playlist = new Playlist([{ behavior: new NamedBehavior('a', 3) }, { behavior: b(), iterations: 1 }]);
+
+    await ayva.do(playlist);
+
+    log.should.deep.equal(['a', 'a', 'a', 'b']);
+  });
+
+  it('should move on when a behavior completes before its length', async function () {
+    const playlist = new Playlist([{ behavior: new NamedBehavior('a', 1), duration: 10 }, { behavior: b(), iterations: 1 }]);
+
+    await ayva.do(playlist);
+
+    log.should.deep.equal(['a', 'b']);
+  });
+
+  it('should loop', async function () {
+    const playlist = new Playlist([{ behavior: a(), iterations: 1 }, { behavior: b(), iterations: 2 }], { loop: true });
+
+    await performIterations(playlist, 7);
+
+    log.should.deep.equal(['a', 'b', 'b', 'a', 'b', 'b', 'a']);
+    playlist.complete.should.be.false;
+  });
+
+  it('should restart behaviors that have completed on each loop', async function () {
+    const up = { actions: [{ at: 0, pos: 0 }, { at: 500, pos: 100 }] };
+    const down = { actions: [{ at: 0, pos: 100 }, { at: 500, pos: 0 }] };
+    const playlist = new Playlist([
+      { behavior: new FunscriptBehavior(up) },
+      { behavior: new FunscriptBehavior(down) },
+    ], { loop: true });
+    const move = sinon.spy(ayva, 'move');
+
+    while (move.callCount < 8) {
+      await playlist.perform(ayva);
+    }
+
+    move.args.map(([{ to }]) => to).should.deep.equal([0, 1, 1, 0, 0, 1, 1, 0]);
+    playlist.complete.should.be.false;
+  });
+
+  it('should restart from the first entry', async function () {
+    const playlist = new Playlist([{ behavior: new NamedBehavior('a', 1) }, { behavior: b(), iterations: 1 }]);
+
+    await ayva.do(playlist);
+    playlist.restart();
+    playlist.complete.should.be.false;
+    await ayva.do(playlist);
+
+    log.should.deep.equal(['a', 'b', 'b']);
+  });
+
+  it('should complete when looping and no behavior plays again', async function () {
+    const playlist = new Playlist([
+      { behavior: new NamedBehavior('a', 1) },
+      { behavior: new NamedBehavior('b', 1) },
+    ], { loop: true });
+
+    (await ayva.do(playlist)).should.be.true;
+
+    log.should.deep.equal(['a', 'b']);
+  });
+
+  it('should shuffle entries', async function () {
+    // Math.random() values that produce the order [2, 1, 0] and then [1, 0, 2].
+    sinon.replace(Math, 'random', sinon.fake((() => {
+      const values = [0.1, 0.6, 0.9, 0.1];
+      return () => values.shift();
+    })()));
+
+    const entries = [{ behavior: a(), iterations: 1 }, { behavior: b(), iterations: 1 }, { behavior: c(), iterations: 1 }];
+    const playlist = new Playlist(entries, { shuffle: true, loop: true });
+
+    await performIterations(playlist, 1);
+    playlist.index.should.equal(2);
+    await performIterations(playlist, 6);
+
+    log.should.deep.equal(['c', 'b', 'a', 'b', 'a', 'c']);
+  });
+
+  it('should shuffle with the specified source of random numbers', async function () {
+    const random = sinon.fake.returns(0);
+    const playlist = new Playlist([{ behavior: a() }, { behavior: b() }, { behavior: c() }], { shuffle: true, random });
+
+    await performIterations(playlist, 1);
+
+    random.callCount.should.equal(2);
+    log.should.deep.equal(['b']);
+
+    (function () {
+      new Playlist([{ behavior: a() }], { random: 'random' });
+    }).should.throw('Invalid random: random');
+  });
+
+  it('should shuffle with the random source of Ayva by default', async function () {
+    const run = async function () {
+      log = [];
+      ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer(), seed: 7 });
+      ayva.addOutputDevice({ write: sinon.fake() });
+
+      const entries = ['a', 'b', 'c', 'd', 'e'].map((name) => ({ behavior: new NamedBehavior(name), iterations: 1 }));
+      await performIterations(new Playlist(entries, { shuffle: true, loop: true }), 10);
+
+      return log;
+    };
+
+    const random = sinon.replace(Math, 'random', sinon.fake.returns(0));
+    const first = await run();
+
+    first.should.deep.equal(await run());
+    random.callCount.should.equal(0);
+  });
+
+  it('should skip to the next entry', async function () {
+    const playlist = new Playlist([{ behavior: a() }, { behavior: b() }, { behavior: c() }]);
+
+    await performIterations(playlist, 1);
+    playlist.skip();
+    await performIterations(playlist, 2);
+    playlist.skip();
+    playlist.skip();
+
+    (await ayva.do(playlist)).should.be.true;
+    log.should.deep.equal(['a', 'b']);
+  });
+
+  it('should go back to the previous entry', async function () {
+    const playlist = new Playlist([{ behavior: a() }, { behavior: b() }], { loop: true });
+
+    playlist.previous();
+    await performIterations(playlist, 1);
+    playlist.previous();
+    await performIterations(playlist, 2);
+
+    log.should.deep.equal(['b', 'a']);
+
+    const noLoop = new Playlist([{ behavior: c() }]);
+    noLoop.previous();
+    await performIterations(noLoop, 3);
+
+    log.should.deep.equal(['b', 'a', 'c']);
+  });
+
+  it('should jump to an entry', async function () {
+    sinon.replace(Math, 'random', sinon.fake.returns(0));
+    const playlist = new Playlist([{ behavior: a() }, { behavior: b() }, { behavior: c() }], { shuffle: true });
+
+    playlist.jumpTo(2);
+    await performIterations(playlist, 1);
+    playlist.jumpTo(0);
+    await performIterations(playlist, 2);
+
+    log.should.deep.equal(['c', 'a']);
+    playlist.index.should.equal(0);
+
+    [-1, 3, 1.5, '1', null].forEach((index) => {
+      (function () {
+        playlist.jumpTo(index);
+      }).should.throw(`Invalid index: ${index}`);
+    });
+  });
+
+  it('should report its position', async function () {
+    const playlist = new Playlist([{ behavior: a(), duration: 2 }, { behavior: b(), iterations: 3 }]);
+
+    playlist.position.should.deep.equal({
+      index: 0, elapsed: 0, duration: null, iteration: 0, iterations: null,
+    });
+
+    await performActions(playlist, 3);
+
+    playlist.position.should.deep.equal({
+      index: 0, elapsed: 0.25, duration: 2, iteration: 2, iterations: null,
+    });
+
+    await performIterations(playlist, 9);
+
+    playlist.position.should.deep.equal({
+      index: 1, elapsed: 0, duration: null, iteration: 1, iterations: 3,
+    });
+
+    playlist.entries.map(({ behavior }) => behavior).should.have.length(2);
+  });
+
+  it('should transition between tempest strokes', async function () {
+    const orbitGrind = new TempestStroke('orbit-grind');
+    const vortexTease = new TempestStroke('vortex-tease', 30);
+    const createTransition = sinon.spy(orbitGrind, 'createTransition');
+
+    const playlist = new Playlist([
+      { behavior: orbitGrind, iterations: 1 },
+      { behavior: vortexTease, iterations: 1 },
+      { behavior: a(), iterations: 1 },
+    ], { transitionDuration: 3 });
+
+    const move = sinon.replace(ayva, 'move', sinon.fake(ayva.move));
+    await ayva.do(playlist);
+
+    createTransition.callCount.should.equal(1);
+    createTransition.args[0].should.deep.equal([3, vortexTease.axes, 30]);
+
+    // The transition is a single three second move between the two strokes.
+    move.args.filter((movements) => movements[0].duration === 3).should.have.length(1);
+    vortexTease.angle.should.equal(Math.PI + 2 * Math.PI * (45 / 60) * 3 + Math.PI);
+    log.should.deep.equal(['a']);
+  });
+
+  it('should not transition when the transition duration is zero', async function () {
+    const orbitGrind = new TempestStroke('orbit-grind');
+    const createTransition = sinon.spy(orbitGrind, 'createTransition');
+
+    const playlist = new Playlist([
+      { behavior: orbitGrind, iterations: 1 },
+      { behavior: new TempestStroke('vortex-tease'), iterations: 1 },
+      { behavior: orbitGrind, iterations: 1 },
+    ], { transitionDuration: 0 });
+
+    await ayva.do(playlist);
+
+    createTransition.callCount.should.equal(0);
+  });
+});
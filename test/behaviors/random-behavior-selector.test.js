@@ -0,0 +1,232 @@
+/* eslint-disable no-new, no-await-in-loop */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import ClassicStroke from '../../src/behaviors/classic-stroke.js';
+import RandomBehaviorSelector from '../../src/behaviors/random-behavior-selector.js';
+import TempestStroke from '../../src/behaviors/tempest-stroke.js';
+import VariableDuration from '../../src/util/variable-duration.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('Random Behavior Selector Tests', function () {
+  let ayva;
+
+  /**
+   * Source of random numbers that returns the specified values in order (and 0.5 after they run out).
+   */
+  const sequence = (...values) => () => (values.length ? values.shift() : 0.5);
+
+  /**
+   * Perform the selector until the specified number of new picks have been made, and return the picked behaviors.
+   */
+  const performPicks = async function (selector, count) {
+    const picks = [];
+    let previous = selector.current && selector.current.behavior;
+
+    while (picks.length < count) {
+      await selector.perform(ayva);
+      const { behavior } = selector.current;
+
+      if (behavior !== previous) {
+        picks.push(behavior);
+        previous = behavior;
+      }
+    }
+
+    return picks;
+  };
+
+  beforeEach(function () {
+    ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer() });
+    ayva.addOutputDevice({ write: sinon.fake() });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error when given invalid parameters', function () {
+    const testSelector = (pool, options) => function () {
+      new RandomBehaviorSelector(pool, options);
+    };
+
+    testSelector(undefined).should.throw('Invalid pool: undefined');
+    testSelector([]).should.throw('Invalid pool: ');
+    testSelector([null]).should.throw('Invalid pool entry: null');
+    testSelector([{}]).should.throw('Invalid pool entry: {}');
+    testSelector([{ tempest: 'orbit-grind', classic: {} }]).should.throw('Invalid pool entry: {"tempest":"orbit-grind","classic":{}}');
+    testSelector(['not-a-stroke']).should.throw('No stroke named not-a-stroke found.');
+    testSelector([{ classic: { top: 2 } }]).should.throw('Invalid stroke top: 2');
+    testSelector([{ tempest: 'orbit-grind', weight: 0 }]).should.throw('Invalid weight: 0');
+    testSelector([{ classic: {}, weight: '1' }]).should.throw('Invalid weight: 1');
+
+    testSelector(['orbit-grind'], { duration: null }).should.throw('Invalid duration: null');
+    testSelector(['orbit-grind'], { duration: -1 }).should.throw('Invalid duration: -1');
+    testSelector(['orbit-grind'], { duration: { from: 10, to: 20 } }).should.throw('Invalid duration: [object Object]');
+    testSelector(['orbit-grind'], { bpm: null }).should.throw('Invalid bpm range: (null, null)');
+    testSelector(['orbit-grind'], { bpm: { from: 0, to: 60 } }).should.throw('Invalid bpm range: (0, 60)');
+    testSelector(['orbit-grind'], { bpm: { from: 60, to: 30 } }).should.throw('Invalid bpm range: (60, 30)');
+    testSelector(['orbit-grind'], { bpm: { from: 30, to: 60, drift: -1 } }).should.throw('Invalid bpm range: (30, 60)');
+    testSelector(['orbit-grind'], { transitionDuration: -1 }).should.throw('Invalid transition duration: -1');
+    testSelector(['orbit-grind'], { random: 5 }).should.throw('Invalid random: 5');
+  });
+
+  it('should pick behaviors according to their weights', async function () {
+    const selector = new RandomBehaviorSelector([
+      'orbit-grind',
+      { classic: { bottom: 0, top: 1 }, weight: 3 },
+    ], {
+      allowRepeats: true,
+      duration: 1,
+      transitionDuration: 0,
+      random: sequence(0, 0.1, 0.5, 0.5, 0.5, 0.9, 0.5, 0.2),
+    });
+
+    (selector.current === null).should.equal(true);
+
+    const picks = await performPicks(selector, 4);
+
+    picks.map((behavior) => behavior.constructor).should.deep.equal([TempestStroke, ClassicStroke, ClassicStroke, TempestStroke]);
+  });
+
+  it('should not pick the same entry twice in a row by default', async function () {
+    const selector = new RandomBehaviorSelector(['orbit-grind', 'vortex-tease', { tempest: 'swirl-tease', weight: 100 }], {
+      duration: 0.5,
+      transitionDuration: 0,
+    });
+
+    const picks = await performPicks(selector, 6);
+
+    picks.forEach((behavior, index) => {
+      if (index > 0) {
+        behavior.axes.should.not.deep.equal(picks[index - 1].axes);
+      }
+    });
+  });
+
+  it('should repeat the only entry in the pool', async function () {
+    const selector = new RandomBehaviorSelector([{ classic: {} }], { duration: 0.5 });
+
+    const picks = await performPicks(selector, 3);
+
+    picks.should.have.length(3);
+    selector.current.index.should.equal(0);
+  });
+
+  it('should draw from the random source of Ayva by default', async function () {
+    const pool = ['orbit-grind', 'vortex-tease', 'swirl-tease', { classic: {} }];
+
+    // Runs with the same seed pick the same even though Math.random() differs.
+    const run = async function (mathRandom) {
+      sinon.restore();
+      sinon.replace(Math, 'random', () => mathRandom);
+      ayva = new Ayva({ ...createTestConfig(), timer: new VirtualTimer(), seed: 42 });
+      ayva.addOutputDevice({ write: sinon.fake() });
+
+      const selector = new RandomBehaviorSelector(pool, { duration: new VariableDuration(0.5, 1) });
+      (selector.bpm === null).should.equal(true);
+
+      const picks = [];
+
+      for (let i = 0; i < 5; i++) {
+        await performPicks(selector, 1);
+        picks.push(selector.current);
+      }
+
+      return picks.map(({ index, bpm, duration }) => ({ index, bpm, duration }));
+    };
+
+    const first = await run(0);
+
+    first.should.deep.equal(await run(0.99));
+  });
+
+  it('should perform each pick for a random duration', async function () {
+    const selector = new RandomBehaviorSelector([{ classic: { speed: 2 } }, { classic: { speed: 4 } }], {
+      duration: new VariableDuration(10, 20),
+      bpm: { from: 60, to: 60 },
+      random: sequence(0, 0, 0.25),
+    });
+
+    await selector.perform(ayva);
+    selector.current.duration.should.equal(12.5);
+
+    const start = ayva.getTimer().now();
+    await performPicks(selector, 1);
+
+    // The next pick happens at the first stroke that starts after the duration.
+    const elapsed = ayva.getTimer().now() - start;
+    elapsed.should.be.at.least(12.5);
+    elapsed.should.be.below(13);
+  });
+
+  it('should not count time spent paused towards the duration of a pick', async function () {
+    const selector = new RandomBehaviorSelector([{ classic: { speed: 2 } }, { classic: { speed: 4 } }], {
+      duration: 10,
+      bpm: { from: 60, to: 60 },
+    });
+
+    await selector.perform(ayva);
+    const { behavior } = selector.current;
+    const start = ayva.now();
+
+    ayva.pause();
+    await ayva.getTimer().sleep(300);
+    await ayva.resume();
+
+    await selector.perform(ayva);
+    selector.current.behavior.should.equal(behavior);
+
+    await performPicks(selector, 1);
+    (ayva.now() - start).should.be.at.least(10);
+    (ayva.now() - start).should.be.below(11);
+  });
+
+  it('should drift the bpm within bounds', async function () {
+    const selector = new RandomBehaviorSelector([{ classic: {} }, { classic: { bottom: 0.5 } }], {
+      duration: 0,
+      bpm: { from: 40, to: 80, drift: 10 },
+      // Initial bpm, then (drift, pick) for each pick after the first.
+      random: sequence(0.5, 0, 1, 0, 1, 0, 1, 0, 0, 0),
+    });
+
+    const bpms = [];
+
+    for (let i = 0; i < 5; i++) {
+      await performPicks(selector, 1);
+      bpms.push(selector.bpm);
+    }
+
+    bpms.should.deep.equal([60, 70, 80, 80, 70]);
+  });
+
+  it('should match classic strokes to the bpm', async function () {
+    const selector = new RandomBehaviorSelector([{ classic: { bottom: 0.2, top: 0.8 } }], {
+      bpm: { from: 120, to: 120 },
+    });
+
+    await selector.perform(ayva);
+
+    selector.current.bpm.should.equal(120);
+    selector.current.behavior.duration.should.equal(0.25);
+  });
+
+  it('should transition between tempest strokes', async function () {
+    const selector = new RandomBehaviorSelector(['orbit-grind', 'vortex-tease'], {
+      duration: 0.5,
+      bpm: { from: 60, to: 60 },
+      transitionDuration: 3,
+    });
+
+    const move = sinon.replace(ayva, 'move', sinon.fake(ayva.move));
+    const [first] = await performPicks(selector, 1);
+    const createTransition = sinon.spy(first, 'createTransition');
+    const [second] = await performPicks(selector, 1);
+
+    createTransition.callCount.should.equal(1);
+    createTransition.args[0][0].should.equal(3);
+    second.angle.should.not.equal(0);
+    move.args.filter((movements) => movements[0].duration === 3).should.have.length(1);
+  });
+});
@@ -0,0 +1,198 @@
+/* eslint-disable no-new, no-await-in-loop, no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import ReplayBehavior from '../../src/behaviors/replay-behavior.js';
+import RecordingDevice from '../../src/devices/recording-device.js';
+import TempestStroke from '../../src/behaviors/tempest-stroke.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('Replay Behavior Tests', function () {
+  let ayva;
+  let recorder;
+
+  /**
+   * Create an instance of Ayva with a simulated clock and a recording device.
+   */
+  const createAyva = function (config = createTestConfig()) {
+    const instance = new Ayva(config);
+    instance.setTimer(new VirtualTimer());
+
+    const device = new RecordingDevice(instance);
+    instance.addOutputDevice(device);
+
+    return { instance, device };
+  };
+
+  /**
+   * Perform the behavior until it completes.
+   */
+  const performAll = async function (behavior) {
+    while (!behavior.complete) {
+      await behavior.perform(ayva);
+    }
+  };
+
+  beforeEach(function () {
+    ({ instance: ayva, device: recorder } = createAyva());
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error when given an invalid recording', function () {
+    [undefined, null, 5, {}].forEach((value) => {
+      (function () {
+        new ReplayBehavior(value);
+      }).should.throw(`Invalid recording: ${value}`);
+    });
+  });
+
+  it('should reproduce a recording with its original timing', async function () {
+    const { instance: source, device: sourceRecorder } = createAyva();
+    const tempest = new TempestStroke('orbit-grind');
+
+    while (source.getTimer().now() < 5) {
+      await tempest.perform(source);
+    }
+
+    const behavior = new ReplayBehavior(sourceRecorder);
+    await performAll(behavior);
+
+    behavior.complete.should.be.true;
+    recorder.recording.length.should.equal(sourceRecorder.recording.length);
+    recorder.recording.forEach((entry, index) => {
+      const original = sourceRecorder.recording[index];
+
+      entry.command.should.equal(original.command);
+      entry.time.should.be.closeTo(original.time, 0.000001);
+    });
+  });
+
+  it('should reproduce moves that the device interpolates', async function () {
+    const { instance: source, device: sourceRecorder } = createAyva();
+    source.outputMode = 'interval';
+    await source.move({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+    await source.move({ to: 1, duration: 0.5, value: Ayva.RAMP_LINEAR });
+
+    ayva.outputMode = 'interval';
+    await performAll(new ReplayBehavior(sourceRecorder));
+
+    recorder.export().should.equal('0 L00000I1000\n1000 L09999I500\n');
+
+    const { instance: speedSource, device: speedRecorder } = createAyva();
+    speedSource.outputMode = 'speed';
+    await speedSource.move({ to: 0.8, speed: 0.5, value: Ayva.RAMP_LINEAR });
+    await speedSource.move({ to: 0.2, speed: 1, value: Ayva.RAMP_LINEAR });
+
+    ({ instance: ayva, device: recorder } = createAyva());
+    ayva.outputMode = 'speed';
+    await performAll(new ReplayBehavior(speedRecorder));
+
+    speedRecorder.export().should.equal('0 L07999S500\n600 L02000S1000\n');
+    recorder.export().should.equal(speedRecorder.export());
+  });
+
+  it('should stream moves that the device interpolated in live mode', async function () {
+    await performAll(new ReplayBehavior('0 L00000I100\n'));
+
+    recorder.export().should.equal('0 L04000\n20 L03000\n40 L02000\n60 L01000\n80 L00000\n');
+  });
+
+  it('should end moves that the device interpolated where they were interrupted', async function () {
+    ayva.outputMode = 'interval';
+    await performAll(new ReplayBehavior('0 L00000I1000\n500 DSTOP\n600 L09999'));
+
+    recorder.export().should.equal('0 L02500I500\n600 L09999\n');
+  });
+
+  it('should accept a .tcode log or an array of recorded commands', async function () {
+    await performAll(new ReplayBehavior('0 L05000\n100 L01000 R00000\n'));
+    await performAll(new ReplayBehavior([{ time: 0, command: 'L09999' }]));
+
+    recorder.export().should.equal('0 L05000\n100 L01000 R00000\n120 L09999\n');
+  });
+
+  it('should map positions through the limits of each axis', async function () {
+    const { instance: source, device: sourceRecorder } = createAyva();
+    source.updateLimits('stroke', 0.2, 0.8);
+    ayva.updateLimits('stroke', 0.4, 0.6);
+
+    await source.move({ to: 0, duration: 0.1 });
+    await performAll(new ReplayBehavior(sourceRecorder));
+
+    recorder.recording.map(({ command }) => command).should.deep.equal(['L04713', 'L04000', 'L04000', 'L04000', 'L04000']);
+    ayva.$.stroke.value.should.equal(0);
+  });
+
+  it('should replay boolean axes and ignore unknown axes and commands', async function () {
+    await performAll(new ReplayBehavior('0 B19999 X05000 DSTOP\n20 B10000 L05000\n40 D1'));
+
+    recorder.export().should.equal('0 B19999\n20 B10000 L05000\n');
+  });
+
+  it('should catch up after commands recorded at the same time', async function () {
+    await performAll(new ReplayBehavior('0 L05000\n0 R05000\n40 L04000\n60 L03000'));
+
+    recorder.export().should.equal('0 L05000\n20 R05000\n40 L04000\n60 L03000\n');
+  });
+
+  it('should not drift when moves take longer than expected', async function () {
+    const timer = ayva.getTimer();
+    const { sleep } = timer;
+    sinon.replace(timer, 'sleep', sinon.fake((seconds) => sleep.call(timer, seconds + 0.005)));
+
+    await performAll(new ReplayBehavior('0 L05000\n100 L04000\n200 L03000\n300 L02000'));
+
+    recorder.recording.map(({ time }) => time).forEach((time, index) => {
+      time.should.be.closeTo(index * 0.1, 0.006);
+    });
+  });
+
+  it('should not catch up on the time spent paused', async function () {
+    let writes = 0;
+
+    ayva.on('write', () => {
+      if (++writes === 13) {
+        ayva.pause();
+      }
+    });
+
+    const done = ayva.do(new ReplayBehavior('0 L09999I500\n2000 L00000\n4000 L05000\n'));
+    await new Promise((resolve) => {
+      ayva.once('pause', resolve);
+    });
+
+    await ayva.getTimer().sleep(5);
+    await ayva.resume();
+    await done;
+
+    const times = recorder.recording.filter(({ command }) => /^L0[05]000$/.test(command)).map(({ time }) => time);
+    times.length.should.equal(2);
+    times[0].should.be.closeTo(7.02, 0.03);
+    times[1].should.be.closeTo(9.02, 0.03);
+  });
+
+  it('should restart from the first command', async function () {
+    const behavior = new ReplayBehavior('0 L05000\n100 L04000\n');
+    await performAll(behavior);
+
+    behavior.restart();
+    await performAll(behavior);
+
+    recorder.export().should.equal('0 L05000\n100 L04000\n120 L05000\n220 L04000\n');
+  });
+
+  it('should not send a command when its sleep is cancelled', async function () {
+    const behavior = new ReplayBehavior('0 L05000\n1000 L04000\n');
+    await behavior.perform(ayva);
+
+    // Simulate the sleep being cancelled.
+    sinon.replace(ayva, 'sleep', sinon.fake.resolves(false));
+    await behavior.perform(ayva);
+
+    recorder.recording.map(({ command }) => command).should.deep.equal(['L05000']);
+  });
+});
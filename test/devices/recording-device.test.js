@@ -0,0 +1,101 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import Ayva from '../../src/ayva.js';
+import RecordingDevice from '../../src/devices/recording-device.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('Recording Device Tests', function () {
+  let ayva;
+  let device;
+
+  beforeEach(function () {
+    ayva = new Ayva(createTestConfig());
+    ayva.setTimer(new VirtualTimer(10));
+    device = new RecordingDevice(ayva);
+    ayva.addOutputDevice(device);
+  });
+
+  it('should throw an error when not given an instance of Ayva', function () {
+    [undefined, null, {}, 'ayva'].forEach((value) => {
+      (function () {
+        new RecordingDevice(value); // eslint-disable-line no-new
+      }).should.throw(`Invalid instance of Ayva: ${value}`);
+    });
+  });
+
+  it('should record commands with the time since the first command', async function () {
+    await ayva.move({ to: 0, duration: 0.06, value: Ayva.RAMP_LINEAR });
+
+    const { recording } = device;
+    recording.map(({ command }) => command).should.deep.equal(['L03333', 'L01667', 'L00000']);
+    recording.forEach(({ time }, index) => {
+      time.should.be.closeTo(index * 0.02, 0.000001);
+    });
+  });
+
+  it('should split multiple lines into separate commands', function () {
+    device.write('L05000\nR02500 L11000\n\n');
+
+    device.recording.should.deep.equal([
+      { time: 0, command: 'L05000' },
+      { time: 0, command: 'R02500 L11000' },
+    ]);
+  });
+
+  it('should return a copy of the recording', function () {
+    device.write('L05000\n');
+    device.recording[0].command = 'L00000';
+    device.recording.length = 0;
+
+    device.recording.should.deep.equal([{ time: 0, command: 'L05000' }]);
+  });
+
+  it('should clear the recording', async function () {
+    device.write('L05000\n');
+    await ayva.sleep(1);
+    device.clear();
+    device.write('L02500\n');
+
+    device.recording.should.deep.equal([{ time: 0, command: 'L02500' }]);
+  });
+
+  it('should export the recording to a .tcode log', async function () {
+    device.write('L05000 R05000\n');
+    await ayva.sleep(0.0201234);
+    device.write('L04000\n');
+
+    device.export().should.equal('0 L05000 R05000\n20.123 L04000\n');
+    new RecordingDevice(ayva).export().should.equal('');
+  });
+
+  it('should import a .tcode log', function () {
+    device.write('L09999\n');
+
+    device.import('# Recorded with Ayva\n\n0 L05000 R05000\r\n  20.5   L04000\n1000 DSTOP').should.equal(device);
+
+    device.recording.should.deep.equal([
+      { time: 0, command: 'L05000 R05000' },
+      { time: 0.0205, command: 'L04000' },
+      { time: 1, command: 'DSTOP' },
+    ]);
+  });
+
+  it('should round trip through the .tcode log format', async function () {
+    await ayva.move({ to: 0, duration: 0.1 }, { axis: 'twist', to: 1 });
+    const log = device.export();
+
+    log.split('\n').length.should.equal(6);
+    new RecordingDevice(ayva).import(log).export().should.equal(log);
+  });
+
+  it('should throw an error when importing an invalid .tcode log', function () {
+    (function () {
+      device.import('0 L05000\nL04000');
+    }).should.throw('Invalid .tcode log entry on line 2: L04000');
+
+    (function () {
+      RecordingDevice.parse('-5 L05000');
+    }).should.throw('Invalid .tcode log entry on line 1: -5 L05000');
+  });
+});
@@ -0,0 +1,232 @@
+/* eslint-disable no-unused-expressions */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import { Duplex } from 'stream';
+import StreamDevice from '../../src/devices/stream-device.js';
+
+describe('Stream Device Tests', function () {
+  let stream;
+  let written;
+  let device;
+
+  /**
+   * In memory duplex stream. Written data is collected, and data pushed to the stream is read by the device.
+   */
+  const createStream = function () {
+    written = [];
+
+    return new Duplex({
+      read () {},
+      write (chunk, encoding, callback) {
+        written.push(chunk.toString());
+        callback();
+      },
+    });
+  };
+
+  /**
+   * Wait for pending stream events to fire.
+   */
+  const tick = () => new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+
+  beforeEach(function () {
+    stream = createStream();
+    device = new StreamDevice(stream, 0);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error when writing before connecting', function () {
+    (function () {
+      device.write('L0500\n');
+    }).should.throw('No device connected.');
+  });
+
+  it('should reject invalid streams', async function () {
+    await new StreamDevice().connect().should.be.rejectedWith('Invalid stream: null');
+    await new StreamDevice({ write () {} }).connect().should.be.rejectedWith('Invalid stream: [object Object]');
+  });
+
+  it('should connect, write, and disconnect', async function () {
+    const connect = sinon.fake();
+    const disconnect = sinon.fake();
+    device.on('connect', connect).on('disconnect', disconnect);
+
+    await device.connect();
+
+    device.connected.should.be.true;
+    connect.callCount.should.equal(1);
+
+    device.write('L05000\n');
+    device.write('R05000\n');
+    await tick();
+
+    written.should.deep.equal(['L05000\n', 'R05000\n']);
+
+    device.disconnect();
+    device.connected.should.be.false;
+    disconnect.callCount.should.equal(1);
+
+    device.disconnect(); // Disconnecting twice does nothing.
+    disconnect.callCount.should.equal(1);
+  });
+
+  it('should allow passing the stream to connect()', async function () {
+    device = new StreamDevice(null, 0);
+    await device.connect(stream);
+
+    device.write('L05000\n');
+    await tick();
+
+    written.should.deep.equal(['L05000\n']);
+  });
+
+  it('should wait for the boot delay after connecting', async function () {
+    const clock = sinon.useFakeTimers();
+    device = new StreamDevice(stream);
+
+    let connected = false;
+    const connecting = device.connect().then(() => {
+      connected = true;
+    });
+
+    await clock.tickAsync(1999);
+    connected.should.be.false;
+
+    await clock.tickAsync(1);
+    await connecting;
+    connected.should.be.true;
+  });
+
+  it('should wait for a stream to open', async function () {
+    stream.isOpen = false;
+
+    const connecting = device.connect();
+    device.connected.should.be.false;
+
+    stream.emit('open');
+    await connecting;
+
+    device.connected.should.be.true;
+  });
+
+  it('should reject when a stream fails to open', async function () {
+    stream.isOpen = false;
+
+    const connecting = device.connect();
+    stream.emit('error', new Error('Port not found.'));
+
+    await connecting.should.be.rejectedWith('Port not found.');
+    device.connected.should.be.false;
+    stream.listenerCount('open').should.equal(0);
+  });
+
+  it('should stop waiting for errors once a stream opens', async function () {
+    stream.isOpen = false;
+
+    const connecting = device.connect();
+    stream.emit('open');
+    await connecting;
+
+    stream.listenerCount('open').should.equal(0);
+    stream.listenerCount('error').should.equal(1);
+  });
+
+  it('should emit a line for each line the device responds with', async function () {
+    const line = sinon.fake();
+    device.on('line', line);
+
+    await device.connect();
+
+    stream.push('TCode v0.');
+    stream.push('3\r\n\nOSR2');
+    stream.push('\n');
+    await tick();
+
+    line.args.should.deep.equal([['TCode v0.3'], ['OSR2']]);
+  });
+
+  it('should only listen to a stream once when reconnecting', async function () {
+    const line = sinon.fake();
+    const error = sinon.fake();
+    device.on('line', line).on('error', error);
+
+    await device.connect();
+    device.disconnect();
+    await device.connect();
+
+    stream.push('OSR2\n');
+    stream.emit('error', new Error('Write failed.'));
+    await tick();
+
+    line.args.should.deep.equal([['OSR2']]);
+    error.callCount.should.equal(1);
+    ['data', 'error', 'close'].forEach((event) => stream.listenerCount(event).should.equal(1));
+  });
+
+  it('should stop listening to the previous stream when connecting to another', async function () {
+    const line = sinon.fake();
+    const disconnect = sinon.fake();
+    device.on('line', line).on('disconnect', disconnect);
+
+    const oldStream = stream;
+    await device.connect();
+    await device.connect(createStream());
+
+    oldStream.push('TCode v0.3\n');
+    oldStream.destroy();
+    await tick();
+
+    line.callCount.should.equal(0);
+    disconnect.callCount.should.equal(0);
+    device.connected.should.be.true;
+    ['data', 'error', 'close'].forEach((event) => oldStream.listenerCount(event).should.equal(0));
+  });
+
+  it('should discard a partial line when reconnecting', async function () {
+    const line = sinon.fake();
+    device.on('line', line);
+
+    await device.connect();
+    stream.push('TCode v0.');
+    await tick();
+
+    device.disconnect();
+    await device.connect(createStream());
+    device._stream.push('OSR2\n');
+    await tick();
+
+    line.args.should.deep.equal([['OSR2']]);
+  });
+
+  it('should emit disconnect when the stream closes', async function () {
+    const disconnect = sinon.fake();
+    device.on('disconnect', disconnect);
+
+    await device.connect();
+    stream.destroy();
+    await tick();
+
+    device.connected.should.be.false;
+    disconnect.callCount.should.equal(1);
+
+    (function () {
+      device.write('L05000\n');
+    }).should.throw('No device connected.');
+  });
+
+  it('should emit stream errors', async function () {
+    const error = sinon.fake();
+    device.on('error', error);
+
+    await device.connect();
+    stream.emit('error', new Error('Write failed.'));
+
+    error.callCount.should.equal(1);
+    error.args[0][0].message.should.equal('Write failed.');
+  });
+});
@@ -0,0 +1,106 @@
+/* eslint-disable max-classes-per-file, no-new */
+import '../setup-chai.js';
+import TCodeDevice from '../../src/devices/tcode-device.js';
+
+describe('TCode Device Tests', function () {
+  const D2_RESPONSE = 'L0 0 9999 Up\nL1 1000 9000 Forward\nR0 0 9999 Twist\nA1 0 9999 Suck\n';
+
+  /**
+   * Device that responds to device commands like an OSR2.
+   */
+  class FakeDevice extends TCodeDevice {
+    written = [];
+
+    responses = {
+      'D0\n': 'OSR2 v1.0\n',
+      'D1\n': 'TCode v0.3\n',
+      'D2\n': D2_RESPONSE,
+    };
+
+    write (output) {
+      this.written.push(output);
+
+      const response = this.responses[output];
+
+      if (response) {
+        // Respond in separate chunks.
+        const middle = Math.floor(response.length / 2);
+        setTimeout(() => this._receive(response.slice(0, middle)));
+        setTimeout(() => this._receive(response.slice(middle)), 5);
+      }
+    }
+  }
+
+  const options = { timeout: 50, idle: 20 };
+  let device;
+
+  beforeEach(function () {
+    device = new FakeDevice();
+  });
+
+  it('should throw an error when write() is not implemented', function () {
+    (function () {
+      new TCodeDevice().write('L0500\n');
+    }).should.throw('Device does not implement write()');
+  });
+
+  it('should query the device and resolve with the lines of the response', async function () {
+    (await device.query('D1', options)).should.deep.equal(['TCode v0.3']);
+    (await device.query('D2', options)).should.deep.equal(['L0 0 9999 Up', 'L1 1000 9000 Forward', 'R0 0 9999 Twist', 'A1 0 9999 Suck']);
+
+    device.written.should.deep.equal(['D1\n', 'D2\n']);
+  });
+
+  it('should send queries one at a time', async function () {
+    const responses = await Promise.all([device.query('D0', options), device.query('D1', options)]);
+
+    responses.should.deep.equal([['OSR2 v1.0'], ['TCode v0.3']]);
+  });
+
+  it('should reject when the device does not respond', async function () {
+    await device.query('D9', options).should.be.rejectedWith('No response to query: D9');
+
+    // Subsequent queries still work.
+    (await device.query('D1', options)).should.deep.equal(['TCode v0.3']);
+  });
+
+  it('should reject when the query cannot be written', async function () {
+    device.write = () => {
+      throw new Error('No device connected.');
+    };
+
+    await device.query('D1').should.be.rejectedWith('No device connected.');
+  });
+
+  it('should query firmware, version, and axes', async function () {
+    const info = await device.queryInfo(options);
+
+    info.should.deep.equal({
+      firmware: 'OSR2 v1.0',
+      version: 'TCode v0.3',
+      axes: [
+        {
+          name: 'L0', min: 0, max: 1, label: 'Up',
+        },
+        {
+          name: 'L1', min: 0.1, max: 0.9001, label: 'Forward',
+        },
+        {
+          name: 'R0', min: 0, max: 1, label: 'Twist',
+        },
+        {
+          name: 'A1', min: 0, max: 1, label: 'Suck',
+        },
+      ],
+    });
+  });
+
+  it('should parse axes of any precision and ignore other lines', function () {
+    TCodeDevice.parseAxes(['l0 0 999', 'V0 0 99999 Vibe 1', 'OK', '']).should.deep.equal([
+      { name: 'L0', min: 0, max: 1 },
+      {
+        name: 'V0', min: 0, max: 1, label: 'Vibe 1',
+      },
+    ]);
+  });
+});
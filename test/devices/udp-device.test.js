@@ -0,0 +1,97 @@
+/* eslint-disable no-unused-expressions, no-new */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import dgram from 'dgram';
+import UdpDevice from '../../src/devices/udp-device.js';
+
+describe('UDP Device Tests', function () {
+  let server;
+  let port;
+  let received;
+  let device;
+
+  const waitFor = (emitter, event) => new Promise((resolve) => {
+    emitter.once(event, resolve);
+  });
+
+  beforeEach(async function () {
+    received = [];
+    server = dgram.createSocket('udp4');
+
+    // Echo server.
+    server.on('message', (message, remote) => {
+      received.push(message.toString());
+      server.send(message, remote.port, remote.address);
+    });
+
+    server.bind(0, '127.0.0.1');
+    await waitFor(server, 'listening');
+    port = server.address().port;
+  });
+
+  afterEach(function () {
+    if (device) {
+      device.disconnect();
+    }
+
+    server.close();
+    sinon.restore();
+  });
+
+  it('should throw an error for an invalid dgram module', function () {
+    (function () {
+      new UdpDevice('127.0.0.1', 8000, null);
+    }).should.throw('Invalid dgram module: null');
+  });
+
+  it('should send commands to the device and emit responses', async function () {
+    device = new UdpDevice('127.0.0.1', port, dgram);
+
+    await device.connect();
+    device.state.should.equal('connected');
+
+    const line = waitFor(device, 'line');
+    device.write('L05000\n');
+
+    (await line).should.equal('L05000');
+    received.should.deep.equal(['L05000\n']);
+  });
+
+  it('should buffer commands until connected', async function () {
+    device = new UdpDevice('127.0.0.1', port, dgram);
+
+    device.write('L01000\n');
+    device.write('L02000\n');
+
+    const line = waitFor(device, 'line');
+    await device.connect();
+    await line;
+
+    received[0].should.equal('L01000\n');
+  });
+
+  it('should emit errors and reconnect', async function () {
+    device = new UdpDevice('invalid.host.invalid', port, dgram, { reconnectDelay: 0 });
+
+    const error = waitFor(device, 'error');
+    device.connect();
+    await error;
+
+    // Point the device at the echo server so the reconnect succeeds.
+    device._host = '127.0.0.1';
+    await waitFor(device, 'connect');
+
+    device.connected.should.be.true;
+  });
+
+  it('should emit disconnect when disconnected', async function () {
+    device = new UdpDevice('127.0.0.1', port, dgram);
+    await device.connect();
+
+    const disconnect = waitFor(device, 'disconnect');
+    device.disconnect();
+    await disconnect;
+
+    device.state.should.equal('disconnected');
+  });
+});
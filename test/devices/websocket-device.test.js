@@ -0,0 +1,212 @@
+/* eslint-disable no-unused-expressions, no-new */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import WebSocketDevice from '../../src/devices/websocket-device.js';
+
+describe('WebSocket Device Tests', function () {
+  let sockets;
+  let device;
+  let clock;
+
+  /**
+   * Fake WebSocket. Tests open, close, and send messages from the server side with the helper methods.
+   */
+  class FakeWebSocket {
+    sent = [];
+
+    closed = false;
+
+    constructor (url) {
+      this.url = url;
+      sockets.push(this);
+    }
+
+    send (data) {
+      this.sent.push(data);
+    }
+
+    close () {
+      this.closed = true;
+      this.onclose();
+    }
+
+    serverOpen () {
+      this.onopen();
+    }
+
+    serverClose () {
+      this.onclose();
+    }
+
+    serverSend (data) {
+      this.onmessage({ data });
+    }
+  }
+
+  const latestSocket = () => sockets[sockets.length - 1];
+
+  beforeEach(function () {
+    sockets = [];
+    clock = sinon.useFakeTimers();
+    device = new WebSocketDevice('ws://localhost/ws', { WebSocket: FakeWebSocket, bufferLimit: 3 });
+  });
+
+  afterEach(function () {
+    device.disconnect();
+    sinon.restore();
+  });
+
+  it('should throw an error for invalid options', function () {
+    (function () {
+      new WebSocketDevice('ws://localhost', { WebSocket: null });
+    }).should.throw('No WebSocket implementation available.');
+
+    (function () {
+      new WebSocketDevice('ws://localhost', { WebSocket: FakeWebSocket, bufferLimit: -1 });
+    }).should.throw('Invalid buffer limit: -1');
+
+    (function () {
+      new WebSocketDevice('ws://localhost', { WebSocket: FakeWebSocket, reconnectDelay: 'bad' });
+    }).should.throw('Invalid reconnect delay: bad');
+  });
+
+  it('should use the global WebSocket by default', function () {
+    global.WebSocket = FakeWebSocket;
+
+    device = new WebSocketDevice('ws://localhost/ws');
+    device.connect();
+    latestSocket().url.should.equal('ws://localhost/ws');
+
+    delete global.WebSocket;
+  });
+
+  it('should connect and write to the socket', async function () {
+    const connect = sinon.fake();
+    device.on('connect', connect);
+
+    device.state.should.equal('disconnected');
+
+    const connecting = device.connect();
+    device.state.should.equal('connecting');
+
+    latestSocket().serverOpen();
+    await connecting;
+
+    device.state.should.equal('connected');
+    device.connected.should.be.true;
+    connect.callCount.should.equal(1);
+
+    await device.connect(); // Already connected.
+    sockets.length.should.equal(1);
+
+    device.write('L05000\n');
+    latestSocket().sent.should.deep.equal(['L05000\n']);
+  });
+
+  it('should buffer commands while disconnected up to the limit', async function () {
+    ['L00000\n', 'L01000\n', 'L02000\n', 'L03000\n'].forEach((command) => device.write(command));
+
+    device.buffer.should.deep.equal(['L01000\n', 'L02000\n', 'L03000\n']);
+
+    const connecting = device.connect();
+    latestSocket().serverOpen();
+    await connecting;
+
+    latestSocket().sent.should.deep.equal(['L01000\n', 'L02000\n', 'L03000\n']);
+    device.buffer.should.deep.equal([]);
+  });
+
+  it('should reconnect automatically when the connection is lost', async function () {
+    const disconnect = sinon.fake();
+    device.on('disconnect', disconnect);
+
+    const connecting = device.connect();
+    latestSocket().serverOpen();
+    await connecting;
+
+    latestSocket().serverClose();
+    device.state.should.equal('disconnected');
+    disconnect.callCount.should.equal(1);
+
+    device.write('L05000\n');
+    device.buffer.should.deep.equal(['L05000\n']);
+
+    clock.tick(999);
+    sockets.length.should.equal(1);
+
+    clock.tick(1);
+    sockets.length.should.equal(2);
+    device.state.should.equal('connecting');
+
+    // Failing to connect keeps trying.
+    latestSocket().serverClose();
+    disconnect.callCount.should.equal(1);
+
+    clock.tick(1000);
+    sockets.length.should.equal(3);
+
+    latestSocket().serverOpen();
+    device.connected.should.be.true;
+    latestSocket().sent.should.deep.equal(['L05000\n']);
+  });
+
+  it('should stop reconnecting when disconnected', async function () {
+    const connecting = device.connect();
+    const socket = latestSocket();
+    socket.serverOpen();
+    await connecting;
+
+    device.disconnect();
+
+    socket.closed.should.be.true;
+    device.state.should.equal('disconnected');
+
+    clock.tick(5000);
+    sockets.length.should.equal(1);
+
+    device.disconnect(); // Disconnecting twice does nothing.
+  });
+
+  it('should ignore events from old sockets', async function () {
+    device.connect();
+    const oldSocket = latestSocket();
+    oldSocket.serverClose();
+
+    clock.tick(1000);
+    latestSocket().serverOpen();
+
+    oldSocket.serverClose();
+    device.connected.should.be.true;
+  });
+
+  it('should emit lines received and errors', async function () {
+    const line = sinon.fake();
+    const error = sinon.fake();
+    device.on('line', line).on('error', error);
+
+    device.connect();
+    latestSocket().serverOpen();
+    latestSocket().serverSend('TCode v0.3\nOSR');
+    latestSocket().serverSend('2\n');
+    latestSocket().onerror('Connection refused.');
+
+    line.args.should.deep.equal([['TCode v0.3'], ['OSR2']]);
+    error.args.should.deep.equal([['Connection refused.']]);
+  });
+
+  it('should discard a partial line when reconnecting', async function () {
+    const line = sinon.fake();
+    device.on('line', line);
+
+    device.connect();
+    latestSocket().serverOpen();
+    latestSocket().serverSend('TCode v0.');
+    latestSocket().serverClose();
+
+    clock.tick(1000);
+    latestSocket().serverOpen();
+    latestSocket().serverSend('OSR2\n');
+
+    line.args.should.deep.equal([['OSR2']]);
+  });
+});
@@ -1,3 +1,7 @@
+import sinon from 'sinon';
+import Ayva from '../src/ayva.js';
+import VirtualTimer from '../src/util/virtual-timer.js';
+
 /**
  * Return a simple OSR2 test configuration.
  */
@@ -74,3 +78,41 @@ export function createFunctionBinder (object, method) {
     return object[method].bind(object, ...args);
   };
 }
+
+/**
+ * Create an instance of Ayva with the test configuration that runs on a virtual timer and writes to a fake device.
+ *
+ * @param {Object} [config] - additional configuration.
+ * @returns {Object} the instance of Ayva, the device, and the timer.
+ */
+export function createTestAyva (config = {}) {
+  const timer = new VirtualTimer();
+  const ayva = new Ayva({ ...createTestConfig(), timer, ...config });
+  const device = { write: sinon.fake() };
+  ayva.addOutputDevice(device);
+
+  return { ayva, device, timer };
+}
+
+/**
+ * The commands written to a fake device.
+ */
+export function writtenCommands (device) {
+  return device.write.args.map(([command]) => command);
+}
+
+/**
+ * The values of an axis written to a fake device (at four digits of precision).
+ */
+export function writtenValues (device, axis = 'L0') {
+  return writtenCommands(device).map((command) => Number(command.match(new RegExp(`${axis}(\\d{4})`))[1]) / 10000);
+}
+
+/**
+ * Give anything that is not paused a chance to run.
+ */
+export function settle () {
+  return new Promise((resolve) => {
+    setTimeout(resolve, 10);
+  });
+}
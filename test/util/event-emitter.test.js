@@ -0,0 +1,60 @@
+import '../setup-chai.js';
+import sinon from 'sinon';
+import EventEmitter from '../../src/util/event-emitter.js';
+
+describe('Event Emitter Tests', function () {
+  let emitter;
+
+  beforeEach(function () {
+    emitter = new EventEmitter();
+  });
+
+  it('should call listeners with the arguments emitted', function () {
+    const listener = sinon.fake();
+    const otherListener = sinon.fake();
+
+    emitter.on('test', listener).on('test', otherListener);
+    emitter.emit('test', 1, 'two').should.equal(true);
+
+    listener.args.should.deep.equal([[1, 'two']]);
+    otherListener.args.should.deep.equal([[1, 'two']]);
+    emitter.emit('other').should.equal(false);
+  });
+
+  it('should remove listeners', function () {
+    const listener = sinon.fake();
+
+    emitter.on('test', listener);
+    emitter.off('test', listener);
+    emitter.off('test', listener);
+    emitter.off('other', listener);
+    emitter.emit('test');
+
+    listener.callCount.should.equal(0);
+  });
+
+  it('should only call once() listeners once', function () {
+    const listener = sinon.fake();
+    const removedListener = sinon.fake();
+
+    emitter.once('test', listener);
+    emitter.once('test', removedListener);
+    emitter.off('test', removedListener);
+
+    emitter.emit('test', 1);
+    emitter.emit('test', 2);
+
+    listener.args.should.deep.equal([[1]]);
+    removedListener.callCount.should.equal(0);
+  });
+
+  it('should throw an error for invalid listeners', function () {
+    (function () {
+      emitter.on('test', null);
+    }).should.throw('Invalid listener: null');
+
+    (function () {
+      emitter.once('test', 42);
+    }).should.throw('Invalid listener: 42');
+  });
+});
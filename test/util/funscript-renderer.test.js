@@ -0,0 +1,167 @@
+/* eslint-disable no-new */
+import '../setup-chai.js';
+import Ayva from '../../src/ayva.js';
+import FunscriptRenderer from '../../src/util/funscript-renderer.js';
+import ClassicStroke from '../../src/behaviors/classic-stroke.js';
+import AyvaBehavior from '../../src/behaviors/ayva-behavior.js';
+import FunscriptBehavior from '../../src/behaviors/funscript-behavior.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('Funscript Renderer Tests', function () {
+  const funscript = (actions) => ({
+    version: '1.0',
+    inverted: false,
+    range: 100,
+    actions,
+  });
+
+  it('should throw an error for invalid durations', function () {
+    [null, 'bad', NaN, Infinity, 0, -1].forEach((duration) => {
+      (function () {
+        new FunscriptRenderer({ duration });
+      }).should.throw(`Invalid duration: ${duration}`);
+    });
+  });
+
+  it('should throw an error for invalid tolerances', function () {
+    [null, 'bad', NaN, -1].forEach((tolerance) => {
+      (function () {
+        new FunscriptRenderer({ tolerance });
+      }).should.throw(`Invalid tolerance: ${tolerance}`);
+    });
+  });
+
+  it('should render a behavior for the specified duration without waiting in real time', async function () {
+    const renderer = new FunscriptRenderer({ duration: 3 });
+    const start = performance.now();
+
+    const scripts = await renderer.render(new ClassicStroke());
+
+    (performance.now() - start).should.be.below(1000);
+
+    // Positions are recorded when they are sent.
+    scripts.should.have.all.keys('L0');
+    scripts.L0.should.include({ version: '1.0', inverted: false, range: 100 });
+    scripts.L0.actions[0].should.deep.equal({ at: 0, pos: 50 });
+    scripts.L0.actions.should.deep.include({ at: 1480, pos: 100 });
+    scripts.L0.actions[scripts.L0.actions.length - 1].should.deep.equal({ at: 2980, pos: 50 });
+  });
+
+  it('should keep the shape of eased movements within the tolerance', async function () {
+    const render = async (tolerance) => (await new FunscriptRenderer({ duration: 3, tolerance }).render(new ClassicStroke())).L0.actions;
+    const exact = await render(0);
+    const simplified = await render(1);
+
+    simplified.length.should.be.below(exact.length / 2);
+    simplified.length.should.be.above(5);
+
+    exact.forEach(({ at, pos }) => {
+      const next = simplified.findIndex((action) => action.at >= at);
+      const to = simplified[next];
+      const from = simplified[Math.max(next - 1, 0)];
+      const expected = to.at === from.at ? to.pos : from.pos + ((to.pos - from.pos) * (at - from.at)) / (to.at - from.at);
+
+      // Positions are rounded after simplifying.
+      Math.abs(pos - expected).should.be.at.most(2);
+    });
+  });
+
+  it('should render the movements that devices interpolate', async function () {
+    const behavior = new AyvaBehavior();
+    behavior.generateActions = (ayva) => {
+      ayva.outputMode = 'interval';
+      behavior.queueMove({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+      behavior.queueSleep(0.5);
+      behavior.queueMove({ to: 1, duration: 2, value: Ayva.RAMP_LINEAR });
+      behavior.queueFunction(() => {
+        ayva.outputMode = 'speed';
+      });
+      behavior.queueMove({ to: 0.5, speed: 0.5, value: Ayva.RAMP_LINEAR });
+      behavior.queueFunction(() => ayva.emergencyStop());
+    };
+
+    const scripts = await new FunscriptRenderer().render(behavior);
+
+    scripts.should.deep.equal({
+      L0: funscript([{ at: 0, pos: 50 }, { at: 1000, pos: 0 }, { at: 1500, pos: 0 }, { at: 3500, pos: 100 }, { at: 4500, pos: 50 }]),
+    });
+  });
+
+  it('should end movements that devices interpolate where they are interrupted', async function () {
+    const behavior = new AyvaBehavior();
+    behavior.generateActions = (ayva) => {
+      ayva.outputMode = 'interval';
+      ayva.on('axis:value', ({ value }) => {
+        if (value === 0.25) {
+          ayva.stop();
+        }
+      });
+
+      behavior.queueMove({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+    };
+
+    const scripts = await new FunscriptRenderer().render(behavior);
+
+    scripts.L0.actions.should.deep.equal([{ at: 0, pos: 50 }, { at: 500, pos: 25 }]);
+  });
+
+  it('should render until a behavior completes', async function () {
+    const behavior = new FunscriptBehavior({
+      'video.funscript': {
+        actions: [{ at: 0, pos: 50 }, { at: 500, pos: 100 }, { at: 1500, pos: 0 }],
+      },
+      'video.twist.funscript': {
+        actions: [{ at: 1000, pos: 0 }],
+      },
+    });
+
+    const scripts = await new FunscriptRenderer().render(behavior);
+
+    // The behavior first moves to the action at time zero, so the rendered script lines up with the source.
+    scripts.should.deep.equal({
+      L0: funscript([{ at: 0, pos: 50 }, { at: 500, pos: 100 }, { at: 1500, pos: 0 }]),
+      R0: funscript([{ at: 0, pos: 50 }, { at: 500, pos: 0 }, { at: 1500, pos: 0 }]),
+    });
+  });
+
+  it('should start each axis at its initial position', async function () {
+    const behavior = new AyvaBehavior();
+    behavior.generateActions = () => {
+      behavior.queueSleep(1);
+      behavior.queueMove({ to: 0, duration: 1, value: Ayva.RAMP_LINEAR });
+      behavior.queueComplete();
+    };
+
+    const scripts = await new FunscriptRenderer().render(behavior);
+
+    scripts.L0.actions.should.deep.equal([
+      { at: 0, pos: 50 },
+      { at: 980, pos: 50 },
+      { at: 1980, pos: 0 },
+    ]);
+  });
+
+  it('should render with the limits of the specified configuration', async function () {
+    const config = createTestConfig();
+    config.axes[0].min = 0.2;
+    config.axes[0].max = 0.6;
+
+    const renderer = new FunscriptRenderer({ duration: 2, config });
+    const scripts = await renderer.render(new ClassicStroke(0, 1, 1, Ayva.RAMP_LINEAR));
+
+    scripts.L0.actions.should.deep.equal([
+      { at: 0, pos: 39 },
+      { at: 480, pos: 20 },
+      { at: 1480, pos: 60 },
+      { at: 1980, pos: 40 },
+    ]);
+  });
+
+  it('should name funscript files by axis', function () {
+    FunscriptRenderer.filename('L0').should.equal('script.funscript');
+    FunscriptRenderer.filename('L0', 'video').should.equal('video.funscript');
+    FunscriptRenderer.filename('R0', 'video').should.equal('video.twist.funscript');
+    FunscriptRenderer.filename('V0', 'video').should.equal('video.vib.funscript');
+    FunscriptRenderer.filename('B1', 'video').should.equal('video.B1.funscript');
+  });
+});
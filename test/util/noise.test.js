@@ -0,0 +1,40 @@
+import '../setup-chai.js';
+import createNoise from '../../src/util/noise.js';
+
+describe('Noise Tests', function () {
+  const sample = (noise) => Array.from({ length: 1000 }, (_, index) => noise(index / 10 - 50));
+
+  it('should produce the same noise for the same seed', function () {
+    const values = sample(createNoise(1));
+
+    values.should.deep.equal(sample(createNoise(1)));
+    values.should.not.deep.equal(sample(createNoise(2)));
+  });
+
+  it('should produce smooth noise in the range [-1, 1]', function () {
+    const values = sample(createNoise(3));
+
+    values.every((value) => value >= -1 && value <= 1).should.equal(true);
+    values.some((value) => Math.abs(value) > 0.25).should.equal(true);
+
+    const steps = values.slice(1).map((value, index) => Math.abs(value - values[index]));
+    Math.max(...steps).should.be.lessThan(0.4);
+  });
+
+  it('should be zero at whole numbers and repeat every 256', function () {
+    const noise = createNoise(4);
+
+    [-300, -1, 0, 1, 2, 1000].forEach((t) => {
+      noise(t).should.equal(0);
+    });
+
+    noise(-0.5).should.equal(noise(255.5));
+    noise(1.25).should.equal(noise(257.25));
+  });
+
+  it('should throw an error for an invalid seed', function () {
+    (function () {
+      createNoise('seed');
+    }).should.throw('Invalid seed: seed');
+  });
+});
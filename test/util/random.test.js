@@ -0,0 +1,32 @@
+import '../setup-chai.js';
+import { createRandom, shuffle } from '../../src/util/random.js';
+
+describe('Random Tests', function () {
+  it('should produce the same sequence for the same seed', function () {
+    const sequence = (random) => Array.from({ length: 100 }, () => random());
+    const values = sequence(createRandom(1));
+
+    values.should.deep.equal(sequence(createRandom(1)));
+    values.should.not.deep.equal(sequence(createRandom(2)));
+    values.every((value) => value >= 0 && value < 1).should.equal(true);
+    new Set(values).size.should.equal(values.length);
+  });
+
+  it('should throw an error for an invalid seed', function () {
+    [null, undefined, 'seed', NaN, Infinity].forEach((seed) => {
+      (function () {
+        createRandom(seed);
+      }).should.throw(`Invalid seed: ${seed}`);
+    });
+  });
+
+  it('should shuffle an array in place', function () {
+    const array = [0, 1, 2, 3];
+
+    shuffle(array, () => 0).should.equal(array);
+    array.should.deep.equal([1, 2, 3, 0]);
+
+    shuffle([0, 1, 2, 3], () => 0.99).should.deep.equal([0, 1, 2, 3]);
+    shuffle([0, 1, 2, 3], createRandom(5)).should.have.members([0, 1, 2, 3]);
+  });
+});
@@ -0,0 +1,144 @@
+/* eslint-disable no-new */
+import '../setup-chai.js';
+import sinon from 'sinon';
+import Ayva from '../../src/ayva.js';
+import TCodeParser from '../../src/util/tcode-parser.js';
+import { createTestConfig } from '../test-helpers.js';
+
+describe('TCode Parser Tests', function () {
+  let ayva;
+  let parser;
+
+  beforeEach(function () {
+    ayva = new Ayva(createTestConfig());
+    parser = new TCodeParser(ayva);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should throw an error when not given an instance of Ayva', function () {
+    [undefined, null, {}, 'ayva'].forEach((value) => {
+      (function () {
+        new TCodeParser(value);
+      }).should.throw(`Invalid instance of Ayva: ${value}`);
+    });
+  });
+
+  it('should parse live commands', function () {
+    // All nines is the top of the range (the inverse of how Ayva writes TCode).
+    parser.parse('L0999').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 1, duration: 0.02 }] }]);
+    parser.parse('R03').should.deep.equal([{ type: 'move', movements: [{ axis: 'R0', to: 0.3333333333, duration: 0.02 }] }]);
+    parser.parse('l15000').should.deep.equal([{ type: 'move', movements: [{ axis: 'L1', to: 0.500050005, duration: 0.02 }] }]);
+  });
+
+  it('should parse interval commands', function () {
+    parser.parse('L0999I1000').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 1, duration: 1 }] }]);
+    parser.parse('L00000i250').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 0, duration: 0.25 }] }]);
+  });
+
+  it('should parse speed commands', function () {
+    // Speeds are in units of the precision of the command per 100 milliseconds.
+    parser.parse('L09999S9999').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 1, speed: 10 }] }]);
+    parser.parse('L0999S999').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 1, speed: 10 }] }]);
+    parser.parse('R0000s333').should.deep.equal([{ type: 'move', movements: [{ axis: 'R0', to: 0, speed: 3.3333333333 }] }]);
+  });
+
+  it('should parse the commands that Ayva sends', async function () {
+    const device = { write: sinon.fake() };
+    ayva.addOutputDevice(device);
+    sinon.replace(ayva, 'sleep', sinon.fake.returns(Promise.resolve(true)));
+    ayva.outputMode = 'speed';
+
+    await ayva.move({ to: 0.2, speed: 0.25, value: Ayva.RAMP_LINEAR });
+    ayva.$.stroke.value = 0.7;
+
+    const [[{ movements: [speedMovement] }], [{ movements: [liveMovement] }]] = device.write.args.map(([tcode]) => parser.parse(tcode));
+
+    speedMovement.to.should.be.closeTo(0.2, 0.0001);
+    speedMovement.speed.should.be.closeTo(0.25, 0.0001);
+    liveMovement.to.should.be.closeTo(0.7, 0.0001);
+  });
+
+  it('should treat zero intervals and speeds as live commands', function () {
+    parser.parse('L0999I0 R0999S0').should.deep.equal([{
+      type: 'move',
+      movements: [{ axis: 'L0', to: 1, duration: 0.02 }, { axis: 'R0', to: 1, duration: 0.02 }],
+    }]);
+  });
+
+  it('should parse multi-axis lines and multiple lines', function () {
+    parser.parse('L0999I1000 R0000 L19S100\r\n\nL0000I500\n').should.deep.equal([
+      {
+        type: 'move',
+        movements: [
+          { axis: 'L0', to: 1, duration: 1 },
+          { axis: 'R0', to: 0, duration: 0.02 },
+          { axis: 'L1', to: 1, speed: 111.1111111111 },
+        ],
+      },
+      { type: 'move', movements: [{ axis: 'L0', to: 0, duration: 0.5 }] },
+    ]);
+  });
+
+  it('should use the last command for an axis on a line', function () {
+    parser.parse('L0999 L0000I100').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 0, duration: 0.1 }] }]);
+  });
+
+  it('should parse DSTOP', function () {
+    parser.parse('DSTOP').should.deep.equal([{ type: 'stop' }]);
+    parser.parse('L0999 dstop R0999').should.deep.equal([
+      { type: 'move', movements: [{ axis: 'L0', to: 1, duration: 0.02 }] },
+      { type: 'stop' },
+      { type: 'move', movements: [{ axis: 'R0', to: 1, duration: 0.02 }] },
+    ]);
+  });
+
+  it('should parse boolean axes', function () {
+    parser.parse('B19999 B2000I1000').should.deep.equal([{
+      type: 'move',
+      movements: [{ axis: 'B1', to: true }, { axis: 'B2', to: false }],
+    }]);
+  });
+
+  it('should respect the limits of each axis', function () {
+    ayva.updateLimits('stroke', 0.2, 0.6);
+    ayva.updateLimits('twist', 0.5, 1);
+
+    const [{ movements }] = parser.parse('L0400S20 R07500 L1500');
+
+    movements.map(({ axis }) => axis).should.deep.equal(['L0', 'R0', 'L1']);
+    movements.forEach(({ to }) => to.should.be.closeTo(0.5, 0.001));
+    movements[0].speed.should.be.closeTo(0.5, 0.001);
+
+    parser.parse('L01').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 0, duration: 0.02 }] }]);
+    parser.parse('L09').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 1, duration: 0.02 }] }]);
+  });
+
+  it('should ignore unknown axes and device commands', function () {
+    parser.parse('X05000 D0 D1 D2 $L0-0000-9999\n').should.deep.equal([]);
+    parser.parse('D1 L0999').should.deep.equal([{ type: 'move', movements: [{ axis: 'L0', to: 1, duration: 0.02 }] }]);
+  });
+
+  it('should throw an error for invalid commands', function () {
+    ['L0', 'L0500X100', 'L0500I', 'L05.5', 'hello'].forEach((command) => {
+      (function () {
+        parser.parse(`R05000 ${command}`);
+      }).should.throw(`Invalid TCode command: ${command}`);
+    });
+  });
+
+  it('should produce movements that Ayva accepts', async function () {
+    ayva.addOutputDevice({ write: sinon.fake() });
+    sinon.replace(ayva, 'sleep', sinon.fake.returns(Promise.resolve(true)));
+
+    const [{ movements }] = parser.parse('L0500I100 R0200S100 L1900 B19999');
+    (await ayva.move(...movements)).should.equal(true);
+
+    ayva.$.stroke.value.should.be.closeTo(0.5, 0.001);
+    ayva.$.twist.value.should.be.closeTo(0.2, 0.001);
+    ayva.$.forward.value.should.be.closeTo(0.9, 0.001);
+    ayva.$['test-boolean-axis'].value.should.equal(true);
+  });
+});
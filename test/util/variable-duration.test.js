@@ -1,7 +1,9 @@
-/* eslint-disable no-new, no-await-in-loop */
+/* eslint-disable no-new, no-await-in-loop, no-unused-expressions */
 import '../setup-chai.js';
 import sinon from 'sinon';
 import VariableDuration from '../../src/util/variable-duration.js';
+import { createRandom } from '../../src/util/random.js';
+import { createTestAyva } from '../test-helpers.js';
 
 describe('Variable Duration Tests', function () {
   const invalidNumericValues = [null, undefined, 'bad', '', false, true, () => {}, NaN, Infinity, -1];
@@ -75,6 +77,62 @@ describe('Variable Duration Tests', function () {
     duration.percentage.should.equal(1);
   });
 
+  it('should draw from the specified source of random numbers', function () {
+    new VariableDuration(10, 20, () => 0.25).targetElapsed.should.equal(12500);
+    new VariableDuration(10, 20, createRandom(7)).targetElapsed.should.equal(new VariableDuration(10, 20, createRandom(7)).targetElapsed);
+
+    (function () {
+      new VariableDuration(10, 20, 0.5);
+    }).should.throw('Invalid random: 0.5');
+  });
+
+  it('should run on the specified clock', async function () {
+    const { ayva, timer } = createTestAyva();
+    const render = () => new VariableDuration(10, 20, createRandom(7), ayva);
+    const duration = render();
+
+    duration.targetElapsed.should.equal(render().targetElapsed);
+
+    await ayva.sleep(5);
+    duration.percentage.should.equal(5000 / duration.targetElapsed);
+
+    // The clock of Ayva stands still while paused.
+    ayva.pause();
+    await timer.sleep(60);
+    await ayva.resume();
+    duration.percentage.should.equal(5000 / duration.targetElapsed);
+    duration.complete.should.be.false;
+
+    await ayva.sleep(15);
+    duration.complete.should.be.true;
+
+    [null, {}, () => 0].forEach((clock) => {
+      (function () {
+        new VariableDuration(10, 20, Math.random, clock);
+      }).should.throw(`Invalid clock: ${clock}`);
+    });
+  });
+
+  it('should start over with a new target', async function () {
+    const { ayva } = createTestAyva();
+    const duration = new VariableDuration(10, 20, sinon.fake.returns(0.25), ayva);
+
+    await ayva.sleep(20);
+    duration.complete.should.be.true;
+
+    duration.restart();
+    duration.complete.should.be.false;
+    duration.targetElapsed.should.equal(12500);
+  });
+
+  it('should pick lengths within the range', function () {
+    const duration = new VariableDuration(10, 20, () => 0.25);
+
+    duration.pickLength().should.equal(12.5);
+    duration.pickLength(() => 0.5).should.equal(15);
+    new VariableDuration(10).pickLength(() => 0.5).should.equal(10);
+  });
+
   it('should allow a constant duration and complete when time is up', function () {
     const duration = new VariableDuration(10);
 
@@ -0,0 +1,30 @@
+import '../setup-chai.js';
+import VirtualTimer from '../../src/util/virtual-timer.js';
+
+describe('Virtual Timer Tests', function () {
+  it('should advance the clock instantly when sleeping', async function () {
+    const timer = new VirtualTimer();
+    timer.now().should.equal(0);
+
+    await timer.sleep(600);
+    timer.now().should.equal(600);
+
+    await timer.sleep(0.5);
+    timer.now().should.equal(600.5);
+  });
+
+  it('should allow specifying a start time', function () {
+    new VirtualTimer(10).now().should.equal(10);
+  });
+
+  it('should not move the clock backwards or for invalid delays', async function () {
+    const timer = new VirtualTimer(1);
+
+    await timer.sleep(-1);
+    await timer.sleep(0);
+    await timer.sleep();
+    await timer.sleep(NaN);
+
+    timer.now().should.equal(1);
+  });
+});